@@ -1,936 +1,4104 @@
 import express from "express";
 import cors from "cors";
-import { PrismaClient } from "@prisma/client";
+import { PrismaClient, Prisma } from "@prisma/client";
 import multer from "multer";
-import { createClient } from "@supabase/supabase-js";
 import dotenv from "dotenv";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import { v, validateRequest, idParams } from "./lib/validation.js";
+import {
+  sanitizeRichText,
+  toExcerpt,
+  slugify,
+  highlightSnippet,
+  SLUG_PATTERN,
+  HIGHLIGHT_START,
+  HIGHLIGHT_STOP,
+} from "./lib/richtext.js";
+import {
+  processImage,
+  isProcessableImage,
+  imageSources,
+  InvalidImageError,
+} from "./lib/images.js";
+import { createStorage, resolveStorageUrl } from "./lib/storage.js";
+import { checkUpload, uploadKeyName, FILE_KINDS, MAX_UPLOAD_SIZE } from "./lib/files.js";
+import { createFileCleanup } from "./lib/cleanup.js";
+import { scoreContactMessage, SPAM_THRESHOLD } from "./lib/spam.js";
+import { createCaptchaVerifier } from "./lib/captcha.js";
+import { createMailer, createOutbox, parseRecipients } from "./lib/mailer.js";
+import {
+  parseRecurrence,
+  formatRecurrence,
+  occurrencesBetween,
+  seriesEnd,
+  RecurrenceError,
+} from "./lib/recurrence.js";
+import { buildCalendar } from "./lib/ical.js";
+import {
+  contactNotificationEmail,
+  contactAcknowledgementEmail,
+  bookingNotificationEmail,
+  alumniInviteEmail,
+} from "./lib/emails.js";
+import {
+  asyncHandler,
+  requestId,
+  notFoundHandler,
+  errorHandler,
+  HttpError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  UnsupportedMediaTypeError,
+} from "./lib/errors.js";
 
 dotenv.config();
 
 const SECRET_KEY = process.env.SECRET_KEY;
+const ACCESS_TOKEN_TTL = "15m";
+const REFRESH_TOKEN_TTL_DAYS = 30;
+
+// Login brute-force protection
+const LOGIN_WINDOW_MINUTES = 15;
+const MAX_FAILED_LOGINS_PER_IP = 20; // per window, across all usernames
+const MAX_FAILED_LOGINS_PER_USERNAME = 10; // per window, across all IPs
+const LOCKOUT_THRESHOLD = 5; // consecutive failures before the account locks
+const LOCKOUT_MINUTES = 15; // doubles with every further failure
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// Compared against for unknown usernames, so they take as long as a wrong
+// password (same cost as the stored hashes)
+const DUMMY_PASSWORD_HASH = "$2a$10$/gdkrFpVpmza1e3ly30tBO5YILKc2LsMDH5IZIARdFK7czJB4AdXq";
+
+// Public form flood protection (contact messages, bookings)
+const CONTACT_WINDOW_MINUTES = 60;
+const MAX_CONTACTS_PER_IP = 5; // per window and form
 const prisma = new PrismaClient();
 
 const app = express();
-app.use(cors());
+app.set("trust proxy", 1); // Vercel sits in front, needed for req.ip
+app.use(requestId);
+app.use(cors({ exposedHeaders: ["X-Total-Count", "Link", "X-Request-Id"] }));
 app.use(express.json());
 
-// Supabase configuration
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
-const BUCKET_NAME = "uploads"; // Replace with your Supabase storage bucket name
-
-// Configure multer (no need for local disk storage)
-const upload = multer({ storage: multer.memoryStorage() });
-
-// Upload file to Supabase
-const uploadToSupabase = async (file) => {
-  const uniqueFilename = `${Date.now()}-${file.originalname}`;
-  const { data, error } = await supabase.storage
-    .from(BUCKET_NAME)
-    .upload(uniqueFilename, file.buffer, {
-      contentType: file.mimetype,
-    });
-
-  if (error) {
-    console.error("Supabase upload error:", error);
-    throw new Error("Failed to upload file to Supabase");
-  }
+// Outgoing email: SMTP or in-memory transport and a retrying queue
+// (see lib/mailer.js). New contact messages are sent to
+// CONTACT_NOTIFY_TO; with CONTACT_AUTO_REPLY=true the sender gets an
+// acknowledgement too.
+const outbox = createOutbox({ prisma, mailer: createMailer() });
+const OUTBOUND_EMAIL_STATUSES = ["PENDING", "SENT", "FAILED"];
+const CONTACT_NOTIFY_TO = parseRecipients(process.env.CONTACT_NOTIFY_TO);
+const CONTACT_AUTO_REPLY = process.env.CONTACT_AUTO_REPLY === "true";
+const BOOKING_NOTIFY_TO = process.env.BOOKING_NOTIFY_TO
+  ? parseRecipients(process.env.BOOKING_NOTIFY_TO)
+  : CONTACT_NOTIFY_TO;
+
+// File storage (Supabase, S3 or local disk, see lib/storage.js)
+const storage = createStorage();
+
+// The local driver's files are served by the API itself
+if (storage.name === "local") {
+  app.use("/uploads", express.static(storage.directory, { maxAge: "7d" }));
+}
+
+// Every photo is resized into variants within the request, keep bulk
+// uploads short enough for a serverless function
+const MAX_PHOTOS_PER_UPLOAD = 10;
+
+// Configure multer (no need for local disk storage). These are the hard
+// limits; every field is checked against its own rule with checkUpload.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: MAX_PHOTOS_PER_UPLOAD },
+});
 
-  // Dapatkan URL publik
-  return supabase.storage.from(BUCKET_NAME).getPublicUrl(uniqueFilename).data
-    .publicUrl;
-};
+// Same for fields that only take images, so no more than the image limit
+// is buffered per file
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: FILE_KINDS.image.maxSize, files: MAX_PHOTOS_PER_UPLOAD },
+});
 
-// Hapus file dari Supabase
-const deleteFromSupabase = async (fileUrl) => {
-  const decodedFileUrl = decodeURIComponent(fileUrl); // Decode URL untuk menangani spasi
-  const filePath = decodedFileUrl.replace(
-    `${process.env.SUPABASE_URL}/storage/v1/object/public/${BUCKET_NAME}/`,
-    ""
-  );
-  console.log("File Path to be deleted:", filePath);
-  const { error } = await supabase.storage.from(BUCKET_NAME).remove([filePath]);
+// Deletes that never fail a request and the media GC (see lib/cleanup.js)
+const { referencesOf, removeFiles, processPendingDeletions, collectGarbage } = createFileCleanup({
+  prisma,
+  storage,
+});
 
-  if (error) {
-    console.error("Supabase delete error:", error);
-    throw new Error("Failed to delete file from Supabase");
+// Store an uploaded file whose `type` was sniffed by checkUpload. Images are
+// rotated, stripped of metadata and stored with their variants (see
+// lib/images.js); other files as they are. Returns the storage key of the
+// (original) file.
+const storeUpload = async (file, type) => {
+  const name = uploadKeyName(file.originalname);
+
+  if (!isProcessableImage(type.mime)) {
+    const key = `${name}.${type.extension}`;
+    await storage.put(key, file.buffer, type.mime);
+    return key;
   }
-};
-
-const authenticateToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(" ")[1];
 
-  if (!token) {
-    return res.status(401).json({ error: "Access denied" });
+  let processed;
+  try {
+    processed = await processImage(file.buffer);
+  } catch (error) {
+    if (error instanceof InvalidImageError) {
+      throw new UnsupportedMediaTypeError(`${file.fieldname} must be a valid image`);
+    }
+    throw error;
   }
 
+  const key = `${name}/${processed[0].name}`;
   try {
-    const decoded = jwt.verify(token, SECRET_KEY);
-
-    // Check token expiration
-    if (decoded.exp * 1000 < Date.now()) {
-      return res.status(403).json({ error: "Token expired, please log in again" });
+    for (const { name: fileName, buffer, contentType } of processed) {
+      await storage.put(`${name}/${fileName}`, buffer, contentType);
     }
-
-    req.user = decoded;
-    next();
   } catch (error) {
-    res.status(403).json({ error: "Invalid token" });
+    // Don't leave the variants that were already stored behind
+    await removeFiles([key]);
+    throw error;
   }
+
+  return key;
 };
 
-app.get("/api/admin/secure-data", authenticateToken, async (req, res) => {
-  res.json({ message: "This is secured data for admin" });
-});
+// Unit of work for file changes around a database write:
+//
+//   const updated = await withFileChanges(async (files) => {
+//     const image = await files.store(file, type); // new upload
+//     files.discard(existing.image);               // replaced file
+//     return prisma.news.update({ ... });
+//   });
+//
+// Uploads are deduplicated: a file whose content is already in the media
+// library (Asset) is not stored again, its key is reused. When `work`
+// throws, the files it stored are removed again and the error is rethrown.
+// Discarded files are only deleted once `work` has succeeded (i.e. the
+// database write is committed) and no other row uses them; failed
+// deletions are queued for retry instead of failing the request.
+const withFileChanges = async (work) => {
+  const stored = [];
+  const discarded = [];
+
+  const files = {
+    store: async (file, type) => {
+      const hash = crypto.createHash("sha256").update(file.buffer).digest("hex");
+      const existing = await prisma.asset.findUnique({ where: { hash } });
+      if (existing) {
+        return existing.key;
+      }
 
-// Login admin
-app.post("/admin/login", async (req, res) => {
-  const { username, password } = req.body;
+      const key = await storeUpload(file, type);
+      stored.push(key);
+
+      try {
+        await prisma.asset.create({
+          data: { key, hash, mime: type.mime, size: file.size, originalName: file.originalname?.slice(0, 255) },
+        });
+      } catch (error) {
+        // The same file was uploaded concurrently; use that copy
+        if (error instanceof Prisma.PrismaClientKnownRequestError && error.code === "P2002") {
+          stored.pop();
+          await removeFiles([key]);
+          return (await prisma.asset.findUniqueOrThrow({ where: { hash } })).key;
+        }
+        throw error;
+      }
 
-  try {
-    const admin = await prisma.admin.findUnique({
-      where: { username },
-    });
+      return key;
+    },
+    discard: (key) => {
+      if (key) discarded.push(key);
+    },
+  };
 
-    if (!admin) {
-      return res.status(401).json({ error: "Invalid username or password" });
-    }
+  let result;
+  try {
+    result = await work(files);
+  } catch (error) {
+    await removeFiles(stored);
+    throw error;
+  }
 
-    const isValidPassword = await bcrypt.compare(password, admin.password);
+  await removeFiles([...new Set(discarded)]);
+  return result;
+};
 
-    if (!isValidPassword) {
-      return res.status(401).json({ error: "Invalid username or password" });
-    }
+// A media library file picked instead of an upload (`field` is the body
+// field holding the asset id); must match the kind the upload field takes
+const findReusableAsset = async (assetId, { kind = "image" } = {}, field) => {
+  const asset = await prisma.asset.findUnique({ where: { id: assetId } });
 
-    const token = jwt.sign({ id: admin.id }, SECRET_KEY, { expiresIn: "1h" });
-    res.json({ token });
-  } catch (error) {
-    res.status(500).json({ error: "An error occurred during login" });
+  if (!asset) {
+    throw new ValidationError([
+      { location: "body", field, message: `${field} does not refer to an existing asset` },
+    ]);
+  }
+  if (!FILE_KINDS[kind].types.includes(asset.mime)) {
+    throw new UnsupportedMediaTypeError(`${field} must be ${FILE_KINDS[kind].description}`);
   }
-});
 
-// Endpoint to ensure server is running
-app.get("/", (req, res) => {
-  res.send("Backend server is running");
-});
+  return asset;
+};
 
-// Get all news
-app.get("/api/news", async (req, res) => {
-  const news = await prisma.news.findMany();
-  res.json(news);
-});
+const toPublicUrl = (key) => resolveStorageUrl(storage, key);
 
-// Get news by ID
-app.get("/api/news/:id", async (req, res) => {
-  const { id } = req.params;
-  const newsItem = await prisma.news.findUnique({
-    where: { id: parseInt(id) },
-  });
-  res.json(newsItem);
-});
+// Turn stored keys in a response into URLs: every `image` becomes its
+// srcset-ready structure (see imageSources in lib/images.js) and every
+// `file` (or `...File`, e.g. auditionFile) a plain URL
+const withMediaUrls = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(withMediaUrls);
+  }
 
-// Add news with image upload
-app.post("/api/news", upload.single("image"), async (req, res) => {
-  const { title, description, publishedAt } = req.body;
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => {
+        if (key === "image" && (typeof item === "string" || item === null)) {
+          return [key, imageSources(item, toPublicUrl)];
+        }
+        if ((key === "file" || key.endsWith("File")) && (typeof item === "string" || item === null)) {
+          return [key, toPublicUrl(item)];
+        }
+        return [key, withMediaUrls(item)];
+      })
+    );
+  }
 
-  try {
-    const image = req.file 
-      ? await uploadToSupabase(req.file) 
-      : null;
+  return value;
+};
 
-    const newNews = await prisma.news.create({
-      data: {
-        title,
-        description,
-        image,
-        publishedAt: new Date(publishedAt),
-      },
-    });
-    res.json(newNews);
-  } catch (error) {
-    console.error("Error creating news:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to create news", details: error.message });
-  }
-});
+const authenticateToken = asyncHandler(async (req, res, next) => {
+  const token = req.headers.authorization?.split(" ")[1];
 
-// Endpoint to update news with image upload
-app.put("/api/news/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { title, description, publishedAt } = req.body;
+  if (!token) {
+    throw new UnauthorizedError("Access denied");
+  }
 
+  let decoded;
   try {
-    // Fetch existing news
-    const existingNews = await prisma.news.findUnique({
-      where: { id: parseInt(id) },
-    });
-
-    if (!existingNews) {
-      return res.status(404).json({ error: "News not found" });
+    decoded = jwt.verify(token, SECRET_KEY);
+  } catch (error) {
+    if (error instanceof jwt.TokenExpiredError) {
+      throw new ForbiddenError("Token expired, please log in again", { code: "TOKEN_EXPIRED" });
     }
+    throw new ForbiddenError("Invalid token", { code: "INVALID_TOKEN" });
+  }
 
-    // If new file is uploaded, handle image update
-    let newImage = null;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
+  // Load the admin so disabled accounts, role changes and revoked
+  // sessions (tokenVersion bump) take effect immediately
+  const admin = await prisma.admin.findUnique({
+    where: { id: decoded.id },
+    select: {
+      id: true,
+      username: true,
+      role: true,
+      isActive: true,
+      tokenVersion: true,
+      mustChangePassword: true,
+    },
+  });
 
-      // Delete old image file if it exists
-      if (existingNews.image) {
-        await deleteFromSupabase(existingNews.image);
-      }
-    }
+  if (!admin || !admin.isActive || admin.tokenVersion !== decoded.tokenVersion) {
+    throw new UnauthorizedError("Session has been revoked, please log in again", {
+      code: "SESSION_REVOKED",
+    });
+  }
 
-    // Update news data
-    const updatedNews = await prisma.news.update({
-      where: { id: parseInt(id) },
-      data: {
-        title,
-        description,
-        image: newImage || existingNews.image,
-        publishedAt: new Date(publishedAt),
-      },
+  if (admin.mustChangePassword && !PASSWORD_CHANGE_ROUTES.includes(req.path)) {
+    throw new ForbiddenError("You must change your password before continuing", {
+      code: "PASSWORD_CHANGE_REQUIRED",
     });
-    res.json(updatedNews);
-  } catch (error) {
-    console.error("Error updating news:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to update news", details: error.message });
   }
+
+  req.user = { id: admin.id, username: admin.username, role: admin.role };
+  next();
 });
 
-// Delete news by ID
-app.delete("/api/news/:id", async (req, res) => {
-  const { id } = req.params;
+// Routes still reachable while an admin must change their password
+const PASSWORD_CHANGE_ROUTES = ["/api/admin/me", "/api/admin/password", "/api/admin/logout-all"];
 
-  try {
-    // Fetch existing news
-    const existingNews = await prisma.news.findUnique({
-      where: { id: parseInt(id) },
-    });
+const COMMON_PASSWORDS = ["password", "admin123", "12345678", "qwertyuiop", "bismillah"];
 
-    if (!existingNews) {
-      return res.status(404).json({ error: "News not found" });
-    }
+// Minimum password policy; returns an error message or null
+const validatePassword = (password, username) => {
+  if (typeof password !== "string" || password.length < 10) {
+    return "Password must be at least 10 characters long";
+  }
 
-    // Delete associated image file if it exists
-    if (existingNews.image) {
-      await deleteFromSupabase(existingNews.image);
-    }
+  if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+    return "Password must contain both letters and numbers";
+  }
 
-    // Delete news from database
-    await prisma.news.delete({
-      where: { id: parseInt(id) },
-    });
-    res.status(204).send();
-  } catch (error) {
-    console.error("Error deleting news:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to delete news", details: error.message });
+  const lowered = password.toLowerCase();
+  if (username && lowered.includes(username.toLowerCase())) {
+    return "Password must not contain the username";
   }
-});
 
-// Get Hero
-app.get("/api/hero", async (req, res) => {
-  const hero = await prisma.hero.findFirst();
-  res.json(hero);
-});
+  if (COMMON_PASSWORDS.some((common) => lowered.includes(common))) {
+    return "Password is too common";
+  }
 
-// Update Hero
-app.put("/api/hero/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { welcomeMessage, description } = req.body;
+  return null;
+};
 
-  try {
-    // Ambil data hero lama
-    const existingHero = await prisma.hero.findUnique({
-      where: { id: parseInt(id) },
-    });
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Sign a short-lived access token and store a new refresh token (hashed)
+const issueTokens = async (admin) => {
+  const token = jwt.sign(
+    {
+      id: admin.id,
+      username: admin.username,
+      role: admin.role,
+      tokenVersion: admin.tokenVersion,
+    },
+    SECRET_KEY,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+  const refreshToken = crypto.randomBytes(48).toString("base64url");
+  const storedToken = await prisma.refreshToken.create({
+    data: {
+      adminId: admin.id,
+      tokenHash: hashToken(refreshToken),
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    },
+  });
+
+  return { token, refreshToken, refreshTokenId: storedToken.id };
+};
 
-    if (!existingHero) {
-      return res.status(404).json({ error: "Hero not found" });
+// Invalidate every access and refresh token of an admin
+const revokeAllSessions = (adminId) =>
+  prisma.$transaction([
+    prisma.admin.update({
+      where: { id: adminId },
+      data: { tokenVersion: { increment: 1 } },
+    }),
+    prisma.refreshToken.updateMany({
+      where: { adminId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    }),
+  ]);
+
+const ADMIN_ROLES = ["SUPERADMIN", "EDITOR", "INBOX_READER"];
+
+// Allow the request only if the admin has one of the given roles.
+// SUPERADMIN is always allowed. Must run after authenticateToken.
+const authorizeRoles = (...roles) => {
+  const authorize = (req, res, next) => {
+    const role = req.user?.role;
+
+    if (role !== "SUPERADMIN" && !roles.includes(role)) {
+      return next(new ForbiddenError());
     }
+    next();
+  };
 
-    // Jika ada file baru, simpan ke local storage
-    let newImage = null;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
+  // Read by the route table test
+  authorize.roles = [...new Set(["SUPERADMIN", ...roles])];
+  return authorize;
+};
 
-      // Hapus file lama jika ada
-      if (existingHero.image) {
-        await deleteFromSupabase(existingHero.image);
+// Route policies. Public read routes stay open; every write and every
+// private read must use one of these (see assertRoutesProtected).
+const requireSuperadmin = [authenticateToken, authorizeRoles("SUPERADMIN")];
+const requireEditor = [authenticateToken, authorizeRoles("EDITOR")];
+const requireInboxReader = [authenticateToken, authorizeRoles("INBOX_READER")];
+
+// Write routes that are intentionally reachable without a token
+const PUBLIC_WRITE_ROUTES = [
+  "POST /admin/login",
+  "POST /admin/refresh",
+  "POST /admin/logout",
+  "POST /api/contacts",
+  "POST /api/bookings",
+  "POST /api/recruitment/applications",
+  "PUT /api/alumni-profile/:token",
+];
+
+// Read routes under these prefixes contain private data
+const PRIVATE_READ_PREFIXES = [
+  "/api/admin",
+  "/api/contacts",
+  "/api/media",
+  "/api/bookings",
+  "/api/recruitment-periods",
+  "/api/applicants",
+  "/api/alumni-invites",
+  "/api/alumni-submissions",
+];
+
+// Walk the registered routes and fail fast if a write route (or a private
+// read route) was registered without authenticateToken.
+const assertRoutesProtected = (app) => {
+  const unprotected = [];
+
+  for (const layer of app._router.stack) {
+    if (!layer.route) continue;
+
+    const { path, methods, stack } = layer.route;
+    const isProtected = stack.some((s) => s.handle === authenticateToken);
+
+    for (const method of Object.keys(methods)) {
+      const route = `${method.toUpperCase()} ${path}`;
+      const isRead = method === "get" || method === "head";
+      const needsAuth = isRead
+        ? PRIVATE_READ_PREFIXES.some((prefix) => path.startsWith(prefix))
+        : !PUBLIC_WRITE_ROUTES.includes(route);
+
+      if (needsAuth && !isProtected) {
+        unprotected.push(route);
       }
     }
+  }
 
-    // Perbarui data hero di database
-    const updatedHero = await prisma.hero.update({
-      where: { id: parseInt(id) },
-      data: {
-        welcomeMessage,
-        description,
-        image: newImage || existingHero.image,
-      },
-    });
-
-    res.json(updatedHero);
-  } catch (error) {
-    console.error("Error updating hero:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to update hero", details: error.message });
+  if (unprotected.length > 0) {
+    throw new Error(`Routes registered without authentication: ${unprotected.join(", ")}`);
   }
-});
+};
+
+// Fields returned for admin accounts (never expose the password hash)
+const adminSelect = {
+  id: true,
+  username: true,
+  role: true,
+  isActive: true,
+  mustChangePassword: true,
+  failedLoginCount: true,
+  lockedUntil: true,
+  createdAt: true,
+  updatedAt: true,
+};
 
-// Get all extracurriculars
-app.get("/api/extracurriculars", async (req, res) => {
-  const extracurriculars = await prisma.extracurricular.findMany();
-  res.json(extracurriculars);
+app.get("/api/admin/secure-data", authenticateToken, async (req, res) => {
+  res.json({ message: "This is secured data for admin" });
 });
 
-// Get extracurricular by ID
-app.get("/api/extracurriculars/:id", async (req, res) => {
-  const { id } = req.params;
-  const extracurricular = await prisma.extracurricular.findUnique({
-    where: { id: parseInt(id) },
+// Count failed logins in the current window that have not been cleared
+const countFailedLogins = (where) =>
+  prisma.loginAttempt.count({
+    where: {
+      ...where,
+      success: false,
+      clearedAt: null,
+      createdAt: { gte: new Date(Date.now() - LOGIN_WINDOW_MINUTES * 60 * 1000) },
+    },
   });
-  res.json(extracurricular);
-});
 
-// Add extracurricular with image upload
-app.post("/api/extracurriculars", upload.single("image"), async (req, res) => {
-  const { name, description } = req.body;
+const loginSchema = {
+  username: v.string({ required: true, max: 64 }),
+  password: v.string({ required: true, max: 200, trim: false }),
+};
 
-  try {
-    const image = req.file ? await uploadToSupabase(req.file) : null;
+const refreshTokenSchema = {
+  refreshToken: v.string({ required: true, max: 200 }),
+};
 
-    const newExtracurricular = await prisma.extracurricular.create({
-      data: {
-        name,
-        description,
-        image,
-      },
-    });
-    res.json(newExtracurricular);
-  } catch (error) {
-    console.error("Error creating extracurricular:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to create extracurricular", details: error.message });
-  }
-});
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,32}$/;
 
-// Update extracurricular with image upload
-app.put("/api/extracurriculars/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { name, description } = req.body;
+const createAdminSchema = {
+  username: v.string({
+    required: true,
+    pattern: USERNAME_PATTERN,
+    patternMessage: "must be 3-32 letters, numbers, dots, dashes or underscores",
+  }),
+  password: v.string({ required: true, max: 200, trim: false }),
+  role: v.enum(ADMIN_ROLES),
+};
 
-  try {
-    // Fetch existing extracurricular
-    const existingExtracurricular = await prisma.extracurricular.findUnique({
-      where: { id: parseInt(id) },
-    });
+const updateAdminSchema = {
+  role: v.enum(ADMIN_ROLES),
+  isActive: v.boolean(),
+};
 
-    if (!existingExtracurricular) {
-      return res.status(404).json({ error: "Extracurricular not found" });
-    }
+const changePasswordSchema = {
+  currentPassword: v.string({ required: true, max: 200, trim: false }),
+  newPassword: v.string({ required: true, max: 200, trim: false }),
+};
 
-    // If new file is uploaded, handle image update
-    let newImage = null;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
+const resetPasswordSchema = {
+  password: v.string({ required: true, max: 200, trim: false }),
+};
 
-      // Delete old image file if it exists
-      if (existingExtracurricular.image) {
-        await deleteFromSupabase(existingExtracurricular.image);
-      }
-    }
+const passwordPolicyError = (field, message) => [
+  { location: "body", field, message },
+];
 
-    // Update extracurricular data
-    const updatedExtracurricular = await prisma.extracurricular.update({
-      where: { id: parseInt(id) },
-      data: {
-        name,
-        description,
-        image: newImage || existingExtracurricular.image,
-      },
-    });
+// Login admin
+app.post("/admin/login", validateRequest({ body: loginSchema }), asyncHandler(async (req, res) => {
+  const { username, password } = req.body;
+  const ipAddress = req.ip || "unknown";
+
+  const [failedByIp, failedByUsername] = await Promise.all([
+    countFailedLogins({ ipAddress }),
+    countFailedLogins({ username }),
+  ]);
+
+  if (
+    failedByIp >= MAX_FAILED_LOGINS_PER_IP ||
+    failedByUsername >= MAX_FAILED_LOGINS_PER_USERNAME
+  ) {
+    throw new TooManyRequestsError(
+      "Too many login attempts, please try again later",
+      LOGIN_WINDOW_MINUTES * 60
+    );
+  }
 
-    res.json(updatedExtracurricular);
-  } catch (error) {
-    console.error("Error updating extracurricular:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to update extracurricular", details: error.message });
+  // Progressive delay: 0, 0.5s, 1s, 2s, 4s ... capped at 8s
+  const recentFailures = Math.max(failedByIp, failedByUsername);
+  if (recentFailures > 0) {
+    await sleep(Math.min(250 * 2 ** recentFailures, 8000));
   }
-});
 
-// Delete extracurricular by ID
-app.delete("/api/extracurriculars/:id", async (req, res) => {
-  const { id } = req.params;
+  const admin = await prisma.admin.findUnique({
+    where: { username },
+  });
 
-  try {
-    // Fetch existing extracurricular
-    const existingExtracurricular = await prisma.extracurricular.findUnique({
-      where: { id: parseInt(id) },
+  if (admin?.lockedUntil && admin.lockedUntil > new Date()) {
+    await prisma.loginAttempt.create({
+      data: { username, ipAddress, success: false },
     });
+    throw new HttpError(423, "Account is temporarily locked, please try again later", {
+      code: "ACCOUNT_LOCKED",
+      headers: { "Retry-After": String(Math.ceil((admin.lockedUntil - Date.now()) / 1000)) },
+    });
+  }
 
-    if (!existingExtracurricular) {
-      return res.status(404).json({ error: "Extracurricular not found" });
-    }
-
-    // Delete associated image file if it exists
-    if (existingExtracurricular.image) {
-      await deleteFromSupabase(existingExtracurricular.image);
-    }
+  const isValidPassword =
+    (await bcrypt.compare(password, admin?.password || DUMMY_PASSWORD_HASH)) && Boolean(admin);
 
-    // Delete extracurricular from database
-    await prisma.extracurricular.delete({
-      where: { id: parseInt(id) },
+  if (!isValidPassword) {
+    await prisma.loginAttempt.create({
+      data: { username, ipAddress, success: false },
     });
 
-    res.status(204).send();
-  } catch (error) {
-    console.error("Error deleting extracurricular:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to delete extracurricular", details: error.message });
-  }
-});
+    if (admin) {
+      const failedLoginCount = admin.failedLoginCount + 1;
+      const lockedUntil =
+        failedLoginCount >= LOCKOUT_THRESHOLD
+          ? new Date(
+              Date.now() +
+                Math.min(
+                  LOCKOUT_MINUTES * 2 ** (failedLoginCount - LOCKOUT_THRESHOLD),
+                  MAX_LOCKOUT_MINUTES
+                ) *
+                  60 *
+                  1000
+            )
+          : null;
+
+      await prisma.admin.update({
+        where: { id: admin.id },
+        data: { failedLoginCount, lockedUntil },
+      });
+    }
 
-// Get Kalender
-app.get("/api/kalender", async (req, res) => {
-  const kalender = await prisma.kalender.findMany();
-  res.json(kalender);
-});
+    throw new UnauthorizedError("Invalid username or password");
+  }
 
-// Update Kalender
-app.put("/api/kalender/:id", upload.single("file"), async (req, res) => {
-  const { id } = req.params;
-  const { title } = req.body;
+  if (!admin.isActive) {
+    throw new ForbiddenError("This account has been disabled", { code: "ACCOUNT_DISABLED" });
+  }
 
-  try {
-    const existingKalender = await prisma.kalender.findUnique({
-      where: { id: parseInt(id) },
-    });
+  await prisma.$transaction([
+    prisma.loginAttempt.create({
+      data: { username, ipAddress, success: true },
+    }),
+    prisma.admin.update({
+      where: { id: admin.id },
+      data: { failedLoginCount: 0, lockedUntil: null },
+    }),
+  ]);
+
+  const { token, refreshToken } = await issueTokens(admin);
+  res.json({
+    token,
+    refreshToken,
+    role: admin.role,
+    mustChangePassword: admin.mustChangePassword,
+  });
+}));
 
-    if (!existingKalender) {
-      return res.status(404).json({ error: "Kalender event not found" });
-    }
+// Exchange a refresh token for a new access token (the refresh token rotates)
+app.post("/admin/refresh", validateRequest({ body: refreshTokenSchema }), asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
 
-    let newFile = existingKalender.file;
+  const storedToken = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { admin: true },
+  });
 
-    if (req.file) {
-      newFile = await uploadToSupabase(req.file);
-      if (existingKalender.file) {
-        await deleteFromSupabase(existingKalender.file);
-      }
-    }
+  if (!storedToken) {
+    throw new UnauthorizedError("Invalid refresh token");
+  }
 
-    const updatedKalender = await prisma.kalender.update({
-      where: { id: parseInt(id) },
-      data: {
-        title,
-        file: newFile,
-      },
-    });
+  // A rotated token being used again means it leaked: kill every session
+  if (storedToken.revokedAt) {
+    await revokeAllSessions(storedToken.adminId);
+    throw new UnauthorizedError("Refresh token has been revoked", { code: "SESSION_REVOKED" });
+  }
 
-    res.json(updatedKalender);
-  } catch (error) {
-    console.error("Error updating kalender:", error);
-    res.status(500).json({ error: "Failed to update kalender", details: error.message });
+  if (storedToken.expiresAt < new Date() || !storedToken.admin.isActive) {
+    throw new UnauthorizedError("Refresh token expired, please log in again");
   }
-});
 
-// Get all alumni
-app.get("/api/alumni", async (req, res) => {
-  const alumni = await prisma.alumni.findMany();
-  res.json(alumni);
-});
+  const tokens = await issueTokens(storedToken.admin);
+  await prisma.refreshToken.update({
+    where: { id: storedToken.id },
+    data: { revokedAt: new Date(), replacedById: tokens.refreshTokenId },
+  });
 
-// Get alumni by ID
-app.get("/api/alumni/:id", async (req, res) => {
-  const { id } = req.params;
-  const alumniItem = await prisma.alumni.findUnique({
-    where: { id: parseInt(id) },
+  res.json({
+    token: tokens.token,
+    refreshToken: tokens.refreshToken,
+    role: storedToken.admin.role,
   });
-  res.json(alumniItem);
-});
+}));
 
-// Add alumni with image upload
-app.post("/api/alumni", upload.single("image"), async (req, res) => {
-  const { title } = req.body;
+// Logout: revoke the given refresh token
+app.post("/admin/logout", validateRequest({ body: refreshTokenSchema }), asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
 
-  try {
-    const image = req.file ? await uploadToSupabase(req.file) : null;
+  await prisma.refreshToken.updateMany({
+    where: { tokenHash: hashToken(refreshToken), revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  res.status(204).send();
+}));
+
+// Sign out all sessions of the current admin
+app.post("/api/admin/logout-all", authenticateToken, asyncHandler(async (req, res) => {
+  await revokeAllSessions(req.user.id);
+  res.status(204).send();
+}));
+
+// Get the currently logged in admin
+app.get("/api/admin/me", authenticateToken, asyncHandler(async (req, res) => {
+  const admin = await prisma.admin.findUnique({
+    where: { id: req.user.id },
+    select: adminSelect,
+  });
 
-    const newAlumni = await prisma.alumni.create({
-      data: {
-        title,
-        image,
-      },
-    });
-    res.json(newAlumni);
-  } catch (error) {
-    console.error("Error creating alumni:", error);
-    res.status(500).json({ error: "Failed to create alumni", details: error.message });
+  if (!admin) {
+    throw new NotFoundError("Admin not found");
   }
-});
 
-// Update alumni with image upload
-app.put("/api/alumni/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { title } = req.body;
+  res.json(admin);
+}));
 
-  try {
-    const existingAlumni = await prisma.alumni.findUnique({
-      where: { id: parseInt(id) },
-    });
+// Change own password
+app.put("/api/admin/password", authenticateToken, validateRequest({ body: changePasswordSchema }), asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
 
-    if (!existingAlumni) {
-      return res.status(404).json({ error: "Alumni not found" });
-    }
+  const admin = await prisma.admin.findUnique({
+    where: { id: req.user.id },
+  });
 
-    let newImage = null;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
+  if (!admin) {
+    throw new NotFoundError("Admin not found");
+  }
 
-      // Delete the old image file from the server
-      if (existingAlumni.image) {
-        await deleteFromSupabase(existingAlumni.image);
-      }
-    }
+  const isValidPassword = await bcrypt.compare(currentPassword, admin.password);
 
-    const updatedAlumni = await prisma.alumni.update({
-      where: { id: parseInt(id) },
-      data: {
-        title,
-        image: newImage || existingAlumni.image,
-      },
-    });
-    res.json(updatedAlumni);
-  } catch (error) {
-    console.error("Error updating alumni:", error);
-    res.status(500).json({ error: "Failed to update alumni", details: error.message });
+  if (!isValidPassword) {
+    throw new UnauthorizedError("Current password is incorrect");
   }
-});
 
-// Delete alumni by ID
-app.delete("/api/alumni/:id", async (req, res) => {
-  const { id } = req.params;
+  const passwordError = validatePassword(newPassword, admin.username);
+  if (passwordError) {
+    throw new ValidationError(passwordPolicyError("newPassword", passwordError));
+  }
 
-  try {
-    const existingAlumni = await prisma.alumni.findUnique({
-      where: { id: parseInt(id) },
-    });
+  if (await bcrypt.compare(newPassword, admin.password)) {
+    throw new ValidationError(
+      passwordPolicyError("newPassword", "New password must differ from the current password")
+    );
+  }
 
-    if (!existingAlumni) {
-      return res.status(404).json({ error: "Alumni not found" });
-    }
+  await prisma.admin.update({
+    where: { id: admin.id },
+    data: {
+      password: await bcrypt.hash(newPassword, 10),
+      mustChangePassword: false,
+    },
+  });
 
-    // Delete the file associated with the alumni from local storage
-    if (existingAlumni.image) {
-      await deleteFromSupabase(existingAlumni.image);
-    }
+  // Sign out every other session and hand this one fresh tokens
+  await revokeAllSessions(admin.id);
+  const { token, refreshToken } = await issueTokens({
+    ...admin,
+    tokenVersion: admin.tokenVersion + 1,
+    mustChangePassword: false,
+  });
+  res.json({ message: "Password updated", token, refreshToken });
+}));
 
-    await prisma.alumni.delete({
-      where: { id: parseInt(id) },
-    });
-    res.status(204).send();
-  } catch (error) {
-    console.error("Error deleting alumni:", error);
-    res.status(500).json({ error: "Failed to delete alumni", details: error.message });
+// Get an admin or throw NotFoundError
+const findAdminOrFail = async (id) => {
+  const admin = await prisma.admin.findUnique({ where: { id } });
+
+  if (!admin) {
+    throw new NotFoundError("Admin not found");
   }
-});
 
-// Get all galeri
-app.get("/api/galeri", async (req, res) => {
-  const galeri = await prisma.galeri.findMany();
-  res.json(galeri);
-});
+  return admin;
+};
 
-// Get galeri by ID
-app.get("/api/galeri/:id", async (req, res) => {
-  const { id } = req.params;
-  const galeriItem = await prisma.galeri.findUnique({
-    where: { id: parseInt(id) },
+// Get all admins
+app.get("/api/admins", requireSuperadmin, asyncHandler(async (req, res) => {
+  const admins = await prisma.admin.findMany({
+    select: adminSelect,
+    orderBy: { id: "asc" },
+  });
+  res.json(admins);
+}));
+
+// Get admin by ID
+app.get("/api/admins/:id", requireSuperadmin, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const admin = await prisma.admin.findUnique({
+    where: { id: req.params.id },
+    select: adminSelect,
   });
-  res.json(galeriItem);
-});
 
-// Add galeri with local image upload
-app.post("/api/galeri", upload.single("image"), async (req, res) => {
-  const { title } = req.body;
+  if (!admin) {
+    throw new NotFoundError("Admin not found");
+  }
 
-  try {
-    const image = req.file ? await uploadToSupabase(req.file) : null;
+  res.json(admin);
+}));
 
-    const newGaleri = await prisma.galeri.create({
-      data: {
-        title,
-        image,
-      },
-    });
-    res.json(newGaleri);
-  } catch (error) {
-    console.error("Error creating galeri:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to create galeri", details: error.message });
+// Create admin
+app.post("/api/admins", requireSuperadmin, validateRequest({ body: createAdminSchema }), asyncHandler(async (req, res) => {
+  const { username, password, role = "EDITOR" } = req.body;
+
+  const passwordError = validatePassword(password, username);
+  if (passwordError) {
+    throw new ValidationError(passwordPolicyError("password", passwordError));
   }
-});
 
-// Update galeri with local image upload
-app.put("/api/galeri/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { title } = req.body;
+  const existingAdmin = await prisma.admin.findUnique({
+    where: { username },
+  });
 
-  try {
-    const existingGaleri = await prisma.galeri.findUnique({
-      where: { id: parseInt(id) },
-    });
+  if (existingAdmin) {
+    throw new ConflictError("Username is already taken");
+  }
 
-    if (!existingGaleri) {
-      return res.status(404).json({ error: "Galeri not found" });
-    }
+  const newAdmin = await prisma.admin.create({
+    data: {
+      username,
+      password: await bcrypt.hash(password, 10),
+      role,
+      // The initial password is chosen by the superadmin
+      mustChangePassword: true,
+    },
+    select: adminSelect,
+  });
+  res.status(201).json(newAdmin);
+}));
 
-    let newImage = existingGaleri.image;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
-      if (existingGaleri.image) {
-        await deleteFromSupabase(existingGaleri.image);
-      }
-    }
+// Update admin role or enable/disable the account
+app.put("/api/admins/:id", requireSuperadmin, validateRequest({ params: idParams, body: updateAdminSchema }, { partial: true }), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const { role, isActive } = req.body;
+
+  // Prevent a superadmin from locking themselves out
+  if (
+    id === req.user.id &&
+    ((role !== undefined && role !== "SUPERADMIN") || isActive === false)
+  ) {
+    throw new ConflictError("You cannot demote or disable your own account");
+  }
 
-    const updatedGaleri = await prisma.galeri.update({
-      where: { id: parseInt(id) },
-      data: {
-        title,
-        image: newImage,
-      },
-    });
+  await findAdminOrFail(id);
 
-    res.json(updatedGaleri);
-  } catch (error) {
-    console.error("Error updating galeri:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to update galeri", details: error.message });
+  const updatedAdmin = await prisma.admin.update({
+    where: { id },
+    data: { role, isActive },
+    select: adminSelect,
+  });
+
+  if (isActive === false) {
+    await revokeAllSessions(updatedAdmin.id);
   }
-});
 
-// Delete galeri by ID
-app.delete("/api/galeri/:id", async (req, res) => {
+  res.json(updatedAdmin);
+}));
+
+// Reset another admin's password
+app.put("/api/admins/:id/password", requireSuperadmin, validateRequest({ params: idParams, body: resetPasswordSchema }), asyncHandler(async (req, res) => {
   const { id } = req.params;
+  const { password } = req.body;
 
-  try {
-    const existingGaleri = await prisma.galeri.findUnique({
-      where: { id: parseInt(id) },
-    });
+  const existingAdmin = await findAdminOrFail(id);
 
-    if (!existingGaleri) {
-      return res.status(404).json({ error: "Galeri not found" });
+  const passwordError = validatePassword(password, existingAdmin.username);
+  if (passwordError) {
+    throw new ValidationError(passwordPolicyError("password", passwordError));
+  }
+
+  await prisma.admin.update({
+    where: { id },
+    data: {
+      password: await bcrypt.hash(password, 10),
+      mustChangePassword: true,
+      failedLoginCount: 0,
+      lockedUntil: null,
+    },
+  });
+  await revokeAllSessions(existingAdmin.id);
+  res.json({ message: "Password has been reset" });
+}));
+
+// Sign out all sessions of an admin (e.g. after a leaked token)
+app.post("/api/admins/:id/revoke-sessions", requireSuperadmin, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const existingAdmin = await findAdminOrFail(req.params.id);
+
+  await revokeAllSessions(existingAdmin.id);
+  res.status(204).send();
+}));
+
+// Clear the lockout of an admin account
+app.delete("/api/admins/:id/lockout", requireSuperadmin, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const existingAdmin = await findAdminOrFail(req.params.id);
+
+  await prisma.$transaction([
+    prisma.admin.update({
+      where: { id: existingAdmin.id },
+      data: { failedLoginCount: 0, lockedUntil: null },
+    }),
+    prisma.loginAttempt.updateMany({
+      where: { username: existingAdmin.username, success: false, clearedAt: null },
+      data: { clearedAt: new Date() },
+    }),
+  ]);
+  res.status(204).send();
+}));
+
+// Get locked accounts and IP addresses that are currently rate limited
+app.get("/api/admin/lockouts", requireSuperadmin, asyncHandler(async (req, res) => {
+  const since = new Date(Date.now() - LOGIN_WINDOW_MINUTES * 60 * 1000);
+  const [lockedAdmins, failedByIp] = await Promise.all([
+    prisma.admin.findMany({
+      where: { lockedUntil: { gt: new Date() } },
+      select: adminSelect,
+    }),
+    prisma.loginAttempt.groupBy({
+      by: ["ipAddress"],
+      where: { success: false, clearedAt: null, createdAt: { gte: since } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  res.json({
+    admins: lockedAdmins,
+    ipAddresses: failedByIp
+      .filter((row) => row._count._all >= MAX_FAILED_LOGINS_PER_IP)
+      .map((row) => ({ ipAddress: row.ipAddress, failedAttempts: row._count._all })),
+  });
+}));
+
+const loginAttemptsQuerySchema = {
+  username: v.string({ max: 64 }),
+  ipAddress: v.string({ max: 64 }),
+  success: v.boolean(),
+};
+
+const clearLoginAttemptsQuerySchema = {
+  ipAddress: v.string({ required: true, max: 64 }),
+};
+
+// Get recent login attempts, optionally filtered by username, ipAddress or success
+app.get("/api/admin/login-attempts", requireSuperadmin, validateRequest({ query: loginAttemptsQuerySchema }), asyncHandler(async (req, res) => {
+  const { username, ipAddress, success } = req.query;
+
+  await sendPaginatedList(
+    req,
+    res,
+    prisma.loginAttempt,
+    {
+      defaultSort: "-createdAt",
+      sortable: ["createdAt", "id"],
+      filters: { createdAt: "dateRange" },
+    },
+    { where: { username, ipAddress, success } }
+  );
+}));
+
+// Clear failed login attempts of an IP address (lifts its rate limit)
+app.delete("/api/admin/login-attempts", requireSuperadmin, validateRequest({ query: clearLoginAttemptsQuerySchema }), asyncHandler(async (req, res) => {
+  const { ipAddress } = req.query;
+
+  const { count } = await prisma.loginAttempt.updateMany({
+    where: { ipAddress, success: false, clearedAt: null },
+    data: { clearedAt: new Date() },
+  });
+  res.json({ cleared: count });
+}));
+
+// Stored files whose deletion failed and is waiting for a retry
+app.get("/api/admin/storage/pending-deletions", requireSuperadmin, asyncHandler(async (req, res) => {
+  await sendPaginatedList(req, res, prisma.pendingDeletion, {
+    defaultSort: "nextAttemptAt",
+    sortable: ["nextAttemptAt", "createdAt", "attempts", "id"],
+    filters: { key: "contains" },
+  });
+}));
+
+// Retry the pending deletions that are due (also `npm run storage:cleanup`)
+app.post("/api/admin/storage/cleanup", requireSuperadmin, asyncHandler(async (req, res) => {
+  res.json(await processPendingDeletions());
+}));
+
+// Outgoing email queue (see lib/mailer.js)
+app.get("/api/admin/emails", requireSuperadmin, asyncHandler(async (req, res) => {
+  await sendPaginatedList(req, res, prisma.outboundEmail, {
+    defaultSort: "-createdAt",
+    sortable: ["createdAt", "nextAttemptAt", "sentAt", "attempts", "id"],
+    filters: {
+      status: OUTBOUND_EMAIL_STATUSES,
+      template: "contains",
+      contactId: "int",
+      createdAt: "dateRange",
+    },
+  });
+}));
+
+// Send the queued emails that are due (also `npm run mail:send`)
+app.post("/api/admin/emails/process", requireSuperadmin, asyncHandler(async (req, res) => {
+  res.json(await outbox.processOutbox());
+}));
+
+// Queue a failed email again and try to send it right away
+app.post("/api/admin/emails/:id/retry", requireSuperadmin, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const email = await prisma.outboundEmail.findUnique({ where: { id: req.params.id } });
+
+  if (!email) {
+    throw new NotFoundError("Email not found");
+  }
+  if (email.status === "SENT") {
+    throw new ConflictError("Email has already been sent");
+  }
+
+  await outbox.retry(email.id);
+  await outbox.processOutbox({ ids: [email.id] });
+  res.json(await prisma.outboundEmail.findUnique({ where: { id: email.id } }));
+}));
+
+// Endpoint to ensure server is running
+app.get("/", (req, res) => {
+  res.send("Backend server is running");
+});
+
+// ---------------------------------------------------------------------------
+// List queries
+//
+// Every collection route accepts:
+//   page, limit          1-based page number and page size (max 100)
+//   sort                 Comma separated fields, "-" prefix for descending,
+//                        e.g. sort=-publishedAt,title
+//   <field>[gte|lte]     Range filters on "dateRange" fields,
+//                        e.g. publishedAt[gte]=2025-01-01
+//   <field>=value        Filters on "contains", "int" and "boolean" fields,
+//                        or on fields declared with a list of allowed values
+//
+// The page is returned as a plain array; X-Total-Count and Link headers
+// carry the pagination metadata.
+// ---------------------------------------------------------------------------
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Parse page/limit/sort/filters; returns the Prisma query parts or { error }
+const parseListQuery = (query, { defaultSort = "id", sortable = ["id"], filters = {} }) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { field: "page", error: "page must be a positive integer" };
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { field: "limit", error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const orderBy = [];
+  for (const token of String(query.sort || defaultSort).split(",")) {
+    const field = token.trim().replace(/^-/, "");
+
+    if (!sortable.includes(field)) {
+      return { field: "sort", error: `sort must be one of ${sortable.join(", ")}` };
+    }
+
+    orderBy.push({ [field]: token.trim().startsWith("-") ? "desc" : "asc" });
+  }
+
+  // Tie-breaker so pages stay stable when the sort field has duplicates
+  if (!orderBy.some((order) => order.id)) {
+    orderBy.push({ id: "asc" });
+  }
+
+  const where = {};
+  for (const [field, type] of Object.entries(filters)) {
+    const raw = query[field];
+    if (raw === undefined || raw === "") continue;
+
+    if (Array.isArray(type)) {
+      if (!type.includes(raw)) {
+        return { field, error: `${field} must be one of ${type.join(", ")}` };
+      }
+      where[field] = raw;
+      continue;
+    }
+
+    switch (type) {
+      case "dateRange": {
+        if (typeof raw !== "object") {
+          return { field, error: `${field} filter must use ${field}[gte] and/or ${field}[lte]` };
+        }
+
+        const range = {};
+        for (const operator of ["gte", "lte"]) {
+          if (raw[operator] === undefined) continue;
+
+          const date = new Date(raw[operator]);
+          if (Number.isNaN(date.getTime())) {
+            return { field, error: `${field}[${operator}] must be a valid date` };
+          }
+          range[operator] = date;
+        }
+        where[field] = range;
+        break;
+      }
+      case "contains":
+        where[field] = { contains: String(raw), mode: "insensitive" };
+        break;
+      case "int": {
+        const value = Number(raw);
+        if (!Number.isInteger(value)) {
+          return { field, error: `${field} must be an integer` };
+        }
+        where[field] = value;
+        break;
+      }
+      case "boolean":
+        if (raw !== "true" && raw !== "false") {
+          return { field, error: `${field} must be true or false` };
+        }
+        where[field] = raw === "true";
+        break;
+      default:
+        throw new Error(`Unknown filter type "${type}" for ${field}`);
+    }
+  }
+
+  return { page, limit, orderBy, where };
+};
+
+const setPaginationHeaders = (req, res, { page, limit, total }) => {
+  const lastPage = Math.max(1, Math.ceil(total / limit));
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get("host")}`);
+
+  const pageLink = (pageNumber, rel) => {
+    url.searchParams.set("page", String(pageNumber));
+    url.searchParams.set("limit", String(limit));
+    return `<${url.toString()}>; rel="${rel}"`;
+  };
+
+  const links = [pageLink(1, "first")];
+  if (page > 1) links.push(pageLink(Math.min(page - 1, lastPage), "prev"));
+  if (page < lastPage) links.push(pageLink(page + 1, "next"));
+  links.push(pageLink(lastPage, "last"));
+
+  res.set("X-Total-Count", String(total));
+  res.set("Link", links.join(", "));
+};
+
+// Respond with one page of a collection. `args` may add a base `where`
+// (combined with the query filters), `select` or `include`, and an async
+// `transform` applied to the page of items before it is sent.
+const sendPaginatedList = async (req, res, delegate, listOptions, { transform, ...args } = {}) => {
+  const query = parseListQuery(req.query, listOptions);
+
+  if (query.error) {
+    throw new ValidationError([
+      { location: "query", field: query.field, message: query.error },
+    ]);
+  }
+
+  const where = args.where ? { AND: [args.where, query.where] } : query.where;
+
+  const [total, items] = await prisma.$transaction([
+    delegate.count({ where }),
+    delegate.findMany({
+      ...args,
+      where,
+      orderBy: query.orderBy,
+      skip: (query.page - 1) * query.limit,
+      take: query.limit,
+    }),
+  ]);
+
+  setPaginationHeaders(req, res, { page: query.page, limit: query.limit, total });
+  res.json(withMediaUrls(transform ? await transform(items) : items));
+};
+
+// ---------------------------------------------------------------------------
+// Content resources
+//
+// registerResource generates the list/get/create/update/delete routes for a
+// content model from a declarative definition:
+//
+//   name      Display name used in messages ("News not found")
+//   path      Base URL, e.g. "/api/news"
+//   model     Prisma delegate name, e.g. "news"
+//   fields    Validation schema for the body, e.g. { title: v.string() }
+//   files     { field: { required, kind, maxSize } } uploaded through multer,
+//             checked with checkUpload (kind "image", "pdf", "document" or
+//             "recording", see
+//             lib/files.js) and stored with storeUpload; the record keeps
+//             the storage key. Instead of a file, `<field>AssetId` may pick
+//             an existing file from the media library.
+//   validate  Optional (data, existing) => list of { field, message }
+//             for rules that span fields or depend on the stored record
+//   beforeSave
+//             Optional async (data, existing) => void, may modify data
+//             (derived fields, nested writes) right before create/update
+//   relatedFiles
+//             Optional (async) (existing) => list of storage keys of child
+//             records that are deleted together with the row
+//   include   Prisma include for every response, e.g. related rows
+//   detailInclude
+//             Prisma include for single-record responses (defaults to include)
+//   singleton Single-row resource: GET path returns the first row
+//   routes    Subset of ["list", "get", "create", "update", "delete"]
+//   list      { defaultSort, sortable, filters } for parseListQuery
+//   policy    { read, write } middleware arrays (write defaults to requireEditor)
+//   publishable
+//             Adds the status/publishedAt publishing workflow (see below)
+//   publicWhere
+//             Optional () => Prisma filter limiting the public list/get,
+//             e.g. to rows that consented to be shown; like publishable
+//             rows, editors see every row under /api/admin/<resource>
+//   publicInclude
+//             Optional include for the public list/get instead of include,
+//             e.g. to hide some related rows; editors get the full include
+//             under /api/admin/<resource>
+// ---------------------------------------------------------------------------
+
+const RESOURCE_ROUTES = ["list", "get", "create", "update", "delete"];
+
+// Publishing workflow for publishable resources:
+//   DRAFT      never public
+//   SCHEDULED  public once publishedAt has passed
+//   PUBLISHED  public (publishedAt defaults to the moment of publishing)
+//   ARCHIVED   never public
+// Public routes only return visible rows; editors preview everything under
+// /api/admin/<resource>.
+const PUBLISH_STATUSES = ["DRAFT", "SCHEDULED", "PUBLISHED", "ARCHIVED"];
+
+const publishingFields = {
+  status: v.enum(PUBLISH_STATUSES),
+  publishedAt: v.date({ nullable: true }),
+};
+
+// Prisma filter matching rows that are visible to the public right now
+const publishedWhere = () => ({
+  status: { in: ["SCHEDULED", "PUBLISHED"] },
+  OR: [{ publishedAt: null }, { publishedAt: { lte: new Date() } }],
+});
+
+// Fill in status/publishedAt defaults and check scheduling on create/update
+const applyPublishingRules = (data, existing) => {
+  const now = new Date();
+  const publishedAt =
+    data.publishedAt !== undefined ? data.publishedAt : existing?.publishedAt;
+
+  // Clients that predate the workflow don't send a status
+  if (!data.status && !existing) {
+    data.status = publishedAt && publishedAt > now ? "SCHEDULED" : "PUBLISHED";
+  }
+
+  const status = data.status || existing?.status;
+
+  if (
+    (data.status === "SCHEDULED" || data.publishedAt !== undefined) &&
+    status === "SCHEDULED" &&
+    (!publishedAt || publishedAt <= now)
+  ) {
+    throw new ValidationError([
+      {
+        location: "body",
+        field: "publishedAt",
+        message: "publishedAt must be in the future for scheduled items",
+      },
+    ]);
+  }
+
+  if (status === "PUBLISHED" && !publishedAt) {
+    data.publishedAt = now;
+  }
+};
+
+const registerResource = ({
+  name,
+  path,
+  model,
+  fields = {},
+  files = {},
+  validate,
+  singleton = false,
+  routes = RESOURCE_ROUTES,
+  list = {},
+  policy = {},
+  publishable = false,
+  publicWhere,
+  publicInclude,
+  beforeSave,
+  relatedFiles,
+  include,
+  detailInclude = include,
+}) => {
+  const delegate = prisma[model];
+  const readPolicy = policy.read || [];
+  const writePolicy = policy.write || requireEditor;
+  const fileFields = Object.keys(files);
+  const uploader = Object.values(files).every((rule) => (rule.kind || "image") === "image") ? imageUpload : upload;
+  const uploadFiles =
+    fileFields.length > 0
+      ? uploader.fields(fileFields.map((field) => ({ name: field, maxCount: 1 })))
+      : [];
+
+  const assetFields = Object.fromEntries(
+    fileFields.map((field) => [`${field}AssetId`, v.int({ min: 1 })])
+  );
+  const bodySchema = { ...(publishable ? publishingFields : {}), ...fields, ...assetFields };
+  const validateCreate = validateRequest({ body: bodySchema });
+  const validateUpdate = validateRequest({ params: idParams, body: bodySchema }, { partial: true });
+  const validateId = validateRequest({ params: idParams });
+
+  // Filter of the public reads, undefined when every row is public
+  const publicFilter = () => {
+    const filters = [publishable && publishedWhere(), publicWhere?.()].filter(Boolean);
+    return filters.length > 0 ? { AND: filters } : undefined;
+  };
+
+  // Run the resource's own validate hook
+  const checkRules = (data, existing) => {
+    const errors = (validate?.(data, existing) || []).map((error) => ({
+      location: "body",
+      ...error,
+    }));
+
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  };
+
+  const findExisting = async (id, where = {}, findInclude = detailInclude) => {
+    const existing = await delegate.findFirst({ where: { ...where, id }, include: findInclude });
+
+    if (!existing) {
+      throw new NotFoundError(`${name} not found`);
+    }
+
+    return existing;
+  };
+
+  // Files picked from the media library; returns { field: key }
+  const takeAssetFields = async (req) => {
+    const picked = {};
+
+    for (const field of fileFields) {
+      const assetField = `${field}AssetId`;
+      const assetId = req.body[assetField];
+      delete req.body[assetField];
+
+      if (assetId === undefined) continue;
+
+      if (req.files?.[field]?.[0]) {
+        throw new ValidationError([
+          { location: "body", field: assetField, message: `Send either ${field} or ${assetField}, not both` },
+        ]);
+      }
+      picked[field] = (await findReusableAsset(assetId, files[field], assetField)).key;
+    }
+
+    return picked;
+  };
+
+  // Upload every file field that was sent; returns { field: key }. All
+  // files are checked before the first one is stored.
+  const uploadFileFields = async (req, fileChanges) => {
+    const sent = fileFields
+      .map((field) => ({ field, file: req.files?.[field]?.[0] }))
+      .filter(({ file }) => file)
+      .map(({ field, file }) => ({ field, file, type: checkUpload(file, files[field]) }));
+
+    const uploaded = {};
+    for (const { field, file, type } of sent) {
+      uploaded[field] = await fileChanges.store(file, type);
+    }
+
+    return uploaded;
+  };
+
+  if (routes.includes("list")) {
+    app.get(path, readPolicy, asyncHandler(async (req, res) => {
+      if (!singleton) {
+        return sendPaginatedList(req, res, delegate, list, {
+          where: publicFilter(),
+          include: publicInclude || include,
+        });
+      }
+
+      const record = await delegate.findFirst({ include: detailInclude });
+
+      if (!record) {
+        throw new NotFoundError(`${name} not found`);
+      }
+
+      res.json(withMediaUrls(record));
+    }));
+  }
+
+  if (routes.includes("get")) {
+    app.get(`${path}/:id`, readPolicy, validateId, asyncHandler(async (req, res) => {
+      res.json(withMediaUrls(await findExisting(req.params.id, publicFilter(), publicInclude || detailInclude)));
+    }));
+  }
+
+  // Editor preview of every row, including drafts and scheduled items
+  if (publishable || publicWhere || publicInclude) {
+    const adminPath = path.replace(/^\/api\//, "/api/admin/");
+
+    app.get(adminPath, writePolicy, asyncHandler(async (req, res) => {
+      await sendPaginatedList(
+        req,
+        res,
+        delegate,
+        publishable ? { ...list, filters: { ...list.filters, status: PUBLISH_STATUSES } } : list,
+        { include }
+      );
+    }));
+
+    app.get(`${adminPath}/:id`, writePolicy, validateId, asyncHandler(async (req, res) => {
+      res.json(withMediaUrls(await findExisting(req.params.id)));
+    }));
+  }
+
+  if (routes.includes("create")) {
+    app.post(path, writePolicy, uploadFiles, validateCreate, asyncHandler(async (req, res) => {
+      const picked = await takeAssetFields(req);
+      const data = req.body;
+
+      const missingFiles = Object.entries(files)
+        .filter(([field, definition]) => definition.required && !req.files?.[field]?.[0] && !picked[field])
+        .map(([field]) => ({ location: "body", field, message: `${field} is required` }));
+
+      if (missingFiles.length > 0) {
+        throw new ValidationError(missingFiles);
+      }
+
+      checkRules(data, null);
+      if (publishable) {
+        applyPublishingRules(data, null);
+      }
+      await beforeSave?.(data, null);
+
+      const created = await withFileChanges(async (fileChanges) => {
+        Object.assign(data, picked, await uploadFileFields(req, fileChanges));
+        return delegate.create({ data, include: detailInclude });
+      });
+      res.status(201).json(withMediaUrls(created));
+    }));
+  }
+
+  if (routes.includes("update")) {
+    app.put(`${path}/:id`, writePolicy, uploadFiles, validateUpdate, asyncHandler(async (req, res) => {
+      const picked = await takeAssetFields(req);
+      const data = req.body;
+      const existing = await findExisting(req.params.id);
+
+      checkRules(data, existing);
+      if (publishable) {
+        applyPublishingRules(data, existing);
+      }
+      await beforeSave?.(data, existing);
+
+      // Old files are only removed once the record points to the new ones
+      const updated = await withFileChanges(async (fileChanges) => {
+        const uploaded = { ...picked, ...(await uploadFileFields(req, fileChanges)) };
+        Object.keys(uploaded).forEach((field) => fileChanges.discard(existing[field]));
+
+        return delegate.update({
+          where: { id: existing.id },
+          data: { ...data, ...uploaded },
+          include: detailInclude,
+        });
+      });
+
+      res.json(withMediaUrls(updated));
+    }));
+  }
+
+  if (routes.includes("delete")) {
+    app.delete(`${path}/:id`, writePolicy, validateId, asyncHandler(async (req, res) => {
+      const existing = await findExisting(req.params.id);
+
+      await withFileChanges(async (fileChanges) => {
+        fileFields.forEach((field) => fileChanges.discard(existing[field]));
+        ((await relatedFiles?.(existing)) || []).forEach(fileChanges.discard);
+
+        await delegate.delete({ where: { id: existing.id } });
+      });
+
+      res.status(204).send();
+    }));
+  }
+};
+
+// A slug is taken when another news item uses it, now or as an old slug
+const isNewsSlugTaken = async (slug, newsId) => {
+  const [newsItem, redirect] = await Promise.all([
+    prisma.news.findUnique({ where: { slug } }),
+    prisma.newsSlugRedirect.findUnique({ where: { slug } }),
+  ]);
+
+  return (
+    (newsItem && newsItem.id !== newsId) ||
+    (redirect && redirect.newsId !== newsId)
+  );
+};
+
+const uniqueNewsSlug = async (title, newsId) => {
+  const base = slugify(title) || "berita";
+  let slug = base;
+
+  for (let suffix = 2; await isNewsSlugTaken(slug, newsId); suffix++) {
+    slug = `${base}-${suffix}`;
+  }
+
+  return slug;
+};
+
+// Sanitize the body, compute the excerpt and keep the slug unique. A title
+// change regenerates the slug and keeps the old one as a redirect.
+const prepareNews = async (data, existing) => {
+  if (data.description !== undefined) {
+    data.description = sanitizeRichText(data.description);
+    data.excerpt = toExcerpt(data.description);
+  }
+
+  if (data.slug !== undefined) {
+    if (await isNewsSlugTaken(data.slug, existing?.id)) {
+      throw new ConflictError("slug is already used by another news item");
+    }
+  } else if (!existing || (data.title !== undefined && data.title !== existing.title)) {
+    data.slug = await uniqueNewsSlug(data.title, existing?.id);
+  }
+
+  if (existing && data.slug && data.slug !== existing.slug) {
+    data.slugRedirects = {
+      // Reverting to an old slug turns it back into the current one
+      deleteMany: { slug: data.slug },
+      create: { slug: existing.slug },
+    };
+  }
+};
+
+registerResource({
+  name: "News",
+  path: "/api/news",
+  model: "news",
+  publishable: true,
+  list: {
+    defaultSort: "-publishedAt",
+    sortable: ["publishedAt", "title", "id"],
+    filters: { publishedAt: "dateRange", title: "contains" },
+  },
+  fields: {
+    title: v.string({ required: true, max: 200 }),
+    slug: v.string({
+      max: 80,
+      pattern: SLUG_PATTERN,
+      patternMessage: "must contain only lowercase letters, numbers and dashes",
+    }),
+    description: v.string({ required: true, max: 100000 }),
+  },
+  files: { image: { required: false } },
+  beforeSave: prepareNews,
+});
+
+const slugParams = {
+  slug: v.string({ required: true, max: 80, pattern: SLUG_PATTERN }),
+};
+
+// Get published news by slug; old slugs redirect (301) to the current one
+app.get("/api/news/slug/:slug", validateRequest({ params: slugParams }), asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+
+  const newsItem = await prisma.news.findFirst({
+    where: { slug, ...publishedWhere() },
+  });
+
+  if (newsItem) {
+    return res.json(withMediaUrls(newsItem));
+  }
+
+  const redirect = await prisma.newsSlugRedirect.findUnique({
+    where: { slug },
+  });
+  const redirectTarget =
+    redirect &&
+    (await prisma.news.findFirst({
+      where: { id: redirect.newsId, ...publishedWhere() },
+    }));
+
+  if (!redirectTarget) {
+    throw new NotFoundError("News not found");
+  }
+
+  res.redirect(301, `/api/news/slug/${redirectTarget.slug}`);
+}));
+
+registerResource({
+  name: "Hero",
+  path: "/api/hero",
+  model: "hero",
+  singleton: true,
+  routes: ["list", "update"],
+  fields: {
+    welcomeMessage: v.string({ required: true, max: 200 }),
+    description: v.string({ required: true, max: 50000 }),
+  },
+  files: { image: { required: true } },
+});
+
+registerResource({
+  name: "Extracurricular",
+  path: "/api/extracurriculars",
+  model: "extracurricular",
+  list: {
+    defaultSort: "name",
+    sortable: ["name", "id"],
+    filters: { name: "contains" },
+  },
+  fields: {
+    name: v.string({ required: true, max: 100 }),
+    description: v.string({ required: true, max: 50000 }),
+  },
+  files: { image: { required: false } },
+});
+
+// Calendar PDF per academic year; the events themselves are under
+// /api/events
+registerResource({
+  name: "Kalender",
+  path: "/api/kalender",
+  model: "kalender",
+  list: {
+    defaultSort: "-academicYear",
+    sortable: ["academicYear", "title", "id"],
+    filters: { title: "contains", academicYear: "contains" },
+  },
+  fields: {
+    title: v.string({ required: true, max: 200 }),
+    academicYear: v.string({
+      nullable: true,
+      pattern: /^\d{4}\/\d{4}$/,
+      patternMessage: "must look like 2025/2026",
+    }),
+  },
+  validate: (data) => {
+    if (!data.academicYear) return [];
+
+    const [startYear, endYear] = data.academicYear.split("/").map(Number);
+    return endYear === startYear + 1
+      ? []
+      : [{ field: "academicYear", message: "academicYear must span two consecutive years" }];
+  },
+  files: { file: { required: false, kind: "pdf" } },
+});
+
+// Profile fields, edited by editors or by the alumni themselves (see the
+// alumni invites below)
+const alumniProfileFields = {
+  name: v.string({ required: true, max: 100 }),
+  batchYear: v.int({ nullable: true, min: 1900, max: 2200 }),
+  graduationYear: v.int({ nullable: true, min: 1900, max: 2200 }),
+  extracurricularId: v.int({ nullable: true, min: 1 }),
+  occupation: v.string({ nullable: true, max: 200 }),
+  institution: v.string({ nullable: true, max: 200 }),
+  socialLinks: v.array(
+    v.string({ max: 500, pattern: /^https?:\/\/\S+$/i, patternMessage: "must be a http(s) link" }),
+    { nullable: true, max: 10 }
+  ),
+  publicConsent: v.boolean(),
+};
+
+const prepareAlumniProfile = async (data, existing) => {
+  const batchYear = data.batchYear !== undefined ? data.batchYear : existing?.batchYear;
+  const graduationYear = data.graduationYear !== undefined ? data.graduationYear : existing?.graduationYear;
+
+  if (batchYear && graduationYear && graduationYear < batchYear) {
+    throw new ValidationError([
+      { location: "body", field: "graduationYear", message: "graduationYear must not be before batchYear" },
+    ]);
+  }
+
+  if (data.socialLinks === null) {
+    data.socialLinks = [];
+  }
+  if (data.extracurricularId) {
+    await findDivisionOrFail(data.extracurricularId);
+  }
+};
+
+// Public directory: only alumni who consented to be shown
+registerResource({
+  name: "Alumni",
+  path: "/api/alumni",
+  model: "alumni",
+  publicWhere: () => ({ publicConsent: true }),
+  list: {
+    defaultSort: "name",
+    sortable: ["name", "batchYear", "graduationYear", "id"],
+    filters: {
+      name: "contains",
+      batchYear: "int",
+      graduationYear: "int",
+      extracurricularId: "int",
+      occupation: "contains",
+      institution: "contains",
+    },
+  },
+  fields: alumniProfileFields,
+  files: { image: { required: false } },
+  include: { extracurricular: { select: { id: true, name: true } } },
+  beforeSave: prepareAlumniProfile,
+  // Photos of the self-service submissions, deleted with the invites
+  relatedFiles: async (alumni) =>
+    (
+      await prisma.alumniSubmission.findMany({
+        where: { OR: [{ alumniId: alumni.id }, { invite: { alumniId: alumni.id } }], image: { not: null } },
+        select: { image: true },
+      })
+    ).map((submission) => submission.image),
+});
+
+// ---------------------------------------------------------------------------
+// Galeri albums
+//
+// An album groups the photos of one event. Album metadata goes through
+// registerResource; photos are managed with the /photos routes below.
+// The cover is one of the album's own photos and falls back to the first
+// photo whenever it is unset or removed.
+// ---------------------------------------------------------------------------
+
+const albumPhotoOrder = [{ position: "asc" }, { id: "asc" }];
+
+// Check the optional links and that the cover belongs to this album
+const prepareAlbum = async (data, existing) => {
+  const errors = [];
+
+  if (data.newsId && !(await prisma.news.findUnique({ where: { id: data.newsId } }))) {
+    errors.push({ location: "body", field: "newsId", message: "newsId does not refer to an existing news item" });
+  }
+
+  if (
+    data.extracurricularId &&
+    !(await prisma.extracurricular.findUnique({ where: { id: data.extracurricularId } }))
+  ) {
+    errors.push({
+      location: "body",
+      field: "extracurricularId",
+      message: "extracurricularId does not refer to an existing extracurricular",
+    });
+  }
+
+  if (
+    data.coverPhotoId &&
+    !(existing && (await prisma.albumPhoto.findFirst({ where: { id: data.coverPhotoId, albumId: existing.id } })))
+  ) {
+    errors.push({ location: "body", field: "coverPhotoId", message: "coverPhotoId must be a photo of this album" });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+};
+
+registerResource({
+  name: "Album",
+  path: "/api/galeri",
+  model: "album",
+  publishable: true,
+  list: {
+    defaultSort: "-id",
+    sortable: ["title", "eventDate", "publishedAt", "id"],
+    filters: {
+      title: "contains",
+      eventDate: "dateRange",
+      newsId: "int",
+      extracurricularId: "int",
+    },
+  },
+  fields: {
+    title: v.string({ required: true, max: 200 }),
+    description: v.string({ nullable: true, max: 5000 }),
+    eventDate: v.date({ nullable: true }),
+    coverPhotoId: v.int({ nullable: true, min: 1 }),
+    newsId: v.int({ nullable: true, min: 1 }),
+    extracurricularId: v.int({ nullable: true, min: 1 }),
+  },
+  include: {
+    coverPhoto: true,
+    _count: { select: { photos: true } },
+  },
+  detailInclude: {
+    coverPhoto: true,
+    photos: { orderBy: albumPhotoOrder },
+    news: { select: { id: true, title: true, slug: true } },
+    extracurricular: { select: { id: true, name: true } },
+  },
+  beforeSave: prepareAlbum,
+  relatedFiles: (album) => album.photos.map((photo) => photo.image),
+});
+
+const findAlbumOrFail = async (id) => {
+  const album = await prisma.album.findUnique({ where: { id } });
+
+  if (!album) {
+    throw new NotFoundError("Album not found");
+  }
+
+  return album;
+};
+
+// Use the first photo as cover when the album has none
+const refreshAlbumCover = async (client, albumId) => {
+  const album = await client.album.findUnique({
+    where: { id: albumId },
+    select: { coverPhotoId: true, photos: { select: { id: true }, orderBy: albumPhotoOrder, take: 1 } },
+  });
+
+  if (album && !album.coverPhotoId && album.photos.length > 0) {
+    await client.album.update({ where: { id: albumId }, data: { coverPhotoId: album.photos[0].id } });
+  }
+};
+
+const listAlbumPhotos = (albumId) =>
+  prisma.albumPhoto.findMany({ where: { albumId }, orderBy: albumPhotoOrder });
+
+const albumPhotoParams = {
+  ...idParams,
+  photoId: v.int({ required: true, min: 1 }),
+};
+
+const photoIdsField = v.array(v.int({ min: 1 }), { required: true, min: 1 });
+
+const reorderPhotosSchema = { photoIds: photoIdsField };
+
+const movePhotosSchema = {
+  photoIds: photoIdsField,
+  albumId: v.int({ required: true, min: 1 }),
+};
+
+const updatePhotoSchema = {
+  caption: v.string({ nullable: true, max: 500 }),
+};
+
+const addPhotosSchema = {
+  assetIds: v.array(v.int({ min: 1 }), { max: MAX_PHOTOS_PER_UPLOAD }),
+};
+
+// Bulk upload: multipart "photos" (repeatable) and/or `assetIds` picked from
+// the media library, appended in the sent order (library photos first)
+app.post(
+  "/api/galeri/:id/photos",
+  requireEditor,
+  imageUpload.array("photos", MAX_PHOTOS_PER_UPLOAD),
+  validateRequest({ params: idParams, body: addPhotosSchema }),
+  asyncHandler(async (req, res) => {
+    const album = await findAlbumOrFail(req.params.id);
+    const { assetIds = [] } = req.body;
+    const uploads = req.files || [];
+
+    if (uploads.length === 0 && assetIds.length === 0) {
+      throw new ValidationError([{ location: "body", field: "photos", message: "photos is required" }]);
+    }
+
+    const types = uploads.map((file) => checkUpload(file, { kind: "image" }));
+
+    const picked = [];
+    for (const assetId of assetIds) {
+      picked.push((await findReusableAsset(assetId, { kind: "image" }, "assetIds")).key);
+    }
+
+    const photos = await withFileChanges(async (fileChanges) => {
+      const images = [...picked];
+      for (const [index, file] of uploads.entries()) {
+        images.push(await fileChanges.store(file, types[index]));
+      }
+
+      return prisma.$transaction(async (tx) => {
+        const { _max } = await tx.albumPhoto.aggregate({
+          where: { albumId: album.id },
+          _max: { position: true },
+        });
+        const start = (_max.position ?? -1) + 1;
+
+        const created = [];
+        for (const [index, image] of images.entries()) {
+          created.push(
+            await tx.albumPhoto.create({ data: { albumId: album.id, image, position: start + index } })
+          );
+        }
+
+        await refreshAlbumCover(tx, album.id);
+        return created;
+      });
+    });
+
+    res.status(201).json(withMediaUrls(photos));
+  })
+);
+
+// Reorder: photoIds must list every photo of the album exactly once
+app.put(
+  "/api/galeri/:id/photos/order",
+  requireEditor,
+  validateRequest({ params: idParams, body: reorderPhotosSchema }),
+  asyncHandler(async (req, res) => {
+    const album = await findAlbumOrFail(req.params.id);
+    const { photoIds } = req.body;
+
+    const current = new Set((await listAlbumPhotos(album.id)).map((photo) => photo.id));
+
+    if (
+      photoIds.length !== current.size ||
+      new Set(photoIds).size !== photoIds.length ||
+      !photoIds.every((photoId) => current.has(photoId))
+    ) {
+      throw new ValidationError([
+        { location: "body", field: "photoIds", message: "photoIds must list every photo of the album exactly once" },
+      ]);
+    }
+
+    await prisma.$transaction(
+      photoIds.map((photoId, position) =>
+        prisma.albumPhoto.update({ where: { id: photoId }, data: { position } })
+      )
+    );
+
+    res.json(withMediaUrls(await listAlbumPhotos(album.id)));
+  })
+);
+
+// Move photos to another album, appended after its last photo
+app.post(
+  "/api/galeri/:id/photos/move",
+  requireEditor,
+  validateRequest({ params: idParams, body: movePhotosSchema }),
+  asyncHandler(async (req, res) => {
+    const album = await findAlbumOrFail(req.params.id);
+    const { photoIds, albumId: targetId } = req.body;
+
+    if (targetId === album.id) {
+      throw new ValidationError([
+        { location: "body", field: "albumId", message: "albumId must be a different album" },
+      ]);
+    }
+
+    const target = await findAlbumOrFail(targetId);
+    const photos = await prisma.albumPhoto.findMany({
+      where: { id: { in: photoIds }, albumId: album.id },
+      orderBy: albumPhotoOrder,
+    });
+
+    if (photos.length !== new Set(photoIds).size) {
+      throw new ValidationError([
+        { location: "body", field: "photoIds", message: "photoIds must be photos of this album" },
+      ]);
+    }
+
+    await prisma.$transaction(async (tx) => {
+      if (photoIds.includes(album.coverPhotoId)) {
+        await tx.album.update({ where: { id: album.id }, data: { coverPhotoId: null } });
+      }
+
+      const { _max } = await tx.albumPhoto.aggregate({
+        where: { albumId: target.id },
+        _max: { position: true },
+      });
+      const start = (_max.position ?? -1) + 1;
+
+      for (const [index, photo] of photos.entries()) {
+        await tx.albumPhoto.update({
+          where: { id: photo.id },
+          data: { albumId: target.id, position: start + index },
+        });
+      }
+
+      await refreshAlbumCover(tx, album.id);
+      await refreshAlbumCover(tx, target.id);
+    });
+
+    res.json(withMediaUrls(await listAlbumPhotos(target.id)));
+  })
+);
+
+// Update a photo's caption
+app.put(
+  "/api/galeri/:id/photos/:photoId",
+  requireEditor,
+  validateRequest({ params: albumPhotoParams, body: updatePhotoSchema }, { partial: true }),
+  asyncHandler(async (req, res) => {
+    const { id, photoId } = req.params;
+    const photo = await prisma.albumPhoto.findFirst({ where: { id: photoId, albumId: id } });
+
+    if (!photo) {
+      throw new NotFoundError("Photo not found");
     }
 
-    if (existingGaleri.image) {
-      await deleteFromSupabase(existingGaleri.image);
-    }
+    const updated = await prisma.albumPhoto.update({ where: { id: photo.id }, data: req.body });
+    res.json(withMediaUrls(updated));
+  })
+);
+
+// Delete a photo and its file
+app.delete(
+  "/api/galeri/:id/photos/:photoId",
+  requireEditor,
+  validateRequest({ params: albumPhotoParams }),
+  asyncHandler(async (req, res) => {
+    const { id, photoId } = req.params;
+    const photo = await prisma.albumPhoto.findFirst({ where: { id: photoId, albumId: id } });
+
+    if (!photo) {
+      throw new NotFoundError("Photo not found");
+    }
+
+    // The album's cover is reset by the foreign key (ON DELETE SET NULL)
+    await withFileChanges(async (fileChanges) => {
+      fileChanges.discard(photo.image);
+
+      await prisma.$transaction(async (tx) => {
+        await tx.albumPhoto.delete({ where: { id: photo.id } });
+        await refreshAlbumCover(tx, id);
+      });
+    });
+
+    res.status(204).send();
+  })
+);
+
+registerResource({
+  name: "Sarana",
+  path: "/api/sarana",
+  model: "sarana",
+  list: {
+    defaultSort: "name",
+    sortable: ["name", "id"],
+    filters: { name: "contains" },
+  },
+  fields: {
+    name: v.string({ required: true, max: 100 }),
+    description: v.string({ required: true, max: 50000 }),
+  },
+  files: { image: { required: false } },
+});
+
+registerResource({
+  name: "Headmaster Message",
+  path: "/api/headmaster-message",
+  model: "headmasterMessage",
+  singleton: true,
+  routes: ["list", "update"],
+  fields: {
+    message: v.string({ required: true, max: 5000 }),
+    description: v.string({ required: true, max: 50000 }),
+    headmasterName: v.string({ required: true, max: 100 }),
+  },
+  files: { image: { required: true } },
+});
+
+registerResource({
+  name: "Sejarah",
+  path: "/api/sejarah",
+  model: "sejarah",
+  publishable: true,
+  list: {
+    defaultSort: "period",
+    sortable: ["period", "id"],
+    filters: { period: "contains" },
+  },
+  fields: {
+    period: v.string({ required: true, max: 50 }),
+    text: v.string({ required: true, max: 50000 }),
+  },
+  files: { image: { required: false } },
+});
+
+registerResource({
+  name: "Visi Misi",
+  path: "/api/visi-misi",
+  model: "visiMisi",
+  singleton: true,
+  routes: ["list", "update"],
+  fields: {
+    visi: v.string({ required: true, max: 5000 }),
+    misi: v.array(v.string({ max: 500 }), { required: true, min: 1 }),
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Media library
+//
+// Every upload is registered as an Asset (see withFileChanges). Editors can
+// browse the library and reuse a file through `<field>AssetId` or the album
+// `assetIds` instead of uploading it again.
+// ---------------------------------------------------------------------------
+
+const mediaQuerySchema = {
+  kind: v.enum(Object.keys(FILE_KINDS)),
+};
+
+const garbageCollectionQuerySchema = {
+  minAgeHours: v.int({ min: 0, max: 24 * 365 }),
+};
+
+// URLs (and srcset for images) plus the rows that use each asset
+const serializeAssets = async (assets) => {
+  const references = await referencesOf(assets.map((asset) => asset.key));
+
+  return assets.map((asset) => ({
+    ...asset,
+    url: toPublicUrl(asset.key),
+    image: asset.mime.startsWith("image/") ? asset.key : null,
+    references: references.get(asset.key) || [],
+  }));
+};
+
+const findAssetOrFail = async (id) => {
+  const asset = await prisma.asset.findUnique({ where: { id } });
+
+  if (!asset) {
+    throw new NotFoundError("Asset not found");
+  }
+
+  return asset;
+};
+
+// Browse the library: GET /api/media?kind=image&originalName=pentas
+app.get("/api/media", requireEditor, validateRequest({ query: mediaQuerySchema }), asyncHandler(async (req, res) => {
+  const { kind } = req.query;
+
+  await sendPaginatedList(
+    req,
+    res,
+    prisma.asset,
+    {
+      defaultSort: "-createdAt",
+      sortable: ["createdAt", "size", "originalName", "id"],
+      filters: { originalName: "contains", mime: "contains", createdAt: "dateRange" },
+    },
+    {
+      where: kind ? { mime: { in: FILE_KINDS[kind].types } } : undefined,
+      transform: serializeAssets,
+    }
+  );
+}));
+
+app.get("/api/media/:id", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const [asset] = await serializeAssets([await findAssetOrFail(req.params.id)]);
+  res.json(withMediaUrls(asset));
+}));
+
+// Delete an unused file from the library
+app.delete("/api/media/:id", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const asset = await findAssetOrFail(req.params.id);
+  const references = (await referencesOf([asset.key])).get(asset.key);
+
+  if (references) {
+    throw new ConflictError(`Asset is still used by ${references.length} record(s)`);
+  }
+
+  await removeFiles([asset.key]);
+  res.status(204).send();
+}));
+
+// Report stored files that no row references (nothing is deleted)
+app.get("/api/admin/media/orphans", requireSuperadmin, validateRequest({ query: garbageCollectionQuerySchema }), asyncHandler(async (req, res) => {
+  res.json(await collectGarbage({ dryRun: true, minAgeHours: req.query.minAgeHours }));
+}));
+
+// Delete unreferenced files (also `npm run media:gc -- --delete`)
+app.post("/api/admin/media/gc", requireSuperadmin, validateRequest({ query: garbageCollectionQuerySchema }), asyncHandler(async (req, res) => {
+  res.json(await collectGarbage({ dryRun: false, minAgeHours: req.query.minAgeHours }));
+}));
+
+// ---------------------------------------------------------------------------
+// Search
+//
+// PostgreSQL full-text search over the public content tables using the
+// built-in "indonesian" configuration (Snowball stemmer, PostgreSQL 12+).
+// Titles are weighted above body text. The GIN indexes in the
+// add_search_indexes and replace_galeri_with_albums migrations are built on
+// the same searchDocument() expressions, so keep both in sync.
+// ---------------------------------------------------------------------------
+
+const SEARCH_CONFIG = "indonesian";
+const MAX_SEARCH_RESULTS = 50;
+
+const SEARCH_SOURCES = [
+  {
+    type: "news",
+    table: "News",
+    titleColumn: "title",
+    bodyColumn: "description",
+    publishable: true,
+    richText: true,
+  },
+  { type: "extracurricular", table: "Extracurricular", titleColumn: "name", bodyColumn: "description" },
+  { type: "sejarah", table: "Sejarah", titleColumn: "period", bodyColumn: "text", publishable: true },
+  {
+    type: "galeri",
+    table: "Album",
+    titleColumn: "title",
+    bodyColumn: "description",
+    publishable: true,
+    // Albums have no image of their own; use the cover photo
+    imageSql: `(SELECT "image" FROM "AlbumPhoto" WHERE "AlbumPhoto"."id" = "Album"."coverPhotoId")`,
+  },
+  { type: "sarana", table: "Sarana", titleColumn: "name", bodyColumn: null },
+];
+const SEARCH_TYPES = SEARCH_SOURCES.map((source) => source.type);
+const RICH_TEXT_SEARCH_TYPES = SEARCH_SOURCES.filter((source) => source.richText).map((source) => source.type);
+
+// Matches are delimited with control characters and turned into <mark>
+// once the snippet is escaped (see highlightSnippet)
+const HEADLINE_OPTIONS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MinWords=5, MaxWords=20`;
+
+// SQL for the weighted tsvector of a source (must match the migration)
+const searchDocument = ({ titleColumn, bodyColumn }) => {
+  const title = `setweight(to_tsvector('${SEARCH_CONFIG}', coalesce("${titleColumn}", '')), 'A')`;
+  if (!bodyColumn) return title;
+  return `${title} || setweight(to_tsvector('${SEARCH_CONFIG}', coalesce("${bodyColumn}", '')), 'B')`;
+};
+
+// Same visibility rule as publishedWhere()
+const publishedSql = Prisma.sql`
+  AND "status" IN ('SCHEDULED', 'PUBLISHED')
+  AND ("publishedAt" IS NULL OR "publishedAt" <= now())
+`;
+
+// One SELECT per source; the snippet is taken from the body (tags stripped,
+// since editors paste HTML) or from the title when there is no body
+const searchSourceQuery = (source, query) => {
+  const document = Prisma.raw(searchDocument(source));
+  const snippetColumns = [source.bodyColumn, source.titleColumn].filter(Boolean).map((column) => `"${column}"`);
+  const snippetText = Prisma.raw(
+    `regexp_replace(coalesce(${snippetColumns.join(", ")}, ''), '<[^>]*>', ' ', 'g')`
+  );
+
+  return Prisma.sql`
+    SELECT
+      ${source.type}::text AS "type",
+      "id",
+      ${Prisma.raw(`"${source.titleColumn}"`)} AS "title",
+      ${Prisma.raw(source.imageSql || `"image"`)} AS "image",
+      ts_headline(${SEARCH_CONFIG}::regconfig, ${snippetText}, websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${query}),
+        ${HEADLINE_OPTIONS}) AS "snippet",
+      ts_rank(${document}, websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${query})) AS "rank"
+    FROM ${Prisma.raw(`"${source.table}"`)}
+    WHERE ${document} @@ websearch_to_tsquery(${SEARCH_CONFIG}::regconfig, ${query})
+    ${source.publishable ? publishedSql : Prisma.empty}
+  `;
+};
+
+const searchQuerySchema = {
+  q: v.string({ required: true, min: 2, max: 200 }),
+  type: v.array(v.enum(SEARCH_TYPES), { separator: "," }),
+  page: v.int({ min: 1 }),
+  limit: v.int({ min: 1, max: MAX_SEARCH_RESULTS }),
+};
+
+// Search public content: GET /api/search?q=hadrah&type=news,galeri
+app.get("/api/search", validateRequest({ query: searchQuerySchema }), asyncHandler(async (req, res) => {
+  const { q, type: types = SEARCH_TYPES, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+
+  const sources = SEARCH_SOURCES.filter((source) => types.includes(source.type));
+  const results = Prisma.join(
+    sources.map((source) => searchSourceQuery(source, q)),
+    " UNION ALL "
+  );
+  const rows = await prisma.$queryRaw`
+    SELECT *, count(*) OVER() AS "total"
+    FROM (${results}) AS "results"
+    ORDER BY "rank" DESC, "type", "id"
+    LIMIT ${limit} OFFSET ${(page - 1) * limit}
+  `;
+
+  let total = rows.length > 0 ? Number(rows[0].total) : 0;
+
+  // A page past the end has no row to read the total from
+  if (rows.length === 0 && page > 1) {
+    const [count] = await prisma.$queryRaw`SELECT count(*) AS "total" FROM (${results}) AS "results"`;
+    total = Number(count.total);
+  }
+
+  setPaginationHeaders(req, res, { page, limit, total });
+  res.json(
+    withMediaUrls(
+      rows.map(({ total: _total, rank, ...result }) => ({
+        ...result,
+        snippet: highlightSnippet(result.snippet, { html: RICH_TEXT_SEARCH_TYPES.includes(result.type) }),
+        rank: Number(rank),
+      }))
+    )
+  );
+}));
+
+// ---------------------------------------------------------------------------
+// Contact inbox
+//
+// Public submissions go through a honeypot, a per-IP rate limit, the
+// optional CAPTCHA (lib/captcha.js) and the spam heuristics (lib/spam.js).
+// The secretariat works the inbox: status, assignee, notes and a log of
+// the replies sent.
+// ---------------------------------------------------------------------------
+
+const CONTACT_STATUSES = ["UNREAD", "READ", "ARCHIVED", "SPAM"];
+const CONTACT_REPLY_CHANNELS = ["EMAIL", "WHATSAPP", "PHONE", "OTHER"];
+
+const captcha = createCaptchaVerifier();
+
+// Flood and bot protection shared by the public forms: a per-IP rate limit
+// on `delegate` (a model with ipAddress/createdAt) and the CAPTCHA, whose
+// token must have been made for `action`
+const checkPublicSubmission = async (req, delegate, action) => {
+  const recentSubmissions = await delegate.count({
+    where: {
+      ipAddress: req.ip,
+      createdAt: { gte: new Date(Date.now() - CONTACT_WINDOW_MINUTES * 60 * 1000) },
+    },
+  });
+
+  if (recentSubmissions >= MAX_CONTACTS_PER_IP) {
+    throw new TooManyRequestsError(
+      "Too many messages, please try again later",
+      CONTACT_WINDOW_MINUTES * 60
+    );
+  }
+
+  if (captcha.enabled && !(await captcha.verify(req.body.captchaToken, req.ip, action))) {
+    throw new ValidationError([
+      { location: "body", field: "captchaToken", message: "CAPTCHA verification failed" },
+    ]);
+  }
+};
+
+// Queue emails and try to send them right away (serverless functions may
+// stop after the response). Failures stay queued for a retry and never
+// fail the request.
+const sendEmails = async (emails) => {
+  try {
+    const queued = [];
+    for (const email of emails) {
+      queued.push(await outbox.enqueue(email));
+    }
+
+    if (queued.length > 0) {
+      await outbox.processOutbox({ ids: queued.map((email) => email.id) });
+    }
+  } catch (error) {
+    console.error("Failed to queue emails:", error);
+  }
+};
+
+// Link to a page of the admin dashboard, when ADMIN_URL is set
+const adminUrl = (path) =>
+  process.env.ADMIN_URL ? `${process.env.ADMIN_URL.replace(/\/+$/, "")}${path}` : undefined;
+
+const contactSchema = {
+  name: v.string({ required: true, max: 100 }),
+  email: v.email({ required: true }),
+  phone: v.phone({ required: true }),
+  message: v.string({ required: true, max: 5000 }),
+  // Honeypot: hidden in the form, only bots fill it in
+  website: v.string({ max: 500 }),
+  captchaToken: v.string({ max: 4096 }),
+};
+
+const updateContactSchema = {
+  status: v.enum(CONTACT_STATUSES),
+  assigneeId: v.int({ nullable: true, min: 1 }),
+};
+
+const contactNoteSchema = {
+  body: v.string({ required: true, max: 5000 }),
+};
+
+const contactReplySchema = {
+  channel: v.enum(CONTACT_REPLY_CHANNELS, { required: true }),
+  body: v.string({ required: true, max: 20000 }),
+  sentAt: v.date(),
+};
+
+const contactAuthorSelect = { id: true, username: true };
+
+const contactDetailInclude = {
+  assignee: { select: contactAuthorSelect },
+  notes: { orderBy: { createdAt: "asc" }, include: { author: { select: contactAuthorSelect } } },
+  replies: { orderBy: { sentAt: "asc" }, include: { author: { select: contactAuthorSelect } } },
+};
+
+const findContactOrFail = async (id) => {
+  const contact = await prisma.contact.findUnique({ where: { id } });
+
+  if (!contact) {
+    throw new NotFoundError("Contact not found");
+  }
+
+  return contact;
+};
+
+// Notify the secretariat of a new contact message (and acknowledge it to
+// the sender with CONTACT_AUTO_REPLY)
+const notifyNewContact = (contact) => {
+  const emails = [];
+
+  if (CONTACT_NOTIFY_TO.length > 0) {
+    emails.push({
+      ...contactNotificationEmail(contact, { inboxUrl: adminUrl(`/contacts/${contact.id}`) }),
+      to: CONTACT_NOTIFY_TO,
+      replyTo: contact.email,
+      contactId: contact.id,
+    });
+  }
+
+  if (CONTACT_AUTO_REPLY) {
+    emails.push({
+      ...contactAcknowledgementEmail(contact),
+      to: [contact.email],
+      contactId: contact.id,
+    });
+  }
+
+  return sendEmails(emails);
+};
+
+// Create a new contact message. The answer is the same whether the
+// message was stored, flagged as spam or dropped by the honeypot.
+app.post("/api/contacts", validateRequest({ body: contactSchema }), asyncHandler(async (req, res) => {
+  const { name, email, phone, message, website } = req.body;
+
+  if (website) {
+    return res.status(201).json({ received: true });
+  }
+
+  await checkPublicSubmission(req, prisma.contact, "contact");
+
+  const spam = scoreContactMessage({ name, message });
+
+  const contact = await prisma.contact.create({
+    data: {
+      name,
+      email,
+      phone,
+      message,
+      ipAddress: req.ip,
+      spamScore: spam.score,
+      spamReasons: spam.reasons,
+      status: spam.score >= SPAM_THRESHOLD ? "SPAM" : "UNREAD",
+    },
+  });
+
+  if (contact.status !== "SPAM") {
+    await notifyNewContact(contact);
+  }
+  res.status(201).json({ received: true });
+}));
+
+// Get contact messages; spam is left out unless asked for (?status=SPAM)
+app.get("/api/contacts", requireInboxReader, asyncHandler(async (req, res) => {
+  await sendPaginatedList(
+    req,
+    res,
+    prisma.contact,
+    {
+      defaultSort: "-createdAt",
+      sortable: ["createdAt", "name", "id"],
+      filters: {
+        createdAt: "dateRange",
+        name: "contains",
+        email: "contains",
+        status: CONTACT_STATUSES,
+        assigneeId: "int",
+      },
+    },
+    {
+      where: req.query.status ? undefined : { status: { not: "SPAM" } },
+      include: {
+        assignee: { select: contactAuthorSelect },
+        _count: { select: { notes: true, replies: true } },
+      },
+    }
+  );
+}));
+
+// Number of messages per status, e.g. for an unread badge
+app.get("/api/contacts/summary", requireInboxReader, asyncHandler(async (req, res) => {
+  const groups = await prisma.contact.groupBy({ by: ["status"], _count: { _all: true } });
+
+  res.json(
+    Object.fromEntries(
+      CONTACT_STATUSES.map((status) => [
+        status,
+        groups.find((group) => group.status === status)?._count._all || 0,
+      ])
+    )
+  );
+}));
+
+// Get a message with its notes and replies; opening an unread message marks
+// it as read
+app.get("/api/contacts/:id", requireInboxReader, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const contact = await findContactOrFail(req.params.id);
+
+  if (contact.status !== "UNREAD") {
+    return res.json(
+      await prisma.contact.findUnique({ where: { id: contact.id }, include: contactDetailInclude })
+    );
+  }
+
+  res.json(
+    await prisma.contact.update({
+      where: { id: contact.id },
+      data: { status: "READ", readAt: new Date() },
+      include: contactDetailInclude,
+    })
+  );
+}));
+
+// Change the status or (un)assign the message to an admin
+app.put("/api/contacts/:id", requireInboxReader, validateRequest({ params: idParams, body: updateContactSchema }, { partial: true }), asyncHandler(async (req, res) => {
+  const contact = await findContactOrFail(req.params.id);
+  const data = req.body;
+
+  if (data.assigneeId) {
+    const assignee = await prisma.admin.findUnique({ where: { id: data.assigneeId } });
+
+    if (!assignee || !assignee.isActive) {
+      throw new ValidationError([
+        { location: "body", field: "assigneeId", message: "assigneeId must be an active admin" },
+      ]);
+    }
+  }
+
+  if (data.status === "UNREAD") {
+    data.readAt = null;
+  } else if (data.status && !contact.readAt) {
+    data.readAt = new Date();
+  }
+
+  res.json(
+    await prisma.contact.update({ where: { id: contact.id }, data, include: contactDetailInclude })
+  );
+}));
+
+// Add an internal note
+app.post("/api/contacts/:id/notes", requireInboxReader, validateRequest({ params: idParams, body: contactNoteSchema }), asyncHandler(async (req, res) => {
+  const contact = await findContactOrFail(req.params.id);
+
+  const note = await prisma.contactNote.create({
+    data: { contactId: contact.id, authorId: req.user.id, body: req.body.body },
+    include: { author: { select: contactAuthorSelect } },
+  });
+  res.status(201).json(note);
+}));
+
+// Log a reply sent to the sender (by email, WhatsApp, phone...)
+app.post("/api/contacts/:id/replies", requireInboxReader, validateRequest({ params: idParams, body: contactReplySchema }), asyncHandler(async (req, res) => {
+  const contact = await findContactOrFail(req.params.id);
+  const { channel, body, sentAt } = req.body;
+
+  const [reply] = await prisma.$transaction([
+    prisma.contactReply.create({
+      data: { contactId: contact.id, authorId: req.user.id, channel, body, sentAt },
+      include: { author: { select: contactAuthorSelect } },
+    }),
+    prisma.contact.updateMany({
+      where: { id: contact.id, status: "UNREAD" },
+      data: { status: "READ", readAt: new Date() },
+    }),
+  ]);
+  res.status(201).json(reply);
+}));
+
+// Delete a contact message by ID
+app.delete("/api/contacts/:id", requireInboxReader, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const existingContact = await prisma.contact.findUnique({
+    where: { id },
+  });
+
+  if (!existingContact) {
+    throw new NotFoundError("Contact not found");
+  }
+
+  const deletedContact = await prisma.contact.delete({
+    where: { id },
+  });
+  res.status(200).json(deletedContact);
+}));
+
+// ---------------------------------------------------------------------------
+// Performance bookings
+//
+// Organizers request one of the divisions for their event through the
+// public form (same protections as the contact form). The secretariat
+// accepts or declines; a division can only have one accepted booking per
+// date.
+// ---------------------------------------------------------------------------
+
+const BOOKING_STATUSES = ["PENDING", "ACCEPTED", "DECLINED", "DONE"];
+
+const bookingFields = {
+  extracurricularId: v.int({ required: true, min: 1 }),
+  eventName: v.string({ required: true, max: 200 }),
+  eventDate: v.day({ required: true }),
+  startTime: v.time({ nullable: true }),
+  endTime: v.time({ nullable: true }),
+  location: v.string({ required: true, max: 500 }),
+  organizer: v.string({ required: true, max: 200 }),
+  contactName: v.string({ required: true, max: 100 }),
+  contactEmail: v.email({ required: true }),
+  contactPhone: v.phone({ required: true }),
+  message: v.string({ nullable: true, max: 5000 }),
+};
+
+const bookingSchema = {
+  ...bookingFields,
+  // Honeypot, see contactSchema
+  website: v.string({ max: 500 }),
+  captchaToken: v.string({ max: 4096 }),
+};
+
+const updateBookingSchema = {
+  ...bookingFields,
+  status: v.enum(BOOKING_STATUSES),
+  adminNote: v.string({ nullable: true, max: 5000 }),
+};
+
+const bookingInclude = {
+  extracurricular: { select: { id: true, name: true } },
+  decidedBy: { select: contactAuthorSelect },
+};
+
+// Today's date in Indonesia (WIB, UTC+7) as a @db.Date value
+const todayInIndonesia = () =>
+  new Date(`${new Date(Date.now() + 7 * 60 * 60 * 1000).toISOString().slice(0, 10)}T00:00:00.000Z`);
+
+const checkBookingTimes = ({ startTime, endTime }) => {
+  if (startTime && endTime && endTime <= startTime) {
+    throw new ValidationError([
+      { location: "body", field: "endTime", message: "endTime must be after startTime" },
+    ]);
+  }
+};
+
+// Division (extracurricular) referenced by the body `field`
+const findDivisionOrFail = async (id, { client = prisma, field = "extracurricularId" } = {}) => {
+  const division = await client.extracurricular.findUnique({ where: { id }, select: { id: true, name: true } });
+
+  if (!division) {
+    throw new ValidationError([
+      { location: "body", field, message: `${field} does not refer to an existing extracurricular` },
+    ]);
+  }
+
+  return division;
+};
+
+// 409 when the division already has an accepted booking on that date
+const assertDateAvailable = async (client, { extracurricularId, eventDate, excludeId }) => {
+  const accepted = await client.booking.findFirst({
+    where: {
+      extracurricularId,
+      eventDate,
+      status: "ACCEPTED",
+      ...(excludeId ? { id: { not: excludeId } } : {}),
+    },
+    include: { extracurricular: { select: { name: true } } },
+  });
+
+  if (accepted) {
+    throw new ConflictError(
+      `${accepted.extracurricular.name} is already booked on ${eventDate.toISOString().slice(0, 10)}`,
+      { code: "BOOKING_CONFLICT" }
+    );
+  }
+};
+
+// Request a performance
+app.post("/api/bookings", validateRequest({ body: bookingSchema }), asyncHandler(async (req, res) => {
+  const { website, captchaToken, ...data } = req.body;
+
+  if (website) {
+    return res.status(201).json({ received: true });
+  }
+
+  checkBookingTimes(data);
+  if (data.eventDate < todayInIndonesia()) {
+    throw new ValidationError([
+      { location: "body", field: "eventDate", message: "eventDate must not be in the past" },
+    ]);
+  }
+
+  await checkPublicSubmission(req, prisma.booking, "booking");
+
+  const division = await findDivisionOrFail(data.extracurricularId);
+  await assertDateAvailable(prisma, data);
+
+  const booking = await prisma.booking.create({ data: { ...data, ipAddress: req.ip } });
+
+  if (BOOKING_NOTIFY_TO.length > 0) {
+    await sendEmails([
+      {
+        ...bookingNotificationEmail(booking, {
+          divisionName: division.name,
+          adminUrl: adminUrl(`/bookings/${booking.id}`),
+        }),
+        to: BOOKING_NOTIFY_TO,
+        replyTo: booking.contactEmail,
+      },
+    ]);
+  }
+  res.status(201).json({ received: true });
+}));
+
+// Get bookings, by default the upcoming ones first
+app.get("/api/bookings", requireInboxReader, asyncHandler(async (req, res) => {
+  await sendPaginatedList(
+    req,
+    res,
+    prisma.booking,
+    {
+      defaultSort: "eventDate",
+      sortable: ["eventDate", "createdAt", "organizer", "id"],
+      filters: {
+        status: BOOKING_STATUSES,
+        extracurricularId: "int",
+        eventDate: "dateRange",
+        createdAt: "dateRange",
+        organizer: "contains",
+        eventName: "contains",
+      },
+    },
+    { include: bookingInclude }
+  );
+}));
+
+// Get a booking by ID
+app.get("/api/bookings/:id", requireInboxReader, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const booking = await prisma.booking.findUnique({ where: { id: req.params.id }, include: bookingInclude });
+
+  if (!booking) {
+    throw new NotFoundError("Booking not found");
+  }
+  res.json(booking);
+}));
+
+// Update a booking: correct its details, accept, decline or mark it done.
+// Runs serializable so two accepted bookings can't land on the same date.
+app.put("/api/bookings/:id", requireInboxReader, validateRequest({ params: idParams, body: updateBookingSchema }, { partial: true }), asyncHandler(async (req, res) => {
+  const data = req.body;
+
+  const booking = await prisma.$transaction(
+    async (tx) => {
+      const existing = await tx.booking.findUnique({ where: { id: req.params.id } });
+
+      if (!existing) {
+        throw new NotFoundError("Booking not found");
+      }
+
+      const next = { ...existing, ...data };
+      checkBookingTimes(next);
+
+      if (data.extracurricularId) {
+        await findDivisionOrFail(data.extracurricularId, { client: tx });
+      }
+      if (next.status === "ACCEPTED") {
+        await assertDateAvailable(tx, { ...next, excludeId: existing.id });
+      }
+
+      if (data.status && data.status !== existing.status && ["ACCEPTED", "DECLINED"].includes(data.status)) {
+        data.decidedAt = new Date();
+        data.decidedById = req.user.id;
+      }
+
+      return tx.booking.update({ where: { id: existing.id }, data, include: bookingInclude });
+    },
+    { isolationLevel: Prisma.TransactionIsolationLevel.Serializable }
+  );
+
+  res.json(booking);
+}));
+
+// Delete a booking by ID
+app.delete("/api/bookings/:id", requireInboxReader, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
+
+  if (!booking) {
+    throw new NotFoundError("Booking not found");
+  }
+
+  res.json(await prisma.booking.delete({ where: { id: booking.id } }));
+}));
+
+// ---------------------------------------------------------------------------
+// Open recruitment
+//
+// The board opens a recruitment period; students apply through the public
+// form with a first and optional second division choice and an optional
+// audition recording. Applicants then move through
+// SUBMITTED -> SHORTLISTED -> AUDITION_SCHEDULED -> ACCEPTED / REJECTED.
+// ---------------------------------------------------------------------------
+
+const RECRUITMENT_STATUSES = ["DRAFT", "OPEN", "CLOSED"];
+const APPLICANT_STATUSES = ["SUBMITTED", "SHORTLISTED", "AUDITION_SCHEDULED", "ACCEPTED", "REJECTED"];
+
+// Statuses each applicant action may start from
+const APPLICANT_TRANSITIONS = {
+  shortlist: ["SUBMITTED"],
+  audition: ["SHORTLISTED", "AUDITION_SCHEDULED"],
+  accept: ["SHORTLISTED", "AUDITION_SCHEDULED"],
+  reject: ["SUBMITTED", "SHORTLISTED", "AUDITION_SCHEDULED"],
+};
+
+const AUDITION_FILE_RULE = { kind: "recording" };
+
+const recruitmentPeriodSchema = {
+  title: v.string({ required: true, max: 200 }),
+  description: v.string({ nullable: true, max: 5000 }),
+  opensAt: v.date({ nullable: true }),
+  closesAt: v.date({ nullable: true }),
+};
+
+const applicantFields = {
+  name: v.string({ required: true, max: 100 }),
+  nim: v.string({
+    required: true,
+    max: 20,
+    pattern: /^[0-9A-Za-z./-]{4,20}$/,
+    patternMessage: "must be a valid student ID (NIM)",
+  }),
+  faculty: v.string({ required: true, max: 100 }),
+  major: v.string({ nullable: true, max: 100 }),
+  batchYear: v.int({ required: true, min: 1990, max: () => new Date().getFullYear() + 1 }),
+  email: v.email({ required: true }),
+  phone: v.phone({ required: true }),
+  firstChoiceId: v.int({ required: true, min: 1 }),
+  secondChoiceId: v.int({ nullable: true, min: 1 }),
+  motivation: v.string({ nullable: true, max: 5000 }),
+};
+
+const applicationSchema = {
+  ...applicantFields,
+  // Honeypot, see contactSchema
+  website: v.string({ max: 500 }),
+  captchaToken: v.string({ max: 4096 }),
+};
+
+const updateApplicantSchema = {
+  ...applicantFields,
+  adminNote: v.string({ nullable: true, max: 5000 }),
+};
+
+const scheduleAuditionSchema = {
+  auditionAt: v.date({ required: true }),
+  auditionLocation: v.string({ nullable: true, max: 500 }),
+};
+
+const acceptApplicantSchema = {
+  // Defaults to the first choice
+  extracurricularId: v.int({ min: 1 }),
+  adminNote: v.string({ nullable: true, max: 5000 }),
+};
+
+const rejectApplicantSchema = {
+  adminNote: v.string({ nullable: true, max: 5000 }),
+};
+
+const divisionSelect = { select: { id: true, name: true } };
+
+const applicantInclude = {
+  period: { select: { id: true, title: true, status: true } },
+  firstChoice: divisionSelect,
+  secondChoice: divisionSelect,
+  acceptedDivision: divisionSelect,
+  decidedBy: { select: contactAuthorSelect },
+};
+
+const findPeriodOrFail = async (id) => {
+  const period = await prisma.recruitmentPeriod.findUnique({ where: { id } });
+
+  if (!period) {
+    throw new NotFoundError("Recruitment period not found");
+  }
+
+  return period;
+};
+
+const findApplicantOrFail = async (id) => {
+  const applicant = await prisma.applicant.findUnique({ where: { id } });
+
+  if (!applicant) {
+    throw new NotFoundError("Applicant not found");
+  }
+
+  return applicant;
+};
+
+// The period accepting applications right now, or null
+const findOpenPeriod = () => {
+  const now = new Date();
+
+  return prisma.recruitmentPeriod.findFirst({
+    where: {
+      status: "OPEN",
+      OR: [{ opensAt: null }, { opensAt: { lte: now } }],
+      AND: [{ OR: [{ closesAt: null }, { closesAt: { gt: now } }] }],
+    },
+    orderBy: { openedAt: "desc" },
+  });
+};
+
+const checkPeriodWindow = ({ opensAt, closesAt }) => {
+  if (opensAt && closesAt && closesAt <= opensAt) {
+    throw new ValidationError([
+      { location: "body", field: "closesAt", message: "closesAt must be after opensAt" },
+    ]);
+  }
+};
+
+const checkDivisionChoices = async ({ firstChoiceId, secondChoiceId }) => {
+  await findDivisionOrFail(firstChoiceId, { field: "firstChoiceId" });
+
+  if (secondChoiceId) {
+    if (secondChoiceId === firstChoiceId) {
+      throw new ValidationError([
+        { location: "body", field: "secondChoiceId", message: "secondChoiceId must differ from firstChoiceId" },
+      ]);
+    }
+    await findDivisionOrFail(secondChoiceId, { field: "secondChoiceId" });
+  }
+};
+
+// Run an applicant action; `data` may be a function of the applicant. The
+// status guard is part of the update, so concurrent actions can't both win.
+const transitionApplicant = async (req, action, data) => {
+  const applicant = await findApplicantOrFail(req.params.id);
+  const allowed = APPLICANT_TRANSITIONS[action];
+
+  if (!allowed.includes(applicant.status)) {
+    throw new ConflictError(`Cannot ${action} an applicant that is ${applicant.status}`, {
+      code: "INVALID_STATUS",
+    });
+  }
+
+  const changes = typeof data === "function" ? await data(applicant) : data;
+  const { count } = await prisma.applicant.updateMany({
+    where: { id: applicant.id, status: { in: allowed } },
+    data: changes,
+  });
 
-    await prisma.galeri.delete({
-      where: { id: parseInt(id) },
+  if (count === 0) {
+    throw new ConflictError("Applicant was changed at the same time, please try again", {
+      code: "INVALID_STATUS",
     });
+  }
 
-    res.status(204).send();
-  } catch (error) {
-    console.error("Error deleting galeri:", error);
-    res
-      .status(500)
-      .json({ error: "Failed to delete galeri", details: error.message });
+  return withMediaUrls(
+    await prisma.applicant.findUnique({ where: { id: applicant.id }, include: applicantInclude })
+  );
+};
+
+// The open recruitment period and the divisions to choose from
+app.get("/api/recruitment", asyncHandler(async (req, res) => {
+  const period = await findOpenPeriod();
+
+  if (!period) {
+    throw new NotFoundError("No recruitment is open at the moment");
   }
-});
 
-app.get("/api/sarana", async (req, res) => {
-  const sarana = await prisma.sarana.findMany();
-  res.json(sarana);
-});
+  const divisions = await prisma.extracurricular.findMany({
+    select: { id: true, name: true },
+    orderBy: { name: "asc" },
+  });
 
-app.get("/api/sarana/:id", async (req, res) => {
-  const { id } = req.params;
-  const saranaItem = await prisma.sarana.findUnique({
-    where: { id: parseInt(id) },
+  res.json({
+    id: period.id,
+    title: period.title,
+    description: period.description,
+    opensAt: period.opensAt,
+    closesAt: period.closesAt,
+    divisions,
   });
-  res.json(saranaItem);
-});
+}));
+
+// Apply to the open recruitment; multipart with an optional "auditionFile"
+app.post(
+  "/api/recruitment/applications",
+  upload.single("auditionFile"),
+  validateRequest({ body: applicationSchema }),
+  asyncHandler(async (req, res) => {
+    const { website, captchaToken, ...data } = req.body;
+
+    if (website) {
+      return res.status(201).json({ received: true });
+    }
 
-app.post("/api/sarana", upload.single("image"), async (req, res) => {
-  const { name, description } = req.body;
+    const type = req.file ? checkUpload(req.file, AUDITION_FILE_RULE) : null;
 
-  try {
-    const image = req.file ? await uploadToSupabase(req.file) : null;
+    await checkPublicSubmission(req, prisma.applicant, "recruitment");
 
-    const newSarana = await prisma.sarana.create({
-      data: {
-        name,
-        description,
-        image,
-      },
-    });
-    res.json(newSarana);
-  } catch (error) {
-    console.error("Error creating sarana:", error);
-    res.status(500).json({ error: "Failed to create sarana", details: error.message });
-  }
-});
+    const period = await findOpenPeriod();
+    if (!period) {
+      throw new ConflictError("Recruitment is closed", { code: "RECRUITMENT_CLOSED" });
+    }
 
-app.put("/api/sarana/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { name, description } = req.body;
+    await checkDivisionChoices(data);
 
-  try {
-    const existingSarana = await prisma.sarana.findUnique({
-      where: { id: parseInt(id) },
+    const duplicate = await prisma.applicant.findUnique({
+      where: { periodId_nim: { periodId: period.id, nim: data.nim } },
     });
-
-    if (!existingSarana) {
-      return res.status(404).json({ error: "Sarana not found" });
+    if (duplicate) {
+      throw new ConflictError("An application with this NIM was already submitted");
     }
 
-    let newImage = null;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
-      if (existingSarana.image) {
-        await deleteFromSupabase(existingSarana.image);
-      }
-    }
+    await withFileChanges(async (files) => {
+      const auditionFile = req.file ? await files.store(req.file, type) : undefined;
 
-    const updatedSarana = await prisma.sarana.update({
-      where: { id: parseInt(id) },
-      data: {
-        name,
-        description,
-        image: newImage || existingSarana.image,
-      },
+      return prisma.applicant.create({
+        data: { ...data, auditionFile, periodId: period.id, ipAddress: req.ip },
+      });
     });
-    res.json(updatedSarana);
-  } catch (error) {
-    console.error("Error updating sarana:", error);
-    res.status(500).json({ error: "Failed to update sarana", details: error.message });
+    res.status(201).json({ received: true });
+  })
+);
+
+// Get recruitment periods
+app.get("/api/recruitment-periods", requireEditor, asyncHandler(async (req, res) => {
+  await sendPaginatedList(
+    req,
+    res,
+    prisma.recruitmentPeriod,
+    {
+      defaultSort: "-createdAt",
+      sortable: ["createdAt", "opensAt", "closesAt", "title", "id"],
+      filters: { status: RECRUITMENT_STATUSES, title: "contains" },
+    },
+    { include: { _count: { select: { applicants: true } } } }
+  );
+}));
+
+// Get a recruitment period by ID
+app.get("/api/recruitment-periods/:id", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const period = await findPeriodOrFail(req.params.id);
+  const applicants = await prisma.applicant.count({ where: { periodId: period.id } });
+
+  res.json({ ...period, _count: { applicants } });
+}));
+
+// Create a recruitment period (as a draft)
+app.post("/api/recruitment-periods", requireEditor, validateRequest({ body: recruitmentPeriodSchema }), asyncHandler(async (req, res) => {
+  checkPeriodWindow(req.body);
+
+  res.status(201).json(await prisma.recruitmentPeriod.create({ data: req.body }));
+}));
+
+// Update a recruitment period
+app.put("/api/recruitment-periods/:id", requireEditor, validateRequest({ params: idParams, body: recruitmentPeriodSchema }, { partial: true }), asyncHandler(async (req, res) => {
+  const period = await findPeriodOrFail(req.params.id);
+  checkPeriodWindow({ ...period, ...req.body });
+
+  res.json(await prisma.recruitmentPeriod.update({ where: { id: period.id }, data: req.body }));
+}));
+
+// Open a period for applications; only one period can be open at a time
+app.post("/api/recruitment-periods/:id/open", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const period = await findPeriodOrFail(req.params.id);
+
+  const otherOpen = await prisma.recruitmentPeriod.findFirst({
+    where: { status: "OPEN", id: { not: period.id } },
+  });
+  if (otherOpen) {
+    throw new ConflictError(`"${otherOpen.title}" is still open, close it first`);
   }
-});
 
-app.delete("/api/sarana/:id", async (req, res) => {
-  const { id } = req.params;
+  res.json(
+    await prisma.recruitmentPeriod.update({
+      where: { id: period.id },
+      data: { status: "OPEN", openedAt: period.status === "OPEN" ? period.openedAt : new Date() },
+    })
+  );
+}));
 
-  try {
-    const existingSarana = await prisma.sarana.findUnique({
-      where: { id: parseInt(id) },
-    });
+// Stop accepting applications
+app.post("/api/recruitment-periods/:id/close", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const period = await findPeriodOrFail(req.params.id);
 
-    if (!existingSarana) {
-      return res.status(404).json({ error: "Sarana not found" });
+  res.json(
+    await prisma.recruitmentPeriod.update({
+      where: { id: period.id },
+      data: { status: "CLOSED", closedAt: period.status === "CLOSED" ? period.closedAt : new Date() },
+    })
+  );
+}));
+
+// Applicant counts of a period, in total and per division: applicants by
+// status for their first choice, second choice mentions and acceptances
+app.get("/api/recruitment-periods/:id/summary", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const period = await findPeriodOrFail(req.params.id);
+  const where = { periodId: period.id };
+
+  const [divisions, byFirstChoice, bySecondChoice, byAcceptedDivision] = await Promise.all([
+    prisma.extracurricular.findMany({ select: { id: true, name: true }, orderBy: { name: "asc" } }),
+    prisma.applicant.groupBy({ by: ["firstChoiceId", "status"], where, _count: { _all: true } }),
+    prisma.applicant.groupBy({
+      by: ["secondChoiceId"],
+      where: { ...where, secondChoiceId: { not: null } },
+      _count: { _all: true },
+    }),
+    prisma.applicant.groupBy({
+      by: ["acceptedDivisionId"],
+      where: { ...where, status: "ACCEPTED", acceptedDivisionId: { not: null } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const emptyCounts = () => Object.fromEntries(APPLICANT_STATUSES.map((status) => [status, 0]));
+  const byStatus = emptyCounts();
+  let total = 0;
+
+  const summaries = divisions.map((division) => {
+    const firstChoice = emptyCounts();
+    for (const group of byFirstChoice.filter((row) => row.firstChoiceId === division.id)) {
+      firstChoice[group.status] = group._count._all;
     }
 
-    if (existingSarana.image) {
-      await deleteFromSupabase(existingSarana.image);
-    }
+    return {
+      ...division,
+      firstChoice: Object.values(firstChoice).reduce((sum, count) => sum + count, 0),
+      firstChoiceByStatus: firstChoice,
+      secondChoice:
+        bySecondChoice.find((row) => row.secondChoiceId === division.id)?._count._all || 0,
+      accepted:
+        byAcceptedDivision.find((row) => row.acceptedDivisionId === division.id)?._count._all || 0,
+    };
+  });
 
-    await prisma.sarana.delete({
-      where: { id: parseInt(id) },
-    });
-    res.status(204).send();
-  } catch (error) {
-    console.error("Error deleting sarana:", error);
-    res.status(500).json({ error: "Failed to delete sarana", details: error.message });
+  for (const group of byFirstChoice) {
+    byStatus[group.status] += group._count._all;
+    total += group._count._all;
   }
-});
 
-// Get Headmaster Message
-app.get("/api/headmaster-message", async (req, res) => {
-  const headmasterMessage = await prisma.headmasterMessage.findFirst();
-  res.json(headmasterMessage);
-});
+  res.json({
+    period: { id: period.id, title: period.title, status: period.status },
+    total,
+    byStatus,
+    divisions: summaries,
+  });
+}));
+
+// Delete a recruitment period with its applicants
+app.delete("/api/recruitment-periods/:id", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const period = await findPeriodOrFail(req.params.id);
+  const applicants = await prisma.applicant.findMany({
+    where: { periodId: period.id },
+    select: { auditionFile: true },
+  });
 
-// Update Headmaster Message
-app.put("/api/headmaster-message/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { message, description, headmasterName } = req.body;
+  const deleted = await withFileChanges(async (files) => {
+    applicants.forEach((applicant) => files.discard(applicant.auditionFile));
+    return prisma.recruitmentPeriod.delete({ where: { id: period.id } });
+  });
+  res.json(deleted);
+}));
+
+// Get applicants
+app.get("/api/applicants", requireEditor, asyncHandler(async (req, res) => {
+  await sendPaginatedList(
+    req,
+    res,
+    prisma.applicant,
+    {
+      defaultSort: "createdAt",
+      sortable: ["createdAt", "name", "nim", "batchYear", "auditionAt", "id"],
+      filters: {
+        periodId: "int",
+        status: APPLICANT_STATUSES,
+        firstChoiceId: "int",
+        secondChoiceId: "int",
+        acceptedDivisionId: "int",
+        batchYear: "int",
+        faculty: "contains",
+        name: "contains",
+        nim: "contains",
+        auditionAt: "dateRange",
+        createdAt: "dateRange",
+      },
+    },
+    { include: applicantInclude }
+  );
+}));
 
-  try {
-    // Ambil data Headmaster Message lama
-    const existingMessage = await prisma.headmasterMessage.findUnique({
-      where: { id: parseInt(id) },
-    });
+// Get an applicant by ID
+app.get("/api/applicants/:id", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const applicant = await findApplicantOrFail(req.params.id);
 
-    if (!existingMessage) {
-      return res.status(404).json({ error: "Headmaster Message not found" });
-    }
+  res.json(
+    withMediaUrls(
+      await prisma.applicant.findUnique({ where: { id: applicant.id }, include: applicantInclude })
+    )
+  );
+}));
 
-    // Jika ada gambar baru, unggah ke penyimpanan lokal
-    let newImage = null;
-    if (req.file) {
-      newImage = await uploadToSupabase(req.file);
+// Correct an applicant's details or the board's note
+app.put("/api/applicants/:id", requireEditor, validateRequest({ params: idParams, body: updateApplicantSchema }, { partial: true }), asyncHandler(async (req, res) => {
+  const applicant = await findApplicantOrFail(req.params.id);
 
-      // Hapus gambar lama dari penyimpanan lokal jika ada
-      if (existingMessage.image) {
-        await deleteFromSupabase(existingMessage.image);
+  if (req.body.firstChoiceId || req.body.secondChoiceId) {
+    await checkDivisionChoices({ ...applicant, ...req.body });
+  }
+
+  res.json(
+    withMediaUrls(
+      await prisma.applicant.update({ where: { id: applicant.id }, data: req.body, include: applicantInclude })
+    )
+  );
+}));
+
+// Shortlist an applicant for the audition
+app.post("/api/applicants/:id/shortlist", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  res.json(await transitionApplicant(req, "shortlist", { status: "SHORTLISTED" }));
+}));
+
+// Schedule (or reschedule) a shortlisted applicant's audition
+app.post("/api/applicants/:id/audition", requireEditor, validateRequest({ params: idParams, body: scheduleAuditionSchema }), asyncHandler(async (req, res) => {
+  res.json(await transitionApplicant(req, "audition", { ...req.body, status: "AUDITION_SCHEDULED" }));
+}));
+
+// Accept an applicant into one of their chosen divisions
+app.post("/api/applicants/:id/accept", requireEditor, validateRequest({ params: idParams, body: acceptApplicantSchema }), asyncHandler(async (req, res) => {
+  const { extracurricularId, adminNote } = req.body;
+
+  res.json(
+    await transitionApplicant(req, "accept", (applicant) => {
+      const divisionId = extracurricularId || applicant.firstChoiceId;
+
+      if (![applicant.firstChoiceId, applicant.secondChoiceId].includes(divisionId)) {
+        throw new ValidationError([
+          {
+            location: "body",
+            field: "extracurricularId",
+            message: "extracurricularId must be the applicant's first or second choice",
+          },
+        ]);
       }
-    }
 
-    // Perbarui Headmaster Message
-    const updatedHeadmasterMessage = await prisma.headmasterMessage.update({
-      where: { id: parseInt(id) },
-      data: {
-        message,
-        description,
-        image: newImage || existingMessage.image, // Gunakan gambar baru jika ada
-        headmasterName,
-      },
-    });
+      return {
+        status: "ACCEPTED",
+        acceptedDivisionId: divisionId,
+        adminNote,
+        decidedAt: new Date(),
+        decidedById: req.user.id,
+      };
+    })
+  );
+}));
+
+// Reject an applicant
+app.post("/api/applicants/:id/reject", requireEditor, validateRequest({ params: idParams, body: rejectApplicantSchema }), asyncHandler(async (req, res) => {
+  res.json(
+    await transitionApplicant(req, "reject", {
+      status: "REJECTED",
+      adminNote: req.body.adminNote,
+      decidedAt: new Date(),
+      decidedById: req.user.id,
+    })
+  );
+}));
 
-    res.json(updatedHeadmasterMessage);
-  } catch (error) {
-    console.error("Error updating headmaster message:", error);
-    res.status(500).json({ error: "Failed to update headmaster message" });
+// Delete an applicant with their audition file
+app.delete("/api/applicants/:id", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const applicant = await findApplicantOrFail(req.params.id);
+
+  const deleted = await withFileChanges(async (files) => {
+    files.discard(applicant.auditionFile);
+    return prisma.applicant.delete({ where: { id: applicant.id } });
+  });
+  res.json(withMediaUrls(deleted));
+}));
+
+// ---------------------------------------------------------------------------
+// Kepengurusan (members and board per management period)
+//
+// Members are people, kept across periods. Each period has its board
+// positions: the core board (no division) and the positions of every
+// division. GET /api/kepengurusan/:period returns them as a hierarchy.
+// ---------------------------------------------------------------------------
+
+// Derive the slug and display name from the years
+const prepareManagementPeriod = async (data, existing) => {
+  const startYear = data.startYear ?? existing?.startYear;
+  const endYear = data.endYear ?? existing?.endYear;
+
+  if (endYear < startYear) {
+    throw new ValidationError([
+      { location: "body", field: "endYear", message: "endYear must not be before startYear" },
+    ]);
   }
+
+  data.slug = `${startYear}-${endYear}`;
+  data.name = `${startYear} - ${endYear}`;
+};
+
+registerResource({
+  name: "Management period",
+  path: "/api/kepengurusan",
+  model: "managementPeriod",
+  publishable: true,
+  // Single periods are read by slug, see below
+  routes: ["list", "create", "update", "delete"],
+  list: {
+    defaultSort: "-startYear",
+    sortable: ["startYear", "id"],
+    filters: { startYear: "int", endYear: "int" },
+  },
+  fields: {
+    startYear: v.int({ required: true, min: 1900, max: 2200 }),
+    endYear: v.int({ required: true, min: 1900, max: 2200 }),
+    description: v.string({ nullable: true, max: 5000 }),
+  },
+  beforeSave: prepareManagementPeriod,
 });
 
-// Get all Sejarah slides
-app.get("/api/sejarah", async (req, res) => {
-  const sejarah = await prisma.sejarah.findMany();
-  res.json(sejarah);
+const checkMemberReferences = async (data) => {
+  if (data.extracurricularId) {
+    await findDivisionOrFail(data.extracurricularId);
+  }
+};
+
+registerResource({
+  name: "Member",
+  path: "/api/members",
+  model: "member",
+  list: {
+    defaultSort: "name",
+    sortable: ["name", "batchYear", "id"],
+    filters: { name: "contains", batchYear: "int", extracurricularId: "int" },
+  },
+  fields: {
+    name: v.string({ required: true, max: 100 }),
+    batchYear: v.int({ nullable: true, min: 1900, max: 2200 }),
+    extracurricularId: v.int({ nullable: true, min: 1 }),
+    bio: v.string({ nullable: true, max: 2000 }),
+  },
+  files: { image: { required: false } },
+  include: { extracurricular: divisionSelect },
+  beforeSave: checkMemberReferences,
 });
 
-// Create a new Sejarah slide
-app.post("/api/sejarah", upload.single("image"), async (req, res) => {
-  const { period, text } = req.body;
-  let imageUrl = null;
-  if (req.file) {
-    imageUrl = await uploadToSupabase(req.file);
+const checkBoardPositionReferences = async (data) => {
+  const errors = [];
+
+  if (data.periodId && !(await prisma.managementPeriod.findUnique({ where: { id: data.periodId } }))) {
+    errors.push({ location: "body", field: "periodId", message: "periodId does not refer to an existing period" });
   }
-  const newSejarah = await prisma.sejarah.create({
-    data: { period, text, image: imageUrl },
-  });
-  res.json(newSejarah);
+  if (data.memberId && !(await prisma.member.findUnique({ where: { id: data.memberId } }))) {
+    errors.push({ location: "body", field: "memberId", message: "memberId does not refer to an existing member" });
+  }
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+
+  await checkMemberReferences(data);
+};
+
+// Positions of draft periods are not public; the public reads the board
+// through GET /api/kepengurusan/:period
+registerResource({
+  name: "Board position",
+  path: "/api/board-positions",
+  model: "boardPosition",
+  policy: { read: requireEditor },
+  list: {
+    defaultSort: "rank",
+    sortable: ["rank", "title", "id"],
+    filters: { periodId: "int", extracurricularId: "int", memberId: "int", title: "contains" },
+  },
+  fields: {
+    periodId: v.int({ required: true, min: 1 }),
+    title: v.string({ required: true, max: 100 }),
+    extracurricularId: v.int({ nullable: true, min: 1 }),
+    memberId: v.int({ nullable: true, min: 1 }),
+    rank: v.int({ min: 0, max: 1000 }),
+  },
+  include: {
+    member: { select: { id: true, name: true, image: true } },
+    extracurricular: divisionSelect,
+  },
+  beforeSave: checkBoardPositionReferences,
 });
 
-// Update Sejarah slide
-app.put("/api/sejarah/:id", upload.single("image"), async (req, res) => {
-  const { id } = req.params;
-  const { period, text } = req.body;
-  const existingSejarah = await prisma.sejarah.findUnique({
-    where: { id: parseInt(id) },
+const boardPositionOrder = [{ rank: "asc" }, { id: "asc" }];
+
+// The board of a period: { period, leadership, divisions: [{ ..., positions }] }
+const boardOf = async (period) => {
+  const positions = await prisma.boardPosition.findMany({
+    where: { periodId: period.id },
+    orderBy: boardPositionOrder,
+    select: {
+      id: true,
+      title: true,
+      rank: true,
+      extracurricularId: true,
+      member: { select: { id: true, name: true, batchYear: true, image: true } },
+    },
   });
-  if (!existingSejarah) {
-    return res.status(404).json({ error: "Sejarah not found" });
+
+  const divisionIds = [...new Set(positions.map((position) => position.extracurricularId).filter(Boolean))];
+  const divisions = await prisma.extracurricular.findMany({
+    where: { id: { in: divisionIds } },
+    select: { id: true, name: true, image: true },
+    orderBy: { name: "asc" },
+  });
+
+  const withoutDivision = ({ extracurricularId, ...position }) => position;
+
+  return withMediaUrls({
+    period: {
+      id: period.id,
+      slug: period.slug,
+      name: period.name,
+      startYear: period.startYear,
+      endYear: period.endYear,
+      description: period.description,
+    },
+    leadership: positions.filter((position) => !position.extracurricularId).map(withoutDivision),
+    divisions: divisions.map((division) => ({
+      ...division,
+      positions: positions
+        .filter((position) => position.extracurricularId === division.id)
+        .map(withoutDivision),
+    })),
+  });
+};
+
+// The board of a published period, by slug ("2024-2025") or "current" for
+// the latest one
+app.get("/api/kepengurusan/:period", asyncHandler(async (req, res) => {
+  const { period: slug } = req.params;
+
+  const period = await prisma.managementPeriod.findFirst({
+    where: { ...publishedWhere(), ...(slug === "current" ? {} : { slug }) },
+    orderBy: { startYear: "desc" },
+  });
+
+  if (!period) {
+    throw new NotFoundError("Management period not found");
   }
-  let imageUrl = existingSejarah.image;
-  if (req.file) {
-    imageUrl = await uploadToSupabase(req.file);
-    if (existingSejarah.image) {
-      await deleteFromSupabase(existingSejarah.image);
-    }
+
+  res.json(await boardOf(period));
+}));
+
+const copyStructureSchema = {
+  // Defaults to the latest period that starts before this one
+  fromPeriodId: v.int({ min: 1 }),
+  // Keep the members in their seats instead of leaving them vacant
+  includeMembers: v.boolean(),
+};
+
+// Copy the board positions of an earlier period into an empty period
+app.post("/api/kepengurusan/:id/copy-structure", requireEditor, validateRequest({ params: idParams, body: copyStructureSchema }), asyncHandler(async (req, res) => {
+  const { fromPeriodId, includeMembers = false } = req.body;
+
+  const period = await prisma.managementPeriod.findUnique({ where: { id: req.params.id } });
+  if (!period) {
+    throw new NotFoundError("Management period not found");
+  }
+
+  const source = fromPeriodId
+    ? await prisma.managementPeriod.findUnique({ where: { id: fromPeriodId } })
+    : await prisma.managementPeriod.findFirst({
+        where: { startYear: { lt: period.startYear } },
+        orderBy: { startYear: "desc" },
+      });
+
+  if (!source || source.id === period.id) {
+    throw new ValidationError([
+      { location: "body", field: "fromPeriodId", message: "No earlier period to copy from" },
+    ]);
   }
-  const updatedSejarah = await prisma.sejarah.update({
-    where: { id: parseInt(id) },
-    data: { period, text, image: imageUrl },
+
+  const positions = await prisma.boardPosition.findMany({
+    where: { periodId: source.id },
+    orderBy: boardPositionOrder,
   });
-  res.json(updatedSejarah);
-});
 
-// Delete Sejarah slide
-app.delete("/api/sejarah/:id", async (req, res) => {
-  const { id } = req.params;
-  const existingSejarah = await prisma.sejarah.findUnique({
-    where: { id: parseInt(id) },
+  await prisma.$transaction(async (tx) => {
+    if ((await tx.boardPosition.count({ where: { periodId: period.id } })) > 0) {
+      throw new ConflictError("Period already has board positions");
+    }
+
+    await tx.boardPosition.createMany({
+      data: positions.map((position) => ({
+        periodId: period.id,
+        title: position.title,
+        extracurricularId: position.extracurricularId,
+        memberId: includeMembers ? position.memberId : null,
+        rank: position.rank,
+      })),
+    });
   });
-  if (!existingSejarah) {
-    return res.status(404).json({ error: "Sejarah not found" });
+
+  res.status(201).json({ copiedFrom: source.slug, ...(await boardOf(period)) });
+}));
+
+// ---------------------------------------------------------------------------
+// Events
+//
+// Events can repeat (RRULE subset, see lib/recurrence.js). Range queries
+// return the occurrences; the .ics feed hands the rules to calendar apps.
+// Private events are only shown to editors and in the feed opened with
+// CALENDAR_FEED_TOKEN (the link shared with members).
+// ---------------------------------------------------------------------------
+
+const DEFAULT_EVENT_RANGE_DAYS = 31;
+const MAX_EVENT_RANGE_DAYS = 366;
+// How long finished events stay in the .ics feed
+const FEED_HISTORY_DAYS = 365;
+
+const eventInclude = { extracurricular: divisionSelect };
+
+// Normalize the rule, check the times and store where the series ends
+const prepareEvent = async (data, existing) => {
+  const event = { ...existing, ...data };
+  const errors = [];
+
+  if (data.recurrence) {
+    try {
+      data.recurrence = formatRecurrence(parseRecurrence(data.recurrence));
+      event.recurrence = data.recurrence;
+    } catch (error) {
+      if (!(error instanceof RecurrenceError)) throw error;
+      errors.push({ location: "body", field: "recurrence", message: `recurrence: ${error.message}` });
+    }
+  }
+
+  if (event.endsAt && event.endsAt < event.startsAt) {
+    errors.push({ location: "body", field: "endsAt", message: "endsAt must not be before startsAt" });
   }
-  // Hapus file gambar dari penyimpanan lokal jika ada
-  if (existingSejarah.image) {
-    await deleteFromSupabase(existingSejarah.image);
+
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
   }
-  await prisma.sejarah.delete({
-    where: { id: parseInt(id) },
-  });
-  res.json({ message: "Slide sejarah berhasil dihapus" });
-});
 
-// Get Visi Misi
-app.get("/api/visi-misi", async (req, res) => {
-  const visiMisi = await prisma.visiMisi.findFirst();
-  res.json(visiMisi);
+  if (data.extracurricularId) {
+    await findDivisionOrFail(data.extracurricularId);
+  }
+
+  data.seriesEndsAt = seriesEnd(event);
+};
+
+registerResource({
+  name: "Event",
+  path: "/api/events",
+  model: "event",
+  // Reads are the range query, the feed and the editor list below
+  routes: ["create", "update", "delete"],
+  fields: {
+    title: v.string({ required: true, max: 200 }),
+    description: v.string({ nullable: true, max: 5000 }),
+    location: v.string({ nullable: true, max: 500 }),
+    startsAt: v.date({ required: true }),
+    endsAt: v.date({ nullable: true }),
+    allDay: v.boolean(),
+    recurrence: v.string({ nullable: true, max: 500 }),
+    extracurricularId: v.int({ nullable: true, min: 1 }),
+    isPublic: v.boolean(),
+  },
+  include: eventInclude,
+  beforeSave: prepareEvent,
 });
 
-// Update Visi Misi
-app.put("/api/visi-misi/:id", async (req, res) => {
-  const { id } = req.params;
-  const { visi, misi } = req.body;
+const eventRangeQuery = {
+  from: v.date(),
+  to: v.date(),
+  extracurricularId: v.int({ min: 1 }),
+};
 
-  const updatedVisiMisi = await prisma.visiMisi.update({
-    where: { id: parseInt(id) },
-    data: {
-      visi,
-      misi,
+// Occurrences in ?from=&to= (default: the next 31 days), sorted by start
+const sendEventOccurrences = async (req, res, { includePrivate = false } = {}) => {
+  const from = req.query.from || new Date();
+  const to = req.query.to || new Date(from.getTime() + DEFAULT_EVENT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+
+  if (to <= from) {
+    throw new ValidationError([{ location: "query", field: "to", message: "to must be after from" }]);
+  }
+  if (to - from > MAX_EVENT_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new ValidationError([
+      { location: "query", field: "to", message: `The range must be at most ${MAX_EVENT_RANGE_DAYS} days` },
+    ]);
+  }
+
+  const events = await prisma.event.findMany({
+    where: {
+      ...(includePrivate ? {} : { isPublic: true }),
+      ...(req.query.extracurricularId ? { extracurricularId: req.query.extracurricularId } : {}),
+      startsAt: { lt: to },
+      OR: [{ seriesEndsAt: null }, { seriesEndsAt: { gte: from } }],
     },
+    include: eventInclude,
   });
 
-  res.json(updatedVisiMisi);
-});
+  const occurrences = events
+    .flatMap((event) =>
+      occurrencesBetween(event, from, to).map((occurrence) => ({
+        ...event,
+        ...occurrence,
+        recurring: Boolean(event.recurrence),
+      }))
+    )
+    .sort((a, b) => a.startsAt - b.startsAt || a.id - b.id);
+
+  res.json(occurrences);
+};
 
-// Create a new contact message
-app.post("/api/contacts", async (req, res) => {
-  const { name, email, phone, message } = req.body;
+// Public events happening in a date range
+app.get("/api/events", validateRequest({ query: eventRangeQuery }), asyncHandler(async (req, res) => {
+  await sendEventOccurrences(req, res);
+}));
+
+// iCalendar feed; ?token=CALENDAR_FEED_TOKEN adds the private events
+app.get("/api/events.ics", asyncHandler(async (req, res) => {
+  const feedToken = process.env.CALENDAR_FEED_TOKEN;
+  const includePrivate =
+    Boolean(feedToken) &&
+    typeof req.query.token === "string" &&
+    crypto.timingSafeEqual(Buffer.from(hashToken(req.query.token)), Buffer.from(hashToken(feedToken)));
+
+  const events = await prisma.event.findMany({
+    where: {
+      ...(includePrivate ? {} : { isPublic: true }),
+      OR: [
+        { seriesEndsAt: null },
+        { seriesEndsAt: { gte: new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000) } },
+      ],
+    },
+    include: eventInclude,
+    orderBy: { startsAt: "asc" },
+  });
 
-  try {
-    const newContact = await prisma.contact.create({
-      data: {
-        name,
-        email,
-        phone,
-        message,
+  res
+    .type("text/calendar; charset=utf-8")
+    .set("Content-Disposition", 'inline; filename="seni-religius.ics"')
+    // The token feed lists private events, so it must never reach a shared cache
+    .set("Cache-Control", includePrivate ? "private, no-store" : "public, max-age=900")
+    .send(buildCalendar(events));
+}));
+
+// Get a public event (the series, not one occurrence) by ID
+app.get("/api/events/:id", validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const event = await prisma.event.findFirst({
+    where: { id: req.params.id, isPublic: true },
+    include: eventInclude,
+  });
+
+  if (!event) {
+    throw new NotFoundError("Event not found");
+  }
+  res.json(event);
+}));
+
+// Every event series, including private ones, for the dashboard
+app.get("/api/admin/events", requireEditor, asyncHandler(async (req, res) => {
+  await sendPaginatedList(
+    req,
+    res,
+    prisma.event,
+    {
+      defaultSort: "-startsAt",
+      sortable: ["startsAt", "title", "id"],
+      filters: {
+        title: "contains",
+        startsAt: "dateRange",
+        extracurricularId: "int",
+        isPublic: "boolean",
       },
+    },
+    { include: eventInclude }
+  );
+}));
+
+// Occurrences in a date range, including private events
+app.get("/api/admin/events/occurrences", requireEditor, validateRequest({ query: eventRangeQuery }), asyncHandler(async (req, res) => {
+  await sendEventOccurrences(req, res, { includePrivate: true });
+}));
+
+// ---------------------------------------------------------------------------
+// Achievements (prestasi)
+//
+// Competition results of the divisions, linked to the members and alumni
+// who won them. The certificate is an image or a PDF.
+// ---------------------------------------------------------------------------
+
+const ACHIEVEMENT_LEVELS = ["CAMPUS", "REGIONAL", "NATIONAL", "INTERNATIONAL"];
+
+const achievementSummaryQuery = {
+  year: v.int({ min: 1900, max: 2200 }),
+};
+
+// Achievement counts per division and level (?year= for one year). Comes
+// before the resource so "summary" isn't taken for an id.
+app.get("/api/achievements/summary", validateRequest({ query: achievementSummaryQuery }), asyncHandler(async (req, res) => {
+  const where = req.query.year ? { year: req.query.year } : {};
+
+  const [groups, divisions] = await Promise.all([
+    prisma.achievement.groupBy({ by: ["extracurricularId", "level"], where, _count: { _all: true } }),
+    prisma.extracurricular.findMany({ select: { id: true, name: true }, orderBy: { name: "asc" } }),
+  ]);
+
+  const summarize = (rows) => {
+    const byLevel = Object.fromEntries(ACHIEVEMENT_LEVELS.map((level) => [level, 0]));
+    rows.forEach((row) => {
+      byLevel[row.level] += row._count._all;
     });
-    res.status(201).json(newContact);
-  } catch (error) {
-    console.error("Error creating contact:", error);
-    res.status(500).json({ error: "Failed to create contact message" });
+    return { total: Object.values(byLevel).reduce((sum, count) => sum + count, 0), byLevel };
+  };
+
+  res.json({
+    year: req.query.year ?? null,
+    ...summarize(groups),
+    divisions: [
+      ...divisions.map((division) => ({
+        ...division,
+        ...summarize(groups.filter((row) => row.extracurricularId === division.id)),
+      })),
+      // Achievements without a division (e.g. solo entries)
+      { id: null, name: null, ...summarize(groups.filter((row) => row.extracurricularId === null)) },
+    ],
+  });
+}));
+
+const achievementInclude = {
+  extracurricular: divisionSelect,
+  members: { select: { id: true, name: true, image: true } },
+  alumni: { select: { id: true, name: true, image: true } },
+};
+
+// Derive the year and turn the member/alumni ids into relation writes
+const prepareAchievement = async (data, existing) => {
+  if (data.date) {
+    data.year = data.date.getUTCFullYear();
   }
-});
 
-// Get all contact messages
-app.get("/api/contacts", async (req, res) => {
-  try {
-    const contacts = await prisma.contact.findMany();
-    res.json(contacts);
-  } catch (error) {
-    console.error("Error fetching contacts:", error);
-    res.status(500).json({ error: "Failed to fetch contact messages" });
+  if (data.extracurricularId) {
+    await findDivisionOrFail(data.extracurricularId);
+  }
+
+  for (const [field, relation, model] of [
+    ["memberIds", "members", "member"],
+    ["alumniIds", "alumni", "alumni"],
+  ]) {
+    const ids = data[field];
+    delete data[field];
+    if (ids === undefined) continue;
+
+    const unique = [...new Set(ids ?? [])];
+    const found = await prisma[model].count({ where: { id: { in: unique } } });
+    if (found !== unique.length) {
+      throw new ValidationError([
+        { location: "body", field, message: `${field} must refer to existing ${relation}` },
+      ]);
+    }
+
+    const links = unique.map((id) => ({ id }));
+    data[relation] = existing ? { set: links } : { connect: links };
   }
+};
+
+registerResource({
+  name: "Achievement",
+  path: "/api/achievements",
+  model: "achievement",
+  list: {
+    defaultSort: "-date",
+    sortable: ["date", "level", "title", "id"],
+    filters: {
+      year: "int",
+      level: ACHIEVEMENT_LEVELS,
+      extracurricularId: "int",
+      date: "dateRange",
+      title: "contains",
+      competition: "contains",
+    },
+  },
+  fields: {
+    title: v.string({ required: true, max: 200 }),
+    competition: v.string({ required: true, max: 200 }),
+    level: v.enum(ACHIEVEMENT_LEVELS, { required: true }),
+    rank: v.string({ required: true, max: 100 }),
+    date: v.day({ required: true }),
+    description: v.string({ nullable: true, max: 5000 }),
+    extracurricularId: v.int({ nullable: true, min: 1 }),
+    memberIds: v.array(v.int({ min: 1 }), { nullable: true, max: 100 }),
+    alumniIds: v.array(v.int({ min: 1 }), { nullable: true, max: 100 }),
+  },
+  files: { certificateFile: { required: false, kind: "document" } },
+  include: achievementInclude,
+  // Alumni who didn't consent to be shown are left out of public reads
+  publicInclude: {
+    ...achievementInclude,
+    alumni: { where: { publicConsent: true }, select: achievementInclude.alumni.select },
+  },
+  beforeSave: prepareAchievement,
 });
 
-// Backend: Delete a contact message by ID
-app.delete("/api/contacts/:id", async (req, res) => {
-  const { id } = req.params;
+// ---------------------------------------------------------------------------
+// Alumni self-service
+//
+// Editors invite an alumnus by email; the link (a token, stored hashed)
+// opens a form to submit a new profile or update their existing one. A
+// submission only reaches the directory once an editor approves it, and
+// the link can't be used again afterwards.
+// ---------------------------------------------------------------------------
+
+const ALUMNI_INVITE_TTL_DAYS = 30;
+const ALUMNI_SUBMISSION_STATUSES = ["PENDING", "APPROVED", "REJECTED"];
+
+// Profile columns shared by Alumni and AlumniSubmission
+const ALUMNI_PROFILE_COLUMNS = [...Object.keys(alumniProfileFields), "image"];
+
+const alumniInviteSchema = {
+  email: v.email({ required: true }),
+  // Existing profile the alumnus may update
+  alumniId: v.int({ min: 1 }),
+};
 
-  try {
-    // Delete the contact message by its ID
-    const deletedContact = await prisma.contact.delete({
-      where: { id: parseInt(id) }, // Assuming id is an integer
+const reviewAlumniSubmissionSchema = {
+  reviewNote: v.string({ nullable: true, max: 5000 }),
+};
+
+const alumniInviteSelect = {
+  id: true,
+  email: true,
+  alumniId: true,
+  alumni: { select: { id: true, name: true } },
+  expiresAt: true,
+  usedAt: true,
+  createdBy: { select: contactAuthorSelect },
+  createdAt: true,
+};
+
+const alumniSubmissionInclude = {
+  alumni: { select: { id: true, name: true } },
+  invite: { select: { id: true, email: true } },
+  reviewedBy: { select: contactAuthorSelect },
+};
+
+// Form link sent to alumni; ALUMNI_PROFILE_URL is the page of the site
+// that shows the form (it gets ?token=...)
+const alumniProfileUrl = (token) =>
+  process.env.ALUMNI_PROFILE_URL
+    ? `${process.env.ALUMNI_PROFILE_URL}${process.env.ALUMNI_PROFILE_URL.includes("?") ? "&" : "?"}token=${token}`
+    : undefined;
+
+// Usable invite of a token; one 404 for unknown, expired and used links
+const findUsableInvite = async (token) => {
+  const invite = await prisma.alumniInvite.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { alumni: true },
+  });
+
+  if (!invite || invite.usedAt || invite.expiresAt <= new Date()) {
+    throw new NotFoundError("This link is invalid or has expired");
+  }
+
+  return invite;
+};
+
+const pickProfile = (record) =>
+  Object.fromEntries(ALUMNI_PROFILE_COLUMNS.map((column) => [column, record[column]]));
+
+// Invite an alumnus to submit or update their profile. The link is emailed
+// when ALUMNI_PROFILE_URL is set, and returned once so it can also be
+// shared another way (e.g. WhatsApp).
+app.post("/api/alumni-invites", requireEditor, validateRequest({ body: alumniInviteSchema }), asyncHandler(async (req, res) => {
+  const { email, alumniId } = req.body;
+
+  const alumni = alumniId ? await prisma.alumni.findUnique({ where: { id: alumniId } }) : null;
+  if (alumniId && !alumni) {
+    throw new ValidationError([
+      { location: "body", field: "alumniId", message: "alumniId does not refer to an existing alumni" },
+    ]);
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const invite = await prisma.alumniInvite.create({
+    data: {
+      tokenHash: hashToken(token),
+      email,
+      alumniId,
+      expiresAt: new Date(Date.now() + ALUMNI_INVITE_TTL_DAYS * 24 * 60 * 60 * 1000),
+      createdById: req.user.id,
+    },
+    select: alumniInviteSelect,
+  });
+
+  const url = alumniProfileUrl(token);
+  if (url) {
+    await sendEmails([
+      { ...alumniInviteEmail({ url, expiresAt: invite.expiresAt, name: alumni?.name }), to: [email] },
+    ]);
+  }
+
+  res.status(201).json({ ...invite, token, url: url ?? null });
+}));
+
+// Get alumni invites
+app.get("/api/alumni-invites", requireEditor, asyncHandler(async (req, res) => {
+  await sendPaginatedList(
+    req,
+    res,
+    prisma.alumniInvite,
+    {
+      defaultSort: "-createdAt",
+      sortable: ["createdAt", "expiresAt", "email", "id"],
+      filters: { email: "contains", alumniId: "int", createdAt: "dateRange" },
+    },
+    { select: alumniInviteSelect }
+  );
+}));
+
+// Revoke an invite, with its submissions
+app.delete("/api/alumni-invites/:id", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const invite = await prisma.alumniInvite.findUnique({
+    where: { id: req.params.id },
+    include: { submissions: { select: { image: true } } },
+  });
+
+  if (!invite) {
+    throw new NotFoundError("Invite not found");
+  }
+
+  await withFileChanges(async (files) => {
+    invite.submissions.forEach((submission) => files.discard(submission.image));
+    await prisma.alumniInvite.delete({ where: { id: invite.id } });
+  });
+  res.status(204).send();
+}));
+
+// The form behind an invite link: the profile to start from (a pending
+// submission, the existing profile or nothing) and the divisions
+app.get("/api/alumni-profile/:token", asyncHandler(async (req, res) => {
+  const invite = await findUsableInvite(req.params.token);
+  const pending = await prisma.alumniSubmission.findFirst({
+    where: { inviteId: invite.id, status: "PENDING" },
+  });
+  const divisions = await prisma.extracurricular.findMany({
+    select: { id: true, name: true },
+    orderBy: { name: "asc" },
+  });
+
+  const current = pending || invite.alumni;
+  res.json(
+    withMediaUrls({
+      email: invite.email,
+      expiresAt: invite.expiresAt,
+      pendingReview: Boolean(pending),
+      profile: current ? pickProfile(current) : null,
+      divisions,
+    })
+  );
+}));
+
+// Submit the profile behind an invite link (multipart, optional "image").
+// Sending it again replaces the submission that is still pending.
+app.put(
+  "/api/alumni-profile/:token",
+  imageUpload.single("image"),
+  validateRequest({ body: alumniProfileFields }),
+  asyncHandler(async (req, res) => {
+    const invite = await findUsableInvite(req.params.token);
+    const data = req.body;
+    const type = req.file ? checkUpload(req.file, { kind: "image" }) : null;
+
+    await prepareAlumniProfile(data, invite.alumni);
+
+    const pending = await prisma.alumniSubmission.findFirst({
+      where: { inviteId: invite.id, status: "PENDING" },
     });
-    res.status(200).json(deletedContact);
-  } catch (error) {
-    console.error("Error deleting contact:", error);
-    res.status(404).json({ error: "Contact not found or failed to delete" });
+
+    const submission = await withFileChanges(async (files) => {
+      if (req.file) {
+        data.image = await files.store(req.file, type);
+        files.discard(pending?.image);
+      }
+
+      return pending
+        ? prisma.alumniSubmission.update({ where: { id: pending.id }, data })
+        : prisma.alumniSubmission.create({
+            data: { ...data, inviteId: invite.id, alumniId: invite.alumniId },
+          });
+    });
+
+    res.status(pending ? 200 : 201).json(withMediaUrls({ pendingReview: true, profile: pickProfile(submission) }));
+  })
+);
+
+// Get alumni submissions, oldest pending first by default
+app.get("/api/alumni-submissions", requireEditor, asyncHandler(async (req, res) => {
+  await sendPaginatedList(
+    req,
+    res,
+    prisma.alumniSubmission,
+    {
+      defaultSort: "createdAt",
+      sortable: ["createdAt", "name", "id"],
+      filters: { status: ALUMNI_SUBMISSION_STATUSES, name: "contains", alumniId: "int" },
+    },
+    { include: alumniSubmissionInclude }
+  );
+}));
+
+const findAlumniSubmissionOrFail = async (id) => {
+  const submission = await prisma.alumniSubmission.findUnique({ where: { id }, include: { alumni: true } });
+
+  if (!submission) {
+    throw new NotFoundError("Alumni submission not found");
   }
-});
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
+  return submission;
+};
+
+const assertSubmissionPending = (submission) => {
+  if (submission.status !== "PENDING") {
+    throw new ConflictError(`Submission is already ${submission.status}`, { code: "INVALID_STATUS" });
+  }
+};
+
+// Get an alumni submission by ID, next to the profile it would change
+app.get("/api/alumni-submissions/:id", requireEditor, validateRequest({ params: idParams }), asyncHandler(async (req, res) => {
+  const { alumni, ...submission } = await prisma.alumniSubmission.findUnique({
+    where: { id: req.params.id },
+    include: { ...alumniSubmissionInclude, alumni: true },
+  }) ?? {};
+
+  if (!submission.id) {
+    throw new NotFoundError("Alumni submission not found");
+  }
+
+  res.json(withMediaUrls({ ...submission, currentProfile: alumni ? pickProfile(alumni) : null }));
+}));
+
+// Approve a submission: create the profile or apply the changes to it
+app.post("/api/alumni-submissions/:id/approve", requireEditor, validateRequest({ params: idParams, body: reviewAlumniSubmissionSchema }), asyncHandler(async (req, res) => {
+  const submission = await findAlumniSubmissionOrFail(req.params.id);
+  assertSubmissionPending(submission);
+
+  const { image, ...profile } = pickProfile(submission);
+
+  const alumni = await withFileChanges(async (files) => {
+    // Keep the current photo unless a new one was sent
+    if (image && submission.alumni?.image !== image) {
+      files.discard(submission.alumni?.image);
+    }
+    const data = { ...profile, ...(image ? { image } : {}) };
+
+    return prisma.$transaction(async (tx) => {
+      const { count } = await tx.alumniSubmission.updateMany({
+        where: { id: submission.id, status: "PENDING" },
+        data: {
+          status: "APPROVED",
+          reviewNote: req.body.reviewNote,
+          reviewedAt: new Date(),
+          reviewedById: req.user.id,
+        },
+      });
+      if (count === 0) {
+        throw new ConflictError("Submission was reviewed at the same time", { code: "INVALID_STATUS" });
+      }
+
+      const saved = submission.alumni
+        ? await tx.alumni.update({ where: { id: submission.alumni.id }, data })
+        : await tx.alumni.create({ data });
+
+      await tx.alumniSubmission.update({ where: { id: submission.id }, data: { alumniId: saved.id } });
+      await tx.alumniInvite.update({
+        where: { id: submission.inviteId },
+        data: { usedAt: new Date(), alumniId: saved.id },
+      });
+
+      return saved;
+    });
+  });
+
+  res.json(withMediaUrls(alumni));
+}));
+
+// Reject a submission; its photo is deleted unless a profile uses it
+app.post("/api/alumni-submissions/:id/reject", requireEditor, validateRequest({ params: idParams, body: reviewAlumniSubmissionSchema }), asyncHandler(async (req, res) => {
+  const submission = await findAlumniSubmissionOrFail(req.params.id);
+  assertSubmissionPending(submission);
+
+  const rejected = await withFileChanges(async (files) => {
+    files.discard(submission.image);
+
+    return prisma.alumniSubmission.update({
+      where: { id: submission.id },
+      data: {
+        status: "REJECTED",
+        image: null,
+        reviewNote: req.body.reviewNote,
+        reviewedAt: new Date(),
+        reviewedById: req.user.id,
+      },
+      include: alumniSubmissionInclude,
+    });
+  });
+
+  res.json(withMediaUrls(rejected));
+}));
+
+assertRoutesProtected(app);
+
+app.use(notFoundHandler);
+app.use(errorHandler);
+
+// Tests import the app without starting a server
+if (process.env.NODE_ENV !== "test") {
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => {
+    console.log(`Server running on port ${PORT}`);
+  });
+}
+
+export default app;
+export { prisma, authenticateToken };
@@ -0,0 +1,95 @@
+// CAPTCHA verification for public forms. The provider is chosen with
+// CAPTCHA_PROVIDER and CAPTCHA_SECRET:
+//
+//   turnstile  Cloudflare Turnstile
+//   hcaptcha   hCaptcha
+//   recaptcha  Google reCAPTCHA (v2/v3); v3 tokens also need a score of at
+//              least CAPTCHA_MIN_SCORE (default 0.5) and the action of the
+//              form they were made for ("contact", "booking" or
+//              "recruitment")
+//   test       no network; accepts only the token "test-pass" (for tests
+//              and local development)
+//
+// Without CAPTCHA_PROVIDER verification is disabled and every request
+// passes. A verifier is { enabled, verify(token, ip, action) => Promise<boolean> }.
+
+import { HttpError } from "./errors.js";
+
+const VERIFY_URLS = {
+  turnstile: "https://challenges.cloudflare.com/turnstile/v0/siteverify",
+  hcaptcha: "https://api.hcaptcha.com/siteverify",
+  recaptcha: "https://www.google.com/recaptcha/api/siteverify",
+};
+
+export const TEST_CAPTCHA_TOKEN = "test-pass";
+
+const DEFAULT_MIN_SCORE = 0.5;
+
+// The three providers share the same siteverify protocol. reCAPTCHA v3
+// never challenges, it scores every token instead (1.0 is very likely a
+// human), so `minScore` turns its answers into pass/fail.
+const siteVerifier = (url, secret, { minScore } = {}) => ({
+  enabled: true,
+  async verify(token, ip, action) {
+    if (!token) {
+      return false;
+    }
+
+    let body;
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        body: new URLSearchParams({ secret, response: token, ...(ip ? { remoteip: ip } : {}) }),
+        signal: AbortSignal.timeout(5000),
+      });
+      body = await response.json();
+    } catch (error) {
+      const unavailable = new HttpError(503, "CAPTCHA verification is unavailable, please try again", {
+        code: "CAPTCHA_UNAVAILABLE",
+      });
+      unavailable.cause = error;
+      throw unavailable;
+    }
+
+    if (body.success !== true) {
+      return false;
+    }
+
+    // Only v3 answers carry a score (and the action)
+    if (minScore !== undefined && typeof body.score === "number") {
+      return body.score >= minScore && (!action || body.action === action);
+    }
+
+    return true;
+  },
+});
+
+export const createCaptchaVerifier = (env = process.env) => {
+  const provider = env.CAPTCHA_PROVIDER;
+
+  if (!provider) {
+    return { enabled: false, verify: async () => true };
+  }
+
+  if (provider === "test") {
+    return { enabled: true, verify: async (token) => token === TEST_CAPTCHA_TOKEN };
+  }
+
+  if (!VERIFY_URLS[provider]) {
+    throw new Error(`Unknown CAPTCHA_PROVIDER "${provider}" (expected turnstile, hcaptcha, recaptcha or test)`);
+  }
+  if (!env.CAPTCHA_SECRET) {
+    throw new Error(`CAPTCHA_SECRET is required for CAPTCHA_PROVIDER "${provider}"`);
+  }
+
+  if (provider !== "recaptcha") {
+    return siteVerifier(VERIFY_URLS[provider], env.CAPTCHA_SECRET);
+  }
+
+  const minScore = env.CAPTCHA_MIN_SCORE ? Number(env.CAPTCHA_MIN_SCORE) : DEFAULT_MIN_SCORE;
+  if (!(minScore >= 0 && minScore <= 1)) {
+    throw new Error(`CAPTCHA_MIN_SCORE must be a number between 0 and 1, got "${env.CAPTCHA_MIN_SCORE}"`);
+  }
+
+  return siteVerifier(VERIFY_URLS[provider], env.CAPTCHA_SECRET, { minScore });
+};
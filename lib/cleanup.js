@@ -0,0 +1,234 @@
+// Deleting stored files without failing requests, and garbage collection
+// of files that no row references.
+//
+// File deletions happen after the database change they belong to has been
+// committed, so a storage error must not turn a successful request into a
+// 500. Failed deletions are queued in the PendingDeletion table and retried
+// with exponential backoff by processPendingDeletions (POST
+// /api/admin/storage/cleanup or `npm run storage:cleanup`).
+//
+// Uploads are deduplicated by content hash, so one file can be used by
+// several rows; a file is only deleted once nothing references it anymore.
+
+import { isAbsoluteUrl } from "./storage.js";
+import { imageVariantPaths } from "./images.js";
+
+export const MAX_DELETION_ATTEMPTS = 10;
+const RETRY_BASE_MINUTES = 5;
+const GC_BATCH_SIZE = 100;
+
+// Every column that stores a file key. Add new file fields here, or the
+// media GC will treat their files as orphans.
+export const MEDIA_REFERENCES = [
+  { type: "hero", model: "hero", field: "image" },
+  { type: "news", model: "news", field: "image" },
+  { type: "galeri", model: "albumPhoto", field: "image" },
+  { type: "extracurricular", model: "extracurricular", field: "image" },
+  { type: "kalender", model: "kalender", field: "file" },
+  { type: "alumni", model: "alumni", field: "image" },
+  { type: "sarana", model: "sarana", field: "image" },
+  { type: "headmaster-message", model: "headmasterMessage", field: "image" },
+  { type: "sejarah", model: "sejarah", field: "image" },
+  { type: "applicant", model: "applicant", field: "auditionFile" },
+  { type: "member", model: "member", field: "image" },
+  { type: "achievement", model: "achievement", field: "certificateFile" },
+  { type: "alumni-submission", model: "alumniSubmission", field: "image" },
+];
+
+// Every key stored for a file: the file itself plus its image variants.
+// External URLs are not ours to delete.
+export const storedFileKeys = (key) =>
+  !key || isAbsoluteUrl(key) ? [] : [key, ...imageVariantPaths(key)];
+
+const MIME_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  avif: "image/avif",
+  gif: "image/gif",
+  pdf: "application/pdf",
+  mp3: "audio/mpeg",
+  m4a: "audio/mp4",
+  wav: "audio/wav",
+  ogg: "audio/ogg",
+  mp4: "video/mp4",
+};
+
+// Best guess for files that were stored without an Asset row
+const mimeFromKey = (key) =>
+  MIME_TYPES[key.split(".").pop().toLowerCase()] || "application/octet-stream";
+
+const errorMessage = (error) => String(error?.cause?.message || error?.message || error).slice(0, 1000);
+
+export const createFileCleanup = ({ prisma, storage }) => {
+  // Map of key -> [{ type, id }] for the given keys that are in use
+  const referencesOf = async (keys) => {
+    const references = new Map();
+    if (keys.length === 0) return references;
+
+    for (const { type, model, field } of MEDIA_REFERENCES) {
+      const rows = await prisma[model].findMany({
+        where: { [field]: { in: keys } },
+        select: { id: true, [field]: true },
+      });
+
+      for (const row of rows) {
+        references.set(row[field], [...(references.get(row[field]) || []), { type, id: row.id }]);
+      }
+    }
+
+    return references;
+  };
+
+  const isReferenced = async (key) => (await referencesOf([key])).has(key);
+
+  // Keys of every file in use
+  const referencedKeys = async () => {
+    const keys = new Set();
+
+    for (const { model, field } of MEDIA_REFERENCES) {
+      const rows = await prisma[model].findMany({ select: { [field]: true } });
+      rows.forEach((row) => row[field] && keys.add(row[field]));
+    }
+
+    return keys;
+  };
+
+  const queueDeletion = async (key, error) => {
+    try {
+      await prisma.pendingDeletion.upsert({
+        where: { key },
+        create: { key, lastError: errorMessage(error) },
+        update: { lastError: errorMessage(error) },
+      });
+    } catch (queueError) {
+      console.error(`Could not queue deletion of ${key}:`, queueError);
+    }
+  };
+
+  // Delete stored files (keys of originals) that no row references anymore.
+  // Never throws: failures are queued for a later retry.
+  const removeFiles = async (keys) => {
+    for (const key of keys) {
+      const storedKeys = storedFileKeys(key);
+      if (storedKeys.length === 0) continue;
+
+      try {
+        if (await isReferenced(key)) continue;
+
+        // Drop the library entry first so the file can't be reused meanwhile
+        await prisma.asset.deleteMany({ where: { key } });
+        await storage.delete(storedKeys);
+      } catch (error) {
+        console.error(`Failed to delete ${key}, queued for retry:`, error);
+        await queueDeletion(key, error);
+      }
+    }
+  };
+
+  // Retry queued deletions that are due; returns { deleted, failed }
+  const processPendingDeletions = async ({ limit = 100 } = {}) => {
+    const due = await prisma.pendingDeletion.findMany({
+      where: { nextAttemptAt: { lte: new Date() }, attempts: { lt: MAX_DELETION_ATTEMPTS } },
+      orderBy: { nextAttemptAt: "asc" },
+      take: limit,
+    });
+
+    const result = { deleted: 0, failed: 0 };
+
+    for (const pending of due) {
+      try {
+        if (!(await isReferenced(pending.key))) {
+          await prisma.asset.deleteMany({ where: { key: pending.key } });
+          await storage.delete(storedFileKeys(pending.key));
+        }
+        await prisma.pendingDeletion.delete({ where: { id: pending.id } });
+        result.deleted++;
+      } catch (error) {
+        const attempts = pending.attempts + 1;
+        await prisma.pendingDeletion.update({
+          where: { id: pending.id },
+          data: {
+            attempts,
+            lastError: errorMessage(error),
+            nextAttemptAt: new Date(Date.now() + RETRY_BASE_MINUTES * 2 ** (attempts - 1) * 60 * 1000),
+          },
+        });
+        result.failed++;
+      }
+    }
+
+    return result;
+  };
+
+  // Find stored files that no row references. Files younger than
+  // `minAgeHours` are skipped, since an upload is stored before the row
+  // that references it is saved. Unless `dryRun`, the orphans are deleted
+  // and referenced files without an Asset row are registered.
+  const collectGarbage = async ({ dryRun = true, minAgeHours = 24 } = {}) => {
+    const referenced = await referencedKeys();
+    const keep = new Set([...referenced].flatMap(storedFileKeys));
+    const registered = new Set(
+      (await prisma.asset.findMany({ select: { key: true } })).map((asset) => asset.key)
+    );
+    const cutoff = Date.now() - minAgeHours * 60 * 60 * 1000;
+
+    const orphans = [];
+    const unregistered = [];
+    let scanned = 0;
+
+    for await (const file of storage.list()) {
+      scanned++;
+
+      if (keep.has(file.key)) {
+        if (referenced.has(file.key) && !registered.has(file.key)) {
+          unregistered.push(file);
+        }
+      } else if (!file.lastModified || file.lastModified.getTime() <= cutoff) {
+        orphans.push(file);
+      }
+    }
+
+    const report = {
+      dryRun,
+      scanned,
+      referenced: referenced.size,
+      unregistered: unregistered.length,
+      orphaned: orphans.length,
+      orphanedSize: orphans.reduce((total, file) => total + (file.size || 0), 0),
+      deleted: 0,
+      orphans: orphans.map(({ key, size, lastModified }) => ({ key, size, lastModified })),
+    };
+
+    if (dryRun) {
+      return report;
+    }
+
+    await prisma.asset.createMany({
+      data: unregistered.map((file) => ({
+        key: file.key,
+        mime: mimeFromKey(file.key),
+        size: file.size || 0,
+      })),
+      skipDuplicates: true,
+    });
+
+    // A row may have started using one of the files while we were listing
+    const stillReferenced = new Set([...(await referencedKeys())].flatMap(storedFileKeys));
+    const deletable = orphans.map((file) => file.key).filter((key) => !stillReferenced.has(key));
+
+    for (let index = 0; index < deletable.length; index += GC_BATCH_SIZE) {
+      const batch = deletable.slice(index, index + GC_BATCH_SIZE);
+
+      await prisma.asset.deleteMany({ where: { key: { in: batch } } });
+      await storage.delete(batch);
+      await prisma.pendingDeletion.deleteMany({ where: { key: { in: batch } } });
+      report.deleted += batch.length;
+    }
+
+    return report;
+  };
+
+  return { referencesOf, removeFiles, processPendingDeletions, collectGarbage };
+};
@@ -0,0 +1,170 @@
+// Email templates. Each returns { template, subject, text, html } ready to
+// be queued with the outbox (lib/mailer.js).
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Plain text paragraphs -> HTML, keeping line breaks
+const textToHtml = (text) =>
+  String(text || "")
+    .split(/\n{2,}/)
+    .map((paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br>")}</p>`)
+    .join("\n");
+
+// Email subjects are single line
+const oneLine = (text, maxLength = 80) => {
+  const line = String(text || "").replace(/\s+/g, " ").trim();
+  return line.length > maxLength ? `${line.slice(0, maxLength - 1)}…` : line;
+};
+
+// For the admins: a new message arrived on the contact form.
+// `inboxUrl` links to the message in the dashboard when ADMIN_URL is set.
+export const contactNotificationEmail = (contact, { inboxUrl } = {}) => {
+  const details = [
+    ["Name", contact.name],
+    ["Email", contact.email],
+    ["Phone", contact.phone],
+  ].filter(([, value]) => value);
+
+  const text = [
+    "A new message was sent through the contact form.",
+    "",
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    "",
+    contact.message,
+    ...(inboxUrl ? ["", `Open in the inbox: ${inboxUrl}`] : []),
+  ].join("\n");
+
+  const html = [
+    "<p>A new message was sent through the contact form.</p>",
+    "<table>",
+    ...details.map(
+      ([label, value]) => `<tr><th align="left">${label}</th><td>${escapeHtml(value)}</td></tr>`
+    ),
+    "</table>",
+    "<blockquote>",
+    textToHtml(contact.message),
+    "</blockquote>",
+    ...(inboxUrl ? [`<p><a href="${escapeHtml(inboxUrl)}">Open in the inbox</a></p>`] : []),
+  ].join("\n");
+
+  return {
+    template: "contact-notification",
+    subject: `New contact message from ${oneLine(contact.name)}`,
+    text,
+    html,
+  };
+};
+
+// For the sender: we received the message (in Indonesian, like the site)
+export const contactAcknowledgementEmail = (contact) => {
+  const text = [
+    `Halo ${contact.name},`,
+    "",
+    "Terima kasih telah menghubungi kami. Pesan Anda sudah kami terima dan akan segera kami balas.",
+    "",
+    "Pesan Anda:",
+    contact.message,
+    "",
+    "Salam,",
+    "Seni Religius",
+  ].join("\n");
+
+  const html = [
+    `<p>Halo ${escapeHtml(contact.name)},</p>`,
+    "<p>Terima kasih telah menghubungi kami. Pesan Anda sudah kami terima dan akan segera kami balas.</p>",
+    "<p>Pesan Anda:</p>",
+    "<blockquote>",
+    textToHtml(contact.message),
+    "</blockquote>",
+    "<p>Salam,<br>Seni Religius</p>",
+  ].join("\n");
+
+  return {
+    template: "contact-acknowledgement",
+    subject: "Pesan Anda telah kami terima",
+    text,
+    html,
+  };
+};
+
+// For the secretariat: an organizer asked us to perform at an event
+export const bookingNotificationEmail = (booking, { divisionName, adminUrl } = {}) => {
+  const date = booking.eventDate.toISOString().slice(0, 10);
+  const time = [booking.startTime, booking.endTime].filter(Boolean).join(" - ");
+  const details = [
+    ["Event", booking.eventName],
+    ["Division", divisionName],
+    ["Date", date],
+    ["Time", time && `${time} WIB`],
+    ["Location", booking.location],
+    ["Organizer", booking.organizer],
+    ["Contact", booking.contactName],
+    ["Email", booking.contactEmail],
+    ["Phone", booking.contactPhone],
+  ].filter(([, value]) => value);
+
+  const text = [
+    "A new performance booking was requested.",
+    "",
+    ...details.map(([label, value]) => `${label}: ${value}`),
+    ...(booking.message ? ["", booking.message] : []),
+    ...(adminUrl ? ["", `Open in the dashboard: ${adminUrl}`] : []),
+  ].join("\n");
+
+  const html = [
+    "<p>A new performance booking was requested.</p>",
+    "<table>",
+    ...details.map(
+      ([label, value]) => `<tr><th align="left">${label}</th><td>${escapeHtml(value)}</td></tr>`
+    ),
+    "</table>",
+    ...(booking.message ? ["<blockquote>", textToHtml(booking.message), "</blockquote>"] : []),
+    ...(adminUrl ? [`<p><a href="${escapeHtml(adminUrl)}">Open in the dashboard</a></p>`] : []),
+  ].join("\n");
+
+  return {
+    template: "booking-notification",
+    subject: `Booking request: ${oneLine(booking.eventName)} (${date})`,
+    text,
+    html,
+  };
+};
+
+// For an alumnus: link to fill in (or update) their profile
+export const alumniInviteEmail = ({ url, expiresAt, name }) => {
+  const expires = expiresAt.toISOString().slice(0, 10);
+
+  const text = [
+    name ? `Halo ${name},` : "Halo,",
+    "",
+    "Kami sedang membangun direktori alumni Seni Religius. Silakan isi atau perbarui profil Anda melalui tautan berikut:",
+    "",
+    url,
+    "",
+    `Tautan ini berlaku sampai ${expires}. Profil akan ditampilkan setelah disetujui oleh pengurus, dan hanya jika Anda menyetujuinya.`,
+    "",
+    "Salam,",
+    "Seni Religius",
+  ].join("\n");
+
+  const html = [
+    `<p>${name ? `Halo ${escapeHtml(name)},` : "Halo,"}</p>`,
+    "<p>Kami sedang membangun direktori alumni Seni Religius. Silakan isi atau perbarui profil Anda melalui tautan berikut:</p>",
+    `<p><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></p>`,
+    `<p>Tautan ini berlaku sampai ${expires}. Profil akan ditampilkan setelah disetujui oleh pengurus, dan hanya jika Anda menyetujuinya.</p>`,
+    "<p>Salam,<br>Seni Religius</p>",
+  ].join("\n");
+
+  return {
+    template: "alumni-invite",
+    subject: "Profil alumni Seni Religius",
+    text,
+    html,
+  };
+};
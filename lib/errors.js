@@ -0,0 +1,178 @@
+// Typed HTTP errors and the central Express error handling.
+//
+// Route handlers throw one of these errors (or let Prisma/multer errors
+// bubble up) and errorHandler turns them into a single JSON format:
+//
+//   { error, code, requestId, errors?, details? }
+//
+// `details` (the internal error message) is only included outside
+// production, and only for unexpected 5xx errors.
+
+import crypto from "crypto";
+import multer from "multer";
+import { Prisma } from "@prisma/client";
+
+export class HttpError extends Error {
+  constructor(status, message, { code = "ERROR", errors, headers } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.errors = errors;
+    this.headers = headers;
+  }
+}
+
+export class ValidationError extends HttpError {
+  constructor(errors, message = "Validation failed") {
+    super(400, message, { code: "VALIDATION_FAILED", errors });
+  }
+}
+
+export class UnauthorizedError extends HttpError {
+  constructor(message = "Authentication required", options = {}) {
+    super(401, message, { code: "UNAUTHORIZED", ...options });
+  }
+}
+
+export class ForbiddenError extends HttpError {
+  constructor(message = "You do not have permission to perform this action", options = {}) {
+    super(403, message, { code: "FORBIDDEN", ...options });
+  }
+}
+
+export class NotFoundError extends HttpError {
+  constructor(message = "Resource not found") {
+    super(404, message, { code: "NOT_FOUND" });
+  }
+}
+
+export class ConflictError extends HttpError {
+  constructor(message = "Resource already exists", options = {}) {
+    super(409, message, { code: "CONFLICT", ...options });
+  }
+}
+
+export class TooManyRequestsError extends HttpError {
+  constructor(message = "Too many requests, please try again later", retryAfterSeconds) {
+    super(429, message, {
+      code: "TOO_MANY_REQUESTS",
+      headers: retryAfterSeconds ? { "Retry-After": String(retryAfterSeconds) } : undefined,
+    });
+  }
+}
+
+export class PayloadTooLargeError extends HttpError {
+  constructor(message = "Request body is too large") {
+    super(413, message, { code: "PAYLOAD_TOO_LARGE" });
+  }
+}
+
+export class UnsupportedMediaTypeError extends HttpError {
+  constructor(message = "Unsupported media type") {
+    super(415, message, { code: "UNSUPPORTED_MEDIA_TYPE" });
+  }
+}
+
+// The file storage provider failed (upload, delete, ...)
+export class StorageError extends HttpError {
+  constructor(message = "File storage is unavailable", cause) {
+    super(502, message, { code: "STORAGE_ERROR" });
+    this.cause = cause;
+  }
+}
+
+// Express 4 does not catch rejected promises; forward them to next()
+export const asyncHandler = (handler) => (req, res, next) =>
+  Promise.resolve(handler(req, res, next)).catch(next);
+
+// Tag every request with an id (reused from X-Request-Id when the proxy
+// sets one) so client reports can be matched with server logs
+export const requestId = (req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id = incoming && /^[\w-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+};
+
+export const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+};
+
+// Map errors thrown by libraries onto HttpErrors
+const normalizeError = (err) => {
+  if (err instanceof HttpError) {
+    return err;
+  }
+
+  if (err instanceof Prisma.PrismaClientKnownRequestError) {
+    switch (err.code) {
+      case "P2025":
+        return new NotFoundError("Record not found");
+      case "P2002": {
+        const target = [].concat(err.meta?.target || []).join(", ");
+        return new ConflictError(
+          target ? `A record with this ${target} already exists` : "Record already exists"
+        );
+      }
+      case "P2003":
+        return new ConflictError("Record is referenced by, or references, another record");
+      // Serializable transaction lost against a concurrent one
+      case "P2034":
+        return new ConflictError("Record was changed at the same time, please try again");
+      default:
+        return null;
+    }
+  }
+
+  if (err instanceof multer.MulterError) {
+    if (err.code === "LIMIT_FILE_SIZE") {
+      return new PayloadTooLargeError(`${err.field} is too large`);
+    }
+    return new ValidationError([{ location: "body", field: err.field, message: err.message }]);
+  }
+
+  // Malformed JSON body from express.json()
+  if (err.type === "entity.parse.failed") {
+    return new ValidationError([{ location: "body", message: "Body must be valid JSON" }]);
+  }
+
+  if (err.type === "entity.too.large") {
+    return new PayloadTooLargeError();
+  }
+
+  return null;
+};
+
+export const errorHandler = (err, req, res, next) => {
+  const httpError = normalizeError(err);
+  const status = httpError?.status || 500;
+
+  if (status >= 500) {
+    console.error(`[${req.id}] ${req.method} ${req.originalUrl}:`, err);
+  }
+
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (httpError?.headers) {
+    res.set(httpError.headers);
+  }
+
+  const body = {
+    error: httpError ? httpError.message : "Internal server error",
+    code: httpError ? httpError.code : "INTERNAL_ERROR",
+    requestId: req.id,
+  };
+
+  if (httpError?.errors) {
+    body.errors = httpError.errors;
+  }
+
+  if (status >= 500 && process.env.NODE_ENV !== "production") {
+    body.details = err.message;
+  }
+
+  res.status(status).json(body);
+};
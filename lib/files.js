@@ -0,0 +1,132 @@
+// Upload checks: the real file type is sniffed from the magic bytes (the
+// client's mimetype and file name are not trusted), sizes are limited per
+// field, and stored file names are sanitized.
+
+import crypto from "crypto";
+import { PayloadTooLargeError, UnsupportedMediaTypeError } from "./errors.js";
+import { slugify } from "./richtext.js";
+
+const MB = 1024 * 1024;
+
+// Allowed types and the default size limit per kind of upload field
+export const FILE_KINDS = {
+  image: {
+    types: ["image/jpeg", "image/png", "image/webp", "image/avif", "image/gif"],
+    description: "a JPEG, PNG, WebP, AVIF or GIF image",
+    maxSize: 10 * MB,
+  },
+  pdf: {
+    types: ["application/pdf"],
+    description: "a PDF document",
+    maxSize: 20 * MB,
+  },
+  // Certificates: a scan or photo, or the PDF as issued
+  document: {
+    types: ["image/jpeg", "image/png", "image/webp", "image/avif", "image/gif", "application/pdf"],
+    description: "an image or a PDF document",
+    maxSize: 20 * MB,
+  },
+  // Audition recordings of applicants
+  recording: {
+    types: ["audio/mpeg", "audio/mp4", "audio/wav", "audio/ogg", "video/mp4"],
+    description: "an MP3, M4A, WAV, OGG or MP4 recording",
+    maxSize: 20 * MB,
+  },
+};
+
+// Largest file any field accepts, the hard limit for multer
+export const MAX_UPLOAD_SIZE = Math.max(...Object.values(FILE_KINDS).map((kind) => kind.maxSize));
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Brands of an ISO-BMFF "ftyp" box (major and compatible), [] otherwise
+const isoBrands = (buffer) => {
+  if (!startsWith(buffer, ascii("ftyp"), 4)) {
+    return [];
+  }
+
+  const brands = [];
+  const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+  for (let offset = 8; offset + 4 <= boxSize; offset += 4) {
+    if (offset === 12) continue; // minor version
+    brands.push(buffer.toString("latin1", offset, offset + 4));
+  }
+
+  return brands;
+};
+
+// { mime, extension } of a file's content, or null when unknown
+export const sniffFileType = (buffer) => {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return { mime: "image/jpeg", extension: "jpg" };
+  }
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return { mime: "image/png", extension: "png" };
+  }
+  if (startsWith(buffer, ascii("GIF87a")) || startsWith(buffer, ascii("GIF89a"))) {
+    return { mime: "image/gif", extension: "gif" };
+  }
+  if (startsWith(buffer, ascii("RIFF")) && startsWith(buffer, ascii("WEBP"), 8)) {
+    return { mime: "image/webp", extension: "webp" };
+  }
+  const brands = isoBrands(buffer);
+  if (brands.includes("avif") || brands.includes("avis")) {
+    return { mime: "image/avif", extension: "avif" };
+  }
+  if (startsWith(buffer, ascii("%PDF-"))) {
+    return { mime: "application/pdf", extension: "pdf" };
+  }
+  if (startsWith(buffer, ascii("ID3")) || (buffer[0] === 0xff && (buffer[1] & 0xe6) === 0xe2)) {
+    return { mime: "audio/mpeg", extension: "mp3" };
+  }
+  if (startsWith(buffer, ascii("RIFF")) && startsWith(buffer, ascii("WAVE"), 8)) {
+    return { mime: "audio/wav", extension: "wav" };
+  }
+  if (startsWith(buffer, ascii("OggS"))) {
+    return { mime: "audio/ogg", extension: "ogg" };
+  }
+  if (brands.includes("M4A ") || brands.includes("M4B ")) {
+    return { mime: "audio/mp4", extension: "m4a" };
+  }
+  if (brands.length > 0) {
+    return { mime: "video/mp4", extension: "mp4" };
+  }
+
+  return null;
+};
+
+const formatSize = (bytes) =>
+  bytes >= MB ? `${Math.round((bytes / MB) * 10) / 10} MB` : `${Math.round(bytes / 1024)} KB`;
+
+// Check an uploaded (multer) file against its field rule { kind, maxSize }.
+// Returns the sniffed type; throws 413/415 errors.
+export const checkUpload = (file, { kind = "image", maxSize } = {}) => {
+  const allowed = FILE_KINDS[kind];
+  const limit = maxSize || allowed.maxSize;
+
+  if (file.size > limit) {
+    throw new PayloadTooLargeError(`${file.fieldname} must be at most ${formatSize(limit)}`);
+  }
+
+  const type = sniffFileType(file.buffer);
+  if (!type || !allowed.types.includes(type.mime)) {
+    throw new UnsupportedMediaTypeError(`${file.fieldname} must be ${allowed.description}`);
+  }
+
+  return type;
+};
+
+// Unique, URL-safe key name for an upload:
+// "Hadrah_putra-removebg-Maskot preview.png" -> "1741531376669-9f86d081-hadrah-putra-removebg-maskot-preview"
+export const uploadKeyName = (originalname) => {
+  const baseName = String(originalname || "").replace(/\.[^.]*$/, "");
+  const slug = slugify(baseName, 60) || "file";
+  return `${Date.now()}-${crypto.randomBytes(4).toString("hex")}-${slug}`;
+};
@@ -0,0 +1,121 @@
+// iCalendar (RFC 5545) feed of events, for calendar apps to subscribe to.
+//
+// Times are written in Asia/Jakarta with its VTIMEZONE, so apps expand the
+// recurrence rules (lib/recurrence.js) in WIB like the API does.
+
+import { TIME_ZONE, parseRecurrence, formatRecurrence } from "./recurrence.js";
+
+const OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRODUCT_ID = "-//Seni Religius//Events//ID";
+
+// WIB has no daylight saving, one STANDARD block is enough
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE",
+  `TZID:${TIME_ZONE}`,
+  "BEGIN:STANDARD",
+  "DTSTART:19700101T000000",
+  "TZOFFSETFROM:+0700",
+  "TZOFFSETTO:+0700",
+  "TZNAME:WIB",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+// Escape TEXT values: backslash, semicolon, comma and newlines
+const escapeText = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// Fold content lines longer than 75 octets (continuation lines start
+// with a space), without splitting multi-byte characters
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (octets + size > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+};
+
+const compact = (iso) => iso.replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+// 20261019T073000Z
+const utcDateTime = (date) => compact(date.toISOString());
+
+// 20261019T143000 in WIB
+const localDateTime = (date) => compact(new Date(date.getTime() + OFFSET_MS).toISOString()).slice(0, 15);
+
+// 20261019 in WIB
+const localDate = (date) => localDateTime(date).slice(0, 8);
+
+const eventLines = (event, { domain, url }) => {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:event-${event.id}@${domain}`,
+    `DTSTAMP:${utcDateTime(event.updatedAt || event.createdAt || new Date())}`,
+  ];
+
+  if (event.allDay) {
+    // DTEND of all-day events is exclusive: the day after the last day
+    const lastDay = event.endsAt || event.startsAt;
+    lines.push(
+      `DTSTART;VALUE=DATE:${localDate(event.startsAt)}`,
+      `DTEND;VALUE=DATE:${localDate(new Date(lastDay.getTime() + DAY_MS))}`
+    );
+  } else {
+    lines.push(`DTSTART;TZID=${TIME_ZONE}:${localDateTime(event.startsAt)}`);
+    if (event.endsAt) {
+      lines.push(`DTEND;TZID=${TIME_ZONE}:${localDateTime(event.endsAt)}`);
+    }
+  }
+
+  if (event.recurrence) {
+    // UNTIL must be a DATE like DTSTART for all-day events
+    const rule = event.allDay
+      ? formatRecurrence(parseRecurrence(event.recurrence), { dateOnly: true })
+      : event.recurrence;
+    lines.push(`RRULE:${rule}`);
+  }
+  lines.push(`SUMMARY:${escapeText(event.title)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.extracurricular) lines.push(`CATEGORIES:${escapeText(event.extracurricular.name)}`);
+  if (url) lines.push(`URL:${url(event)}`);
+  lines.push(`CLASS:${event.isPublic === false ? "PRIVATE" : "PUBLIC"}`, "END:VEVENT");
+
+  return lines;
+};
+
+// Serialize events as a VCALENDAR. `domain` makes the UIDs globally
+// unique; `url(event)` optionally links each event.
+export const buildCalendar = (events, { name = "Seni Religius", domain = "senireligius", url } = {}) =>
+  [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TIME_ZONE}`,
+    ...VTIMEZONE,
+    ...events.flatMap((event) => eventLines(event, { domain, url })),
+    "END:VCALENDAR",
+  ]
+    .map(foldLine)
+    .join("\r\n") + "\r\n";
@@ -0,0 +1,165 @@
+// Image processing for uploads: fix EXIF orientation, strip metadata and
+// generate responsive WebP/AVIF variants.
+//
+// Every processed image is stored under its own folder with a fixed layout,
+// so the variant keys can be derived from the stored original's key:
+//
+//   <id>/original.jpg   the upload, rotated and without metadata
+//   <id>/w320.webp      thumbnail
+//   <id>/w320.avif
+//   <id>/w768.webp      medium
+//   <id>/w768.avif
+//   <id>/w1600.webp     large
+//   <id>/w1600.avif
+//
+// Variants are never upscaled, so for small uploads a variant can be
+// narrower than its nominal width.
+//
+// Encoding runs inside the upload request. AVIF uses a low effort: the
+// default takes ~15 s for the three variants of a 12 MP photo on one core,
+// effort 1 about a second, for files only slightly larger.
+
+import sharp from "sharp";
+
+export const IMAGE_VARIANTS = [
+  { name: "thumbnail", width: 320 },
+  { name: "medium", width: 768 },
+  { name: "large", width: 1600 },
+];
+
+// Best format first, the order of <source> elements in a <picture>
+export const VARIANT_FORMATS = ["avif", "webp"];
+
+const CONTENT_TYPES = {
+  jpg: "image/jpeg",
+  png: "image/png",
+  webp: "image/webp",
+  avif: "image/avif",
+  tiff: "image/tiff",
+};
+
+// sharp input format -> extension of the stored original
+const ORIGINAL_EXTENSIONS = {
+  jpeg: "jpg",
+  png: "png",
+  webp: "webp",
+  heif: "avif",
+  tiff: "tiff",
+};
+
+const ENCODERS = {
+  jpg: (image) => image.jpeg({ quality: 90, mozjpeg: true }),
+  png: (image) => image.png({ compressionLevel: 9 }),
+  webp: (image) => image.webp({ quality: 80 }),
+  avif: (image) => image.avif({ quality: 50, effort: 1 }),
+  tiff: (image) => image.tiff(),
+};
+
+// GIFs are left alone so animations survive
+export const isProcessableImage = (mimetype) =>
+  ["image/jpeg", "image/png", "image/webp", "image/avif", "image/tiff"].includes(mimetype);
+
+export class InvalidImageError extends Error {}
+
+// Returns the files to store under `<id>/`: [{ name, buffer, contentType }]
+export const processImage = async (buffer) => {
+  try {
+    return await encodeImage(buffer);
+  } catch (error) {
+    throw error instanceof InvalidImageError
+      ? error
+      : new InvalidImageError("Unsupported or corrupt image", { cause: error });
+  }
+};
+
+const encodeImage = async (buffer) => {
+  const { format } = await sharp(buffer).metadata();
+
+  const extension = ORIGINAL_EXTENSIONS[format];
+  if (!extension) {
+    throw new InvalidImageError(`Unsupported image format: ${format}`);
+  }
+
+  // rotate() applies the EXIF orientation; sharp drops all metadata on output
+  const source = sharp(buffer, { failOn: "error" }).rotate();
+
+  const files = [
+    {
+      name: `original.${extension}`,
+      buffer: await ENCODERS[extension](source.clone()).toBuffer(),
+      contentType: CONTENT_TYPES[extension],
+    },
+  ];
+
+  for (const variant of IMAGE_VARIANTS) {
+    const resized = source.clone().resize({ width: variant.width, withoutEnlargement: true });
+
+    for (const format of VARIANT_FORMATS) {
+      files.push({
+        name: `w${variant.width}.${format}`,
+        buffer: await ENCODERS[format](resized.clone()).toBuffer(),
+        contentType: CONTENT_TYPES[format],
+      });
+    }
+  }
+
+  return files;
+};
+
+const ORIGINAL_PATTERN = /\/original\.(jpg|png|webp|avif|tiff)$/;
+
+// Keys of the variants next to a stored original (none for files uploaded
+// before processing existed)
+export const imageVariantPaths = (original) => {
+  if (!ORIGINAL_PATTERN.test(original)) {
+    return [];
+  }
+
+  const folder = original.replace(ORIGINAL_PATTERN, "");
+  return IMAGE_VARIANTS.flatMap((variant) =>
+    VARIANT_FORMATS.map((format) => `${folder}/w${variant.width}.${format}`)
+  );
+};
+
+// srcset-ready structure for a stored image, `toUrl` maps keys to URLs:
+//
+//   {
+//     src,        fallback for <img src> (medium WebP, or the original)
+//     original,
+//     sources: [{ type: "image/avif", srcset: "…/w320.avif 320w, …" }, …],
+//     variants: { thumbnail: { width, avif, webp }, medium, large }
+//   }
+export const imageSources = (key, toUrl = (value) => value) => {
+  if (!key) {
+    return null;
+  }
+
+  const original = toUrl(key);
+
+  if (!ORIGINAL_PATTERN.test(key)) {
+    return { src: original, original, sources: [], variants: null };
+  }
+
+  const folder = key.replace(ORIGINAL_PATTERN, "");
+  const variantUrl = (variant, format) => toUrl(`${folder}/w${variant.width}.${format}`);
+
+  const variants = Object.fromEntries(
+    IMAGE_VARIANTS.map((variant) => [
+      variant.name,
+      {
+        width: variant.width,
+        ...Object.fromEntries(VARIANT_FORMATS.map((format) => [format, variantUrl(variant, format)])),
+      },
+    ])
+  );
+
+  return {
+    src: variants.medium.webp,
+    original,
+    sources: VARIANT_FORMATS.map((format) => ({
+      type: CONTENT_TYPES[format],
+      srcset: IMAGE_VARIANTS.map((variant) => `${variantUrl(variant, format)} ${variant.width}w`).join(", "),
+    })),
+    variants,
+  };
+};
@@ -0,0 +1,185 @@
+// Outgoing email. A mailer is { name, send(message) } where message is
+// { to, subject, text, html, replyTo }. The transport is chosen with
+// MAIL_TRANSPORT:
+//
+//   smtp    SMTP_HOST, SMTP_PORT (default 587), SMTP_SECURE, SMTP_USER,
+//           SMTP_PASS; point it at a local catcher (e.g. Mailpit on port
+//           1025) during development
+//   memory  no network; messages are kept in `mailer.sent` (for tests)
+//
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set and memory
+// under NODE_ENV=test. Otherwise email is not configured: a warning is
+// logged and every send fails, so queued emails stay PENDING (then FAILED)
+// instead of being marked SENT. The sender is MAIL_FROM.
+//
+// Requests never send mail directly: messages are queued in the
+// OutboundEmail table and delivered by the outbox, which retries failures
+// with exponential backoff (POST /api/admin/emails/process or
+// `npm run mail:send`). A run claims each email before sending it by moving
+// nextAttemptAt past a short lease, so concurrent runs don't send it twice
+// and an email whose run crashed is picked up again once the lease is over.
+
+import nodemailer from "nodemailer";
+
+export const MAX_EMAIL_ATTEMPTS = 6;
+const RETRY_BASE_MINUTES = 5;
+const SEND_LEASE_MINUTES = 10;
+
+const DEFAULT_FROM = "Seni Religius <no-reply@localhost>";
+
+export const smtpMailer = ({ host, port = 587, secure = false, user, pass, from = DEFAULT_FROM }) => {
+  const transport = nodemailer.createTransport({
+    host,
+    port: Number(port),
+    secure,
+    auth: user ? { user, pass } : undefined,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 20000,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) => transport.sendMail({ from, ...message }),
+  };
+};
+
+export const memoryMailer = ({ from = DEFAULT_FROM } = {}) => {
+  const sent = [];
+
+  return {
+    name: "memory",
+    sent,
+    async send(message) {
+      sent.push({ from, ...message });
+      return { messageId: `memory-${sent.length}` };
+    },
+  };
+};
+
+// No transport configured: sending fails, the outbox keeps retrying
+export const unconfiguredMailer = () => ({
+  name: "none",
+  async send() {
+    throw new Error("Email is not configured, set SMTP_HOST (or MAIL_TRANSPORT)");
+  },
+});
+
+export const createMailer = (env = process.env) => {
+  const transport = env.MAIL_TRANSPORT || (env.SMTP_HOST ? "smtp" : env.NODE_ENV === "test" ? "memory" : null);
+
+  if (!transport) {
+    console.warn("WARNING: SMTP_HOST and MAIL_TRANSPORT are not set, no email will be delivered");
+    return unconfiguredMailer();
+  }
+
+  switch (transport) {
+    case "smtp":
+      return smtpMailer({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        secure: env.SMTP_SECURE === "true",
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.MAIL_FROM,
+      });
+    case "memory":
+      return memoryMailer({ from: env.MAIL_FROM });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${transport}" (expected smtp or memory)`);
+  }
+};
+
+// Comma separated list of addresses from an environment variable
+export const parseRecipients = (value) =>
+  String(value || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter(Boolean);
+
+const errorMessage = (error) => String(error?.message || error).slice(0, 1000);
+
+export const createOutbox = ({ prisma, mailer }) => {
+  // Queue an email ({ to, subject, text, html, replyTo } plus template and
+  // contactId); returns the OutboundEmail row
+  const enqueue = (email) =>
+    prisma.outboundEmail.create({
+      data: { ...email, to: Array.isArray(email.to) ? email.to : [email.to] },
+    });
+
+  // Take a due email for this run; false when another run got it first
+  const claim = async (email) => {
+    const now = new Date();
+    const { count } = await prisma.outboundEmail.updateMany({
+      where: { id: email.id, status: "PENDING", nextAttemptAt: { lte: now } },
+      data: { nextAttemptAt: new Date(now.getTime() + SEND_LEASE_MINUTES * 60 * 1000) },
+    });
+    return count === 1;
+  };
+
+  const deliver = async (email) => {
+    try {
+      await mailer.send({
+        to: email.to,
+        subject: email.subject,
+        text: email.text,
+        ...(email.html ? { html: email.html } : {}),
+        ...(email.replyTo ? { replyTo: email.replyTo } : {}),
+      });
+      await prisma.outboundEmail.update({
+        where: { id: email.id },
+        data: { status: "SENT", sentAt: new Date(), attempts: email.attempts + 1, lastError: null },
+      });
+      return true;
+    } catch (error) {
+      const attempts = email.attempts + 1;
+      await prisma.outboundEmail.update({
+        where: { id: email.id },
+        data: {
+          attempts,
+          lastError: errorMessage(error),
+          status: attempts >= MAX_EMAIL_ATTEMPTS ? "FAILED" : "PENDING",
+          nextAttemptAt: new Date(Date.now() + RETRY_BASE_MINUTES * 2 ** (attempts - 1) * 60 * 1000),
+        },
+      });
+      return false;
+    }
+  };
+
+  // Send queued emails that are due, or only the given ids;
+  // returns { sent, failed }
+  const processOutbox = async ({ ids, limit = 50 } = {}) => {
+    const due = await prisma.outboundEmail.findMany({
+      where: {
+        status: "PENDING",
+        nextAttemptAt: { lte: new Date() },
+        ...(ids ? { id: { in: ids } } : {}),
+      },
+      orderBy: { nextAttemptAt: "asc" },
+      take: limit,
+    });
+
+    const result = { sent: 0, failed: 0 };
+
+    for (const email of due) {
+      if (!(await claim(email))) continue;
+
+      if (await deliver(email)) {
+        result.sent++;
+      } else {
+        result.failed++;
+      }
+    }
+
+    return result;
+  };
+
+  // Put a FAILED email back in the queue, due immediately
+  const retry = (id) =>
+    prisma.outboundEmail.update({
+      where: { id },
+      data: { status: "PENDING", attempts: 0, nextAttemptAt: new Date() },
+    });
+
+  return { enqueue, processOutbox, retry };
+};
@@ -0,0 +1,226 @@
+// Recurring events. Rules use a subset of iCalendar RRULE (RFC 5545), so
+// they can be passed to calendar apps unchanged:
+//
+//   FREQ=DAILY|WEEKLY|MONTHLY|YEARLY   required
+//   INTERVAL=n                         every n days/weeks/months/years
+//   COUNT=n or UNTIL=20261231T170000Z  end of the series (never both)
+//   BYDAY=MO,WE,FR                     weekdays, only with FREQ=WEEKLY
+//
+// Occurrences are computed in Indonesian time (WIB, UTC+7, no daylight
+// saving), so "every Friday at 19:30" stays on Friday. Like RFC 5545,
+// monthly/yearly rules skip months without the start's day (e.g. the 31st),
+// and the start itself is always the first occurrence (and counts for
+// COUNT), even on a weekday BYDAY doesn't list.
+
+export const TIME_ZONE = "Asia/Jakarta";
+const OFFSET_MS = 7 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"];
+const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+// Upper bound of candidates looked at per series, against runaway loops
+const MAX_ITERATIONS = 100000;
+
+export class RecurrenceError extends Error {}
+
+const parseUntil = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/i.exec(value);
+  if (!match) return null;
+
+  // A date without a time means the end of that day; times without "Z"
+  // are WIB like the event itself
+  const [, year, month, day, hours = "23", minutes = "59", seconds = "59", utc] = match;
+  const time = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  const date = new Date(utc ? time : time - OFFSET_MS);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const formatUntil = (date) => `${date.toISOString().replace(/[-:]/g, "").slice(0, 15)}Z`;
+
+// UNTIL of all-day events: the WIB date, since RFC 5545 wants UNTIL to
+// have DTSTART's value type
+const formatUntilDate = (date) => new Date(date.getTime() + OFFSET_MS).toISOString().slice(0, 10).replace(/-/g, "");
+
+// Parse "FREQ=WEEKLY;BYDAY=MO,TH" into { freq, interval, count, until, byDay };
+// throws RecurrenceError with a message fit for a validation error
+export const parseRecurrence = (rule) => {
+  const parts = String(rule)
+    .trim()
+    .replace(/^RRULE:/i, "")
+    .split(";")
+    .filter(Boolean);
+
+  const parsed = { freq: null, interval: 1, count: null, until: null, byDay: null };
+
+  for (const part of parts) {
+    const [name, value = ""] = part.split("=");
+
+    switch (name.toUpperCase()) {
+      case "FREQ":
+        if (!FREQUENCIES.includes(value.toUpperCase())) {
+          throw new RecurrenceError(`FREQ must be one of ${FREQUENCIES.join(", ")}`);
+        }
+        parsed.freq = value.toUpperCase();
+        break;
+      case "INTERVAL":
+        parsed.interval = Number(value);
+        if (!Number.isInteger(parsed.interval) || parsed.interval < 1 || parsed.interval > 1000) {
+          throw new RecurrenceError("INTERVAL must be a positive integer");
+        }
+        break;
+      case "COUNT":
+        parsed.count = Number(value);
+        if (!Number.isInteger(parsed.count) || parsed.count < 1 || parsed.count > 1000) {
+          throw new RecurrenceError("COUNT must be between 1 and 1000");
+        }
+        break;
+      case "UNTIL":
+        parsed.until = parseUntil(value);
+        if (!parsed.until) {
+          throw new RecurrenceError("UNTIL must be a date like 20261231 or 20261231T170000Z");
+        }
+        break;
+      case "BYDAY": {
+        const days = value.toUpperCase().split(",");
+        if (days.length === 0 || days.some((day) => !WEEKDAYS.includes(day))) {
+          throw new RecurrenceError(`BYDAY must list weekdays (${WEEKDAYS.join(",")})`);
+        }
+        parsed.byDay = [...new Set(days)].sort((a, b) => WEEKDAYS.indexOf(a) - WEEKDAYS.indexOf(b));
+        break;
+      }
+      default:
+        throw new RecurrenceError(`${name} is not supported`);
+    }
+  }
+
+  if (!parsed.freq) {
+    throw new RecurrenceError("FREQ is required");
+  }
+  if (parsed.count && parsed.until) {
+    throw new RecurrenceError("Use either COUNT or UNTIL, not both");
+  }
+  if (parsed.byDay && parsed.freq !== "WEEKLY") {
+    throw new RecurrenceError("BYDAY is only supported with FREQ=WEEKLY");
+  }
+
+  return parsed;
+};
+
+// Canonical RRULE text of a parsed rule (what gets stored). With
+// `dateOnly` UNTIL is written as a date, for all-day events.
+export const formatRecurrence = ({ freq, interval, count, until, byDay }, { dateOnly = false } = {}) =>
+  [
+    `FREQ=${freq}`,
+    interval > 1 && `INTERVAL=${interval}`,
+    count && `COUNT=${count}`,
+    until && `UNTIL=${dateOnly ? formatUntilDate(until) : formatUntil(until)}`,
+    byDay && `BYDAY=${byDay.join(",")}`,
+  ]
+    .filter(Boolean)
+    .join(";");
+
+// Date shifted to WIB, so its UTC getters read local time (and back)
+const toLocal = (date) => new Date(date.getTime() + OFFSET_MS);
+const fromLocal = (date) => new Date(date.getTime() - OFFSET_MS);
+
+// Local start of the k-th period of the series, or null when that month
+// doesn't have the start's day
+const nthPeriodStart = (local, freq, step) => {
+  const result = new Date(local);
+
+  switch (freq) {
+    case "DAILY":
+      return new Date(local.getTime() + step * DAY_MS);
+    case "WEEKLY":
+      return new Date(local.getTime() + step * 7 * DAY_MS);
+    case "MONTHLY":
+      result.setUTCDate(1);
+      result.setUTCMonth(local.getUTCMonth() + step);
+      break;
+    case "YEARLY":
+      result.setUTCDate(1);
+      result.setUTCFullYear(local.getUTCFullYear() + step);
+      break;
+  }
+
+  const month = result.getUTCMonth();
+  result.setUTCDate(local.getUTCDate());
+  return result.getUTCMonth() === month ? result : null;
+};
+
+// Start times of the series in order; endless for rules without COUNT/UNTIL
+function* seriesStarts(startsAt, rule) {
+  const local = toLocal(startsAt);
+  const weekdayIndex = (local.getUTCDay() + 6) % 7; // Monday = 0
+
+  yield startsAt;
+  let produced = 1;
+  if (rule.count === 1) return;
+
+  for (let step = 0; step < MAX_ITERATIONS; step++) {
+    const periodStart = nthPeriodStart(local, rule.freq, step * rule.interval);
+    if (!periodStart) continue;
+
+    const candidates =
+      rule.freq === "WEEKLY" && rule.byDay
+        ? rule.byDay
+            .map((day) => WEEKDAYS.indexOf(day) - weekdayIndex)
+            .map((offset) => new Date(periodStart.getTime() + offset * DAY_MS))
+        : [periodStart];
+
+    // The start was yielded already
+    for (const candidate of candidates.filter((candidate) => candidate > local)) {
+      const start = fromLocal(candidate);
+      if (rule.until && start > rule.until) return;
+
+      yield start;
+      produced++;
+      if (rule.count && produced >= rule.count) return;
+    }
+  }
+}
+
+// { startsAt, endsAt } of every occurrence of an event that overlaps the
+// range [from, to). `event` has startsAt, endsAt (optional) and recurrence
+// (RRULE text or null).
+export const occurrencesBetween = (event, from, to) => {
+  const duration = event.endsAt ? event.endsAt.getTime() - event.startsAt.getTime() : 0;
+  const overlaps = (start) =>
+    start < to && (start.getTime() + duration > from.getTime() || start >= from);
+  const occurrence = (start) => ({ startsAt: start, endsAt: new Date(start.getTime() + duration) });
+
+  if (!event.recurrence) {
+    return overlaps(event.startsAt) ? [occurrence(event.startsAt)] : [];
+  }
+
+  const occurrences = [];
+  for (const start of seriesStarts(event.startsAt, parseRecurrence(event.recurrence))) {
+    if (start >= to) break;
+    if (overlaps(start)) occurrences.push(occurrence(start));
+  }
+
+  return occurrences;
+};
+
+// End of the last occurrence, or null when the series never ends. Stored
+// on the event so range queries can skip finished series.
+export const seriesEnd = ({ startsAt, endsAt, recurrence }) => {
+  const duration = endsAt ? endsAt.getTime() - startsAt.getTime() : 0;
+
+  if (!recurrence) {
+    return endsAt || startsAt;
+  }
+
+  const rule = parseRecurrence(recurrence);
+  if (!rule.count && !rule.until) {
+    return null;
+  }
+
+  let last = startsAt;
+  for (const start of seriesStarts(startsAt, rule)) {
+    last = start;
+  }
+
+  return new Date(last.getTime() + duration);
+};
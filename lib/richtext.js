@@ -0,0 +1,104 @@
+// Rich-text helpers for editor content: an HTML allowlist sanitizer, plain
+// text excerpts for cards/meta descriptions, and URL slugs.
+
+import sanitizeHtml from "sanitize-html";
+
+const RICH_TEXT_OPTIONS = {
+  allowedTags: [
+    "p", "br", "hr", "h2", "h3", "h4", "blockquote", "pre", "code",
+    "strong", "b", "em", "i", "u", "s", "sub", "sup", "span",
+    "ul", "ol", "li", "a", "img", "figure", "figcaption",
+    "table", "thead", "tbody", "tr", "th", "td", "iframe",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+    iframe: ["src", "width", "height", "allowfullscreen", "frameborder"],
+    th: ["colspan", "rowspan"],
+    td: ["colspan", "rowspan"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  // Video embeds of performances
+  allowedIframeHostnames: ["www.youtube.com", "www.youtube-nocookie.com", "player.vimeo.com"],
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName,
+      attribs:
+        attribs.target === "_blank"
+          ? { ...attribs, rel: "noopener noreferrer" }
+          : attribs,
+    }),
+  },
+};
+
+// Keep only allowlisted tags/attributes from editor HTML
+export const sanitizeRichText = (html) => sanitizeHtml(html || "", RICH_TEXT_OPTIONS);
+
+const ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&#39;": "'",
+  "&nbsp;": " ",
+};
+
+// Plain text version of HTML, cut on a word boundary
+export const toExcerpt = (html, maxLength = 160) => {
+  const text = sanitizeHtml(String(html || "").replace(/<\/(p|li|h\d|blockquote)>|<br\s*\/?>/gi, " "), {
+    allowedTags: [],
+    allowedAttributes: {},
+  })
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => ENTITIES[entity])
+    .replace(/\s+/g, " ")
+    .trim();
+
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(" ");
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trimEnd()}…`;
+};
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Match delimiters for PostgreSQL's ts_headline. Control characters never
+// occur in stored text, so the matches can be marked up after escaping.
+export const HIGHLIGHT_START = "\u0002";
+export const HIGHLIGHT_STOP = "\u0003";
+
+// ts_headline output -> HTML-safe snippet with <mark> around the matches.
+// With `html` the text comes from rich text (tags already stripped), so its
+// entities are decoded first instead of being escaped twice.
+export const highlightSnippet = (snippet, { html = false } = {}) => {
+  let text = String(snippet || "");
+  if (html) {
+    text = text.replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (entity) => ENTITIES[entity]);
+  }
+
+  return escapeHtml(text)
+    .replaceAll(HIGHLIGHT_START, "<mark>")
+    .replaceAll(HIGHLIGHT_STOP, "</mark>");
+};
+
+export const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// "Juara 1 Festival Hadrah!" -> "juara-1-festival-hadrah"
+export const slugify = (text, maxLength = 80) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/, "");
@@ -0,0 +1,69 @@
+// Heuristics for contact form spam. Each signal adds to a score; messages
+// at or above SPAM_THRESHOLD are stored with status SPAM instead of landing
+// in the inbox, so a false positive can still be recovered by an admin.
+
+export const SPAM_THRESHOLD = 5;
+
+// Lowercase phrases seen in spam sent to the form (gambling, loans, SEO...)
+const SPAM_PHRASES = [
+  "slot gacor",
+  "judi online",
+  "togel",
+  "casino",
+  "situs slot",
+  "pinjol",
+  "pinjaman online",
+  "viagra",
+  "bitcoin",
+  "crypto",
+  "forex",
+  "backlink",
+  "jasa seo",
+  "seo service",
+  "followers murah",
+];
+
+const LINK_PATTERN = /https?:\/\/|www\.|\[url=|<a\s/i;
+
+// Cyrillic, CJK and Thai script; the form is used in Indonesian/English
+const FOREIGN_SCRIPT_PATTERN = /[Ѐ-ӿ฀-๿぀-ヿ一-鿿]/;
+
+// Returns { score, reasons }
+export const scoreContactMessage = ({ name = "", message = "" }) => {
+  const reasons = [];
+  let score = 0;
+
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  const links = (message.match(new RegExp(LINK_PATTERN.source, "gi")) || []).length;
+  if (links >= 3) {
+    add(4, `${links} links`);
+  } else if (links > 0) {
+    add(links, `${links} link(s)`);
+  }
+
+  if (LINK_PATTERN.test(name)) {
+    add(5, "link in name");
+  }
+
+  const text = `${name} ${message}`.toLowerCase();
+  for (const phrase of SPAM_PHRASES) {
+    if (text.includes(phrase)) {
+      add(3, `keyword "${phrase}"`);
+    }
+  }
+
+  const letters = message.replace(/[^a-zA-Z]/g, "");
+  if (letters.length >= 20 && letters.replace(/[^A-Z]/g, "").length / letters.length > 0.7) {
+    add(1, "mostly uppercase");
+  }
+
+  if (FOREIGN_SCRIPT_PATTERN.test(text)) {
+    add(2, "foreign script");
+  }
+
+  return { score, reasons };
+};
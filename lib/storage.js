@@ -0,0 +1,296 @@
+// File storage behind one small interface, so the API can run against
+// Supabase, an S3-compatible bucket or the local disk:
+//
+//   put(key, buffer, contentType)   store a file
+//   delete(keys)                    remove files (missing keys are ignored)
+//   publicUrl(key)                  URL clients can download the file from
+//   exists(key)                     whether a file is stored under key
+//   list()                          async iterator of every stored file as
+//                                   { key, size, lastModified }
+//
+// Records store the key ("1741439742150-IMG_3440.JPG",
+// "1760870000000-a1b2c3d4/original.jpg"), never the URL, so switching
+// providers only means copying the files. Values that are already absolute
+// URLs (external files) are passed through by resolveStorageUrl.
+//
+// The driver is chosen with STORAGE_DRIVER:
+//
+//   supabase  SUPABASE_URL, SUPABASE_KEY, SUPABASE_BUCKET (default "uploads")
+//   s3        S3_BUCKET, S3_REGION, S3_ENDPOINT, S3_ACCESS_KEY_ID,
+//             S3_SECRET_ACCESS_KEY, S3_PUBLIC_URL, S3_FORCE_PATH_STYLE
+//   local     LOCAL_STORAGE_DIR (default "uploads"), served by the API
+//             under LOCAL_STORAGE_URL (default "/uploads")
+//
+// Without STORAGE_DRIVER, supabase is used when SUPABASE_URL is set and the
+// local disk otherwise (offline development).
+
+import fs from "fs/promises";
+import path from "path";
+import { createClient } from "@supabase/supabase-js";
+import {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectsCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} from "@aws-sdk/client-s3";
+import { StorageError } from "./errors.js";
+
+export const isAbsoluteUrl = (value) => /^https?:\/\//i.test(value);
+
+// Encode each path segment but keep the slashes
+const encodeKey = (key) => key.split("/").map(encodeURIComponent).join("/");
+
+const trimTrailingSlash = (url) => url.replace(/\/+$/, "");
+
+const LIST_PAGE_SIZE = 1000;
+
+export const supabaseDriver = ({ url, key, bucket = "uploads" }) => {
+  const storage = createClient(url, key).storage.from(bucket);
+
+  // Supabase lists one folder at a time; folders are entries without an id
+  async function* listFolder(prefix) {
+    for (let offset = 0; ; offset += LIST_PAGE_SIZE) {
+      const { data, error } = await storage.list(prefix, {
+        limit: LIST_PAGE_SIZE,
+        offset,
+        sortBy: { column: "name", order: "asc" },
+      });
+      if (error) {
+        throw new StorageError("Failed to list files", error);
+      }
+
+      for (const entry of data) {
+        const entryKey = prefix ? `${prefix}/${entry.name}` : entry.name;
+        if (entry.id === null) {
+          yield* listFolder(entryKey);
+        } else {
+          yield {
+            key: entryKey,
+            size: entry.metadata?.size ?? null,
+            lastModified: new Date(entry.updated_at || entry.created_at),
+          };
+        }
+      }
+
+      if (data.length < LIST_PAGE_SIZE) break;
+    }
+  }
+
+  return {
+    name: "supabase",
+
+    async put(key, buffer, contentType) {
+      const { error } = await storage.upload(key, buffer, { contentType });
+      if (error) {
+        throw new StorageError("Failed to upload file", error);
+      }
+    },
+
+    async delete(keys) {
+      const { error } = await storage.remove(keys);
+      if (error) {
+        throw new StorageError("Failed to delete file", error);
+      }
+    },
+
+    publicUrl: (key) => storage.getPublicUrl(key).data.publicUrl,
+
+    async exists(key) {
+      const { data } = await storage.exists(key);
+      return Boolean(data);
+    },
+
+    list: () => listFolder(""),
+  };
+};
+
+export const s3Driver = ({
+  bucket,
+  region = "auto",
+  endpoint,
+  accessKeyId,
+  secretAccessKey,
+  publicUrl,
+  forcePathStyle = false,
+}) => {
+  const client = new S3Client({
+    region,
+    endpoint,
+    forcePathStyle,
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+  const baseUrl = trimTrailingSlash(
+    publicUrl ||
+      (endpoint
+        ? `${trimTrailingSlash(endpoint)}/${bucket}`
+        : `https://${bucket}.s3.${region}.amazonaws.com`)
+  );
+
+  return {
+    name: "s3",
+
+    async put(key, buffer, contentType) {
+      try {
+        await client.send(
+          new PutObjectCommand({ Bucket: bucket, Key: key, Body: buffer, ContentType: contentType })
+        );
+      } catch (error) {
+        throw new StorageError("Failed to upload file", error);
+      }
+    },
+
+    async delete(keys) {
+      try {
+        await client.send(
+          new DeleteObjectsCommand({
+            Bucket: bucket,
+            Delete: { Objects: keys.map((key) => ({ Key: key })), Quiet: true },
+          })
+        );
+      } catch (error) {
+        throw new StorageError("Failed to delete file", error);
+      }
+    },
+
+    publicUrl: (key) => `${baseUrl}/${encodeKey(key)}`,
+
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (error.$metadata?.httpStatusCode === 404) {
+          return false;
+        }
+        throw new StorageError("Failed to check file", error);
+      }
+    },
+
+    async *list() {
+      let ContinuationToken;
+      do {
+        let page;
+        try {
+          page = await client.send(
+            new ListObjectsV2Command({ Bucket: bucket, ContinuationToken, MaxKeys: LIST_PAGE_SIZE })
+          );
+        } catch (error) {
+          throw new StorageError("Failed to list files", error);
+        }
+
+        for (const object of page.Contents || []) {
+          yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+        }
+        ContinuationToken = page.NextContinuationToken;
+      } while (ContinuationToken);
+    },
+  };
+};
+
+// Files on the local disk. Not for Vercel, whose filesystem is read-only.
+export const localDriver = ({ directory = "uploads", baseUrl = "/uploads" }) => {
+  const root = path.resolve(directory);
+
+  // Keys are generated by the API, but never let one escape the root
+  const filePath = (key) => {
+    const resolved = path.resolve(root, key);
+    if (!resolved.startsWith(root + path.sep)) {
+      throw new StorageError(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+
+  return {
+    name: "local",
+    directory: root,
+    baseUrl: trimTrailingSlash(baseUrl),
+
+    async put(key, buffer) {
+      const target = filePath(key);
+      try {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, buffer);
+      } catch (error) {
+        throw new StorageError("Failed to upload file", error);
+      }
+    },
+
+    async delete(keys) {
+      try {
+        for (const key of keys) {
+          await fs.rm(filePath(key), { force: true });
+        }
+      } catch (error) {
+        throw error instanceof StorageError ? error : new StorageError("Failed to delete file", error);
+      }
+    },
+
+    publicUrl: (key) => `${trimTrailingSlash(baseUrl)}/${encodeKey(key)}`,
+
+    async exists(key) {
+      try {
+        await fs.access(filePath(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    async *list() {
+      let entries;
+      try {
+        entries = await fs.readdir(root, { recursive: true, withFileTypes: true });
+      } catch (error) {
+        if (error.code === "ENOENT") return;
+        throw new StorageError("Failed to list files", error);
+      }
+
+      for (const entry of entries) {
+        if (!entry.isFile()) continue;
+
+        const fullPath = path.join(entry.parentPath ?? entry.path, entry.name);
+        const { size, mtime } = await fs.stat(fullPath);
+        yield {
+          key: path.relative(root, fullPath).split(path.sep).join("/"),
+          size,
+          lastModified: mtime,
+        };
+      }
+    },
+  };
+};
+
+export const createStorage = (env = process.env) => {
+  const driver = env.STORAGE_DRIVER || (env.SUPABASE_URL ? "supabase" : "local");
+
+  switch (driver) {
+    case "supabase":
+      return supabaseDriver({
+        url: env.SUPABASE_URL,
+        key: env.SUPABASE_KEY,
+        bucket: env.SUPABASE_BUCKET,
+      });
+    case "s3":
+      return s3Driver({
+        bucket: env.S3_BUCKET,
+        region: env.S3_REGION,
+        endpoint: env.S3_ENDPOINT,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        publicUrl: env.S3_PUBLIC_URL,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE === "true",
+      });
+    case "local":
+      return localDriver({
+        directory: env.LOCAL_STORAGE_DIR,
+        baseUrl: env.LOCAL_STORAGE_URL,
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected supabase, s3 or local)`);
+  }
+};
+
+// Public URL of a stored value; absolute URLs are returned unchanged
+export const resolveStorageUrl = (storage, value) =>
+  !value || isAbsoluteUrl(value) ? value : storage.publicUrl(value);
@@ -0,0 +1,252 @@
+// Schema validation for request params, query strings and bodies.
+//
+// A schema is a plain object of { field: validator }. Multipart form values
+// always arrive as strings, so validators coerce before checking (e.g.
+// v.int() accepts "12"). Every validator returns { value } or { error }.
+
+import { ValidationError } from "./errors.js";
+
+const isBlank = (raw) =>
+  raw === undefined ||
+  raw === null ||
+  (typeof raw === "string" && raw.trim() === "");
+
+const validator = (options, check) => ({
+  required: Boolean(options.required),
+  nullable: Boolean(options.nullable),
+  check,
+});
+
+export const v = {
+  string: (options = {}) =>
+    validator(options, (raw) => {
+      if (typeof raw !== "string" && typeof raw !== "number") {
+        return { error: "must be a string" };
+      }
+
+      const value = options.trim === false ? String(raw) : String(raw).trim();
+
+      if (options.min !== undefined && value.length < options.min) {
+        return { error: `must be at least ${options.min} characters long` };
+      }
+      if (options.max !== undefined && value.length > options.max) {
+        return { error: `must be at most ${options.max} characters long` };
+      }
+      if (options.pattern && !options.pattern.test(value)) {
+        return { error: options.patternMessage || "has an invalid format" };
+      }
+
+      return { value };
+    }),
+
+  email: (options = {}) =>
+    validator(options, (raw) => {
+      const value = String(raw).trim().toLowerCase();
+
+      if (
+        value.length > 254 ||
+        !/^[^\s@]+@[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/.test(value) ||
+        value.includes("..")
+      ) {
+        return { error: "must be a valid email address" };
+      }
+
+      return { value };
+    }),
+
+  // Indonesian mobile or landline number, normalized to +62...
+  // ("0812-3456-7890", "62 812 3456 7890" -> "+6281234567890")
+  phone: (options = {}) =>
+    validator(options, (raw) => {
+      const digits = String(raw).trim().replace(/[\s().-]/g, "");
+      const match = /^(?:\+62|62|0)(8[1-9]\d{6,11}|[2-79]\d{6,10})$/.exec(digits);
+
+      if (!match) {
+        return { error: "must be a valid Indonesian phone number" };
+      }
+
+      return { value: `+62${match[1]}` };
+    }),
+
+  // `min` and `max` may be functions for bounds that move with time (e.g.
+  // the current year), evaluated on every check
+  int: (options = {}) =>
+    validator(options, (raw) => {
+      const value = typeof raw === "number" ? raw : Number(String(raw).trim());
+      const bound = (limit) => (typeof limit === "function" ? limit() : limit);
+      const min = bound(options.min);
+      const max = bound(options.max);
+
+      if (!Number.isInteger(value)) {
+        return { error: "must be an integer" };
+      }
+      if (min !== undefined && value < min) {
+        return { error: `must be at least ${min}` };
+      }
+      if (max !== undefined && value > max) {
+        return { error: `must be at most ${max}` };
+      }
+
+      return { value };
+    }),
+
+  boolean: (options = {}) =>
+    validator(options, (raw) => {
+      if (raw === true || raw === "true") return { value: true };
+      if (raw === false || raw === "false") return { value: false };
+      return { error: "must be true or false" };
+    }),
+
+  date: (options = {}) =>
+    validator(options, (raw) => {
+      const value = new Date(raw);
+
+      if (typeof raw === "boolean" || Number.isNaN(value.getTime())) {
+        return { error: "must be a valid date" };
+      }
+
+      return { value };
+    }),
+
+  // Calendar date "YYYY-MM-DD", as a Date at UTC midnight (for @db.Date)
+  day: (options = {}) =>
+    validator(options, (raw) => {
+      const text = String(raw).trim();
+      const value = new Date(`${text}T00:00:00.000Z`);
+
+      if (
+        !/^\d{4}-\d{2}-\d{2}$/.test(text) ||
+        Number.isNaN(value.getTime()) ||
+        value.toISOString().slice(0, 10) !== text
+      ) {
+        return { error: "must be a date in the format YYYY-MM-DD" };
+      }
+
+      return { value };
+    }),
+
+  // Time of day "HH:MM" (24 hours)
+  time: (options = {}) =>
+    validator(options, (raw) => {
+      const value = String(raw).trim();
+
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+        return { error: "must be a time in the format HH:MM" };
+      }
+
+      return { value };
+    }),
+
+  enum: (values, options = {}) =>
+    validator(options, (raw) => {
+      if (!values.includes(raw)) {
+        return { error: `must be one of ${values.join(", ")}` };
+      }
+
+      return { value: raw };
+    }),
+
+  // Accepts a real array (JSON or repeated multipart fields), a JSON encoded
+  // array string, a string split on `options.separator`, or a single value
+  array: (item, options = {}) =>
+    validator(options, (raw) => {
+      let list = raw;
+
+      if (typeof raw === "string" && options.separator) {
+        list = raw.split(options.separator).map((element) => element.trim());
+      } else if (typeof raw === "string" && raw.trim().startsWith("[")) {
+        try {
+          list = JSON.parse(raw);
+        } catch (error) {
+          return { error: "must be a valid JSON array" };
+        }
+      }
+
+      if (!Array.isArray(list)) {
+        list = [list];
+      }
+
+      if (options.min !== undefined && list.length < options.min) {
+        return { error: `must contain at least ${options.min} item(s)` };
+      }
+      if (options.max !== undefined && list.length > options.max) {
+        return { error: `must contain at most ${options.max} item(s)` };
+      }
+
+      const value = [];
+      for (const [index, element] of list.entries()) {
+        if (isBlank(element)) {
+          return { error: `item ${index + 1} is required` };
+        }
+
+        const result = item.check(element);
+        if (result.error) {
+          return { error: `item ${index + 1} ${result.error}` };
+        }
+        value.push(result.value);
+      }
+
+      return { value };
+    }),
+};
+
+// Validate `source` against `schema`. With `partial`, required fields may
+// be missing (used for updates). Unknown fields are dropped. Blank optional
+// fields are left out, or set to null when the validator is nullable.
+export const validateSchema = (schema, source = {}, { partial = false, location } = {}) => {
+  const value = {};
+  const errors = [];
+
+  for (const [field, fieldValidator] of Object.entries(schema)) {
+    const raw = source[field];
+
+    if (isBlank(raw)) {
+      if (fieldValidator.required && !partial) {
+        errors.push({ location, field, message: `${field} is required` });
+      } else if (fieldValidator.nullable && raw !== undefined) {
+        value[field] = null;
+      }
+      continue;
+    }
+
+    const result = fieldValidator.check(raw);
+    if (result.error) {
+      errors.push({ location, field, message: `${field} ${result.error}` });
+    } else {
+      value[field] = result.value;
+    }
+  }
+
+  return { value, errors };
+};
+
+// Express middleware validating req.params, req.query and req.body. The
+// parsed values replace the originals so handlers receive typed data.
+export const validateRequest =
+  ({ params, query, body }, { partial = false } = {}) =>
+  (req, res, next) => {
+    const errors = [];
+
+    for (const [location, schema] of [
+      ["params", params],
+      ["query", query],
+      ["body", body],
+    ]) {
+      if (!schema) continue;
+
+      const result = validateSchema(schema, req[location] || {}, {
+        partial: location === "body" && partial,
+        location,
+      });
+      errors.push(...result.errors);
+      req[location] = location === "query" ? { ...req.query, ...result.value } : result.value;
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors));
+    }
+
+    next();
+  };
+
+export const idParams = { id: v.int({ required: true, min: 1 }) };
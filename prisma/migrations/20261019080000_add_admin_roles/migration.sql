@@ -0,0 +1,11 @@
+-- CreateEnum
+CREATE TYPE "AdminRole" AS ENUM ('SUPERADMIN', 'EDITOR', 'INBOX_READER');
+
+-- AlterTable
+ALTER TABLE "Admin" ADD COLUMN     "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "isActive" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "role" "AdminRole" NOT NULL DEFAULT 'EDITOR',
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing accounts were full administrators before roles existed
+UPDATE "Admin" SET "role" = 'SUPERADMIN';
@@ -0,0 +1,25 @@
+-- AlterTable
+ALTER TABLE "Admin" ADD COLUMN     "failedLoginCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lockedUntil" TIMESTAMP(3),
+ADD COLUMN     "mustChangePassword" BOOLEAN NOT NULL DEFAULT false;
+
+-- Existing passwords (including the seeded admin123) predate the password policy
+UPDATE "Admin" SET "mustChangePassword" = true;
+
+-- CreateTable
+CREATE TABLE "LoginAttempt" (
+    "id" SERIAL NOT NULL,
+    "username" TEXT NOT NULL,
+    "ipAddress" TEXT NOT NULL,
+    "success" BOOLEAN NOT NULL,
+    "clearedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoginAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoginAttempt_username_createdAt_idx" ON "LoginAttempt"("username", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LoginAttempt_ipAddress_createdAt_idx" ON "LoginAttempt"("ipAddress", "createdAt");
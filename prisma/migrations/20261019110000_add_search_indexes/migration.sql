@@ -0,0 +1,17 @@
+-- Full-text search indexes used by GET /api/search. The expressions must stay
+-- identical to searchDocument() in index.js or the indexes will not be used.
+
+-- CreateIndex
+CREATE INDEX "News_search_idx" ON "News" USING GIN ((setweight(to_tsvector('indonesian', coalesce("title", '')), 'A') || setweight(to_tsvector('indonesian', coalesce("description", '')), 'B')));
+
+-- CreateIndex
+CREATE INDEX "Extracurricular_search_idx" ON "Extracurricular" USING GIN ((setweight(to_tsvector('indonesian', coalesce("name", '')), 'A') || setweight(to_tsvector('indonesian', coalesce("description", '')), 'B')));
+
+-- CreateIndex
+CREATE INDEX "Sejarah_search_idx" ON "Sejarah" USING GIN ((setweight(to_tsvector('indonesian', coalesce("period", '')), 'A') || setweight(to_tsvector('indonesian', coalesce("text", '')), 'B')));
+
+-- CreateIndex
+CREATE INDEX "Galeri_search_idx" ON "Galeri" USING GIN ((setweight(to_tsvector('indonesian', coalesce("title", '')), 'A')));
+
+-- CreateIndex
+CREATE INDEX "Sarana_search_idx" ON "Sarana" USING GIN ((setweight(to_tsvector('indonesian', coalesce("name", '')), 'A')));
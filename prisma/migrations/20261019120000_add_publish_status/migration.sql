@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "PublishStatus" AS ENUM ('DRAFT', 'SCHEDULED', 'PUBLISHED', 'ARCHIVED');
+
+-- AlterTable: existing rows were already public, so backfill them as PUBLISHED
+ALTER TABLE "News" ADD COLUMN     "status" "PublishStatus" NOT NULL DEFAULT 'PUBLISHED';
+ALTER TABLE "News" ALTER COLUMN "status" SET DEFAULT 'DRAFT';
+
+-- AlterTable
+ALTER TABLE "Galeri" ADD COLUMN     "publishedAt" TIMESTAMP(3),
+ADD COLUMN     "status" "PublishStatus" NOT NULL DEFAULT 'PUBLISHED';
+ALTER TABLE "Galeri" ALTER COLUMN "status" SET DEFAULT 'DRAFT';
+
+-- AlterTable
+ALTER TABLE "Sejarah" ADD COLUMN     "publishedAt" TIMESTAMP(3),
+ADD COLUMN     "status" "PublishStatus" NOT NULL DEFAULT 'PUBLISHED';
+ALTER TABLE "Sejarah" ALTER COLUMN "status" SET DEFAULT 'DRAFT';
+
+-- CreateIndex
+CREATE INDEX "News_status_publishedAt_idx" ON "News"("status", "publishedAt");
+
+-- CreateIndex
+CREATE INDEX "Galeri_status_publishedAt_idx" ON "Galeri"("status", "publishedAt");
+
+-- CreateIndex
+CREATE INDEX "Sejarah_status_publishedAt_idx" ON "Sejarah"("status", "publishedAt");
@@ -0,0 +1,36 @@
+-- AlterTable
+ALTER TABLE "News" ADD COLUMN     "excerpt" TEXT NOT NULL DEFAULT '',
+ADD COLUMN     "slug" TEXT;
+
+-- Backfill slugs from the title; the id suffix keeps them unique
+UPDATE "News"
+SET "slug" = coalesce(nullif(trim(both '-' from left(regexp_replace(lower("title"), '[^a-z0-9]+', '-', 'g'), 80)), ''), 'berita') || '-' || "id";
+
+-- Backfill excerpts (tags stripped); run `npm run news:backfill` to
+-- sanitize bodies and recompute excerpts with the application rules
+UPDATE "News"
+SET "excerpt" = left(trim(regexp_replace(regexp_replace("description", '<[^>]*>', ' ', 'g'), '\s+', ' ', 'g')), 160);
+
+ALTER TABLE "News" ALTER COLUMN "slug" SET NOT NULL;
+
+-- CreateTable
+CREATE TABLE "NewsSlugRedirect" (
+    "id" SERIAL NOT NULL,
+    "slug" TEXT NOT NULL,
+    "newsId" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "NewsSlugRedirect_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "News_slug_key" ON "News"("slug");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NewsSlugRedirect_slug_key" ON "NewsSlugRedirect"("slug");
+
+-- CreateIndex
+CREATE INDEX "NewsSlugRedirect_newsId_idx" ON "NewsSlugRedirect"("newsId");
+
+-- AddForeignKey
+ALTER TABLE "NewsSlugRedirect" ADD CONSTRAINT "NewsSlugRedirect_newsId_fkey" FOREIGN KEY ("newsId") REFERENCES "News"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,74 @@
+-- CreateTable
+CREATE TABLE "Album" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "eventDate" TIMESTAMP(3),
+    "coverPhotoId" INTEGER,
+    "newsId" INTEGER,
+    "extracurricularId" INTEGER,
+    "status" "PublishStatus" NOT NULL DEFAULT 'DRAFT',
+    "publishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Album_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AlbumPhoto" (
+    "id" SERIAL NOT NULL,
+    "albumId" INTEGER NOT NULL,
+    "image" TEXT NOT NULL,
+    "caption" TEXT,
+    "position" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AlbumPhoto_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Album_coverPhotoId_key" ON "Album"("coverPhotoId");
+
+-- CreateIndex
+CREATE INDEX "Album_status_publishedAt_idx" ON "Album"("status", "publishedAt");
+
+-- CreateIndex
+CREATE INDEX "Album_newsId_idx" ON "Album"("newsId");
+
+-- CreateIndex
+CREATE INDEX "Album_extracurricularId_idx" ON "Album"("extracurricularId");
+
+-- CreateIndex
+CREATE INDEX "AlbumPhoto_albumId_position_idx" ON "AlbumPhoto"("albumId", "position");
+
+-- CreateIndex (full-text search, see searchDocument() in index.js)
+CREATE INDEX "Album_search_idx" ON "Album" USING GIN ((setweight(to_tsvector('indonesian', coalesce("title", '')), 'A') || setweight(to_tsvector('indonesian', coalesce("description", '')), 'B')));
+
+-- AddForeignKey
+ALTER TABLE "Album" ADD CONSTRAINT "Album_coverPhotoId_fkey" FOREIGN KEY ("coverPhotoId") REFERENCES "AlbumPhoto"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Album" ADD CONSTRAINT "Album_newsId_fkey" FOREIGN KEY ("newsId") REFERENCES "News"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Album" ADD CONSTRAINT "Album_extracurricularId_fkey" FOREIGN KEY ("extracurricularId") REFERENCES "Extracurricular"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AlbumPhoto" ADD CONSTRAINT "AlbumPhoto_albumId_fkey" FOREIGN KEY ("albumId") REFERENCES "Album"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Move every single-image Galeri row into its own album (same id, so old
+-- /api/galeri/:id links keep working) with that image as the cover photo
+INSERT INTO "Album" ("id", "title", "status", "publishedAt")
+SELECT "id", "title", "status", "publishedAt" FROM "Galeri";
+
+SELECT setval(pg_get_serial_sequence('"Album"', 'id'), coalesce(max("id"), 0) + 1, false) FROM "Album";
+
+INSERT INTO "AlbumPhoto" ("albumId", "image", "position")
+SELECT "id", "image", 0 FROM "Galeri";
+
+UPDATE "Album" SET "coverPhotoId" = "AlbumPhoto"."id"
+FROM "AlbumPhoto" WHERE "AlbumPhoto"."albumId" = "Album"."id";
+
+-- DropTable
+DROP TABLE "Galeri";
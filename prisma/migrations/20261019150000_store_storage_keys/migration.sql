@@ -0,0 +1,36 @@
+-- Files are now referenced by storage key instead of the Supabase public URL
+-- (see lib/storage.js). Strip the public URL prefix and URL-decode the rest,
+-- e.g. ".../storage/v1/object/public/uploads/1741439188014-Logo%20Seni.png"
+-- becomes "1741439188014-Logo Seni.png". Other values are left unchanged.
+CREATE FUNCTION pg_temp.storage_key(value text) RETURNS text LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE
+    WHEN value ~ '^https?://[^/]+/storage/v1/object/public/uploads/' THEN (
+      SELECT convert_from(
+        string_agg(
+          CASE
+            WHEN part.token[1] ~ '^%[0-9A-Fa-f]{2}$' THEN decode(substr(part.token[1], 2), 'hex')
+            ELSE convert_to(part.token[1], 'UTF8')
+          END,
+          ''::bytea ORDER BY part.position
+        ),
+        'UTF8'
+      )
+      FROM regexp_matches(
+        regexp_replace(value, '^https?://[^/]+/storage/v1/object/public/uploads/', ''),
+        '%[0-9A-Fa-f]{2}|[^%]+|%',
+        'g'
+      ) WITH ORDINALITY AS part(token, position)
+    )
+    ELSE value
+  END
+$$;
+
+UPDATE "Hero" SET "image" = pg_temp.storage_key("image");
+UPDATE "News" SET "image" = pg_temp.storage_key("image") WHERE "image" IS NOT NULL;
+UPDATE "Extracurricular" SET "image" = pg_temp.storage_key("image") WHERE "image" IS NOT NULL;
+UPDATE "Kalender" SET "file" = pg_temp.storage_key("file");
+UPDATE "Alumni" SET "image" = pg_temp.storage_key("image") WHERE "image" IS NOT NULL;
+UPDATE "AlbumPhoto" SET "image" = pg_temp.storage_key("image");
+UPDATE "Sarana" SET "image" = pg_temp.storage_key("image") WHERE "image" IS NOT NULL;
+UPDATE "HeadmasterMessage" SET "image" = pg_temp.storage_key("image");
+UPDATE "Sejarah" SET "image" = pg_temp.storage_key("image") WHERE "image" IS NOT NULL;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "PendingDeletion" (
+    "id" SERIAL NOT NULL,
+    "key" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "lastError" TEXT,
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PendingDeletion_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PendingDeletion_key_key" ON "PendingDeletion"("key");
+
+-- CreateIndex
+CREATE INDEX "PendingDeletion_nextAttemptAt_idx" ON "PendingDeletion"("nextAttemptAt");
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "Asset" (
+    "id" SERIAL NOT NULL,
+    "key" TEXT NOT NULL,
+    "hash" TEXT,
+    "mime" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "originalName" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Asset_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Asset_key_key" ON "Asset"("key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Asset_hash_key" ON "Asset"("hash");
+
+-- CreateIndex
+CREATE INDEX "Asset_mime_idx" ON "Asset"("mime");
+
+-- CreateIndex
+CREATE INDEX "Asset_createdAt_idx" ON "Asset"("createdAt");
@@ -0,0 +1,71 @@
+-- CreateEnum
+CREATE TYPE "ContactStatus" AS ENUM ('UNREAD', 'READ', 'ARCHIVED', 'SPAM');
+
+-- CreateEnum
+CREATE TYPE "ContactReplyChannel" AS ENUM ('EMAIL', 'WHATSAPP', 'PHONE', 'OTHER');
+
+-- AlterTable
+ALTER TABLE "Contact" ADD COLUMN     "status" "ContactStatus" NOT NULL DEFAULT 'UNREAD',
+ADD COLUMN     "readAt" TIMESTAMP(3),
+ADD COLUMN     "assigneeId" INTEGER,
+ADD COLUMN     "ipAddress" TEXT,
+ADD COLUMN     "spamScore" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "spamReasons" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN     "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Messages received before the inbox existed count as read
+UPDATE "Contact" SET "status" = 'READ', "readAt" = "createdAt";
+
+-- CreateTable
+CREATE TABLE "ContactNote" (
+    "id" SERIAL NOT NULL,
+    "contactId" INTEGER NOT NULL,
+    "authorId" INTEGER,
+    "body" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContactNote_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ContactReply" (
+    "id" SERIAL NOT NULL,
+    "contactId" INTEGER NOT NULL,
+    "authorId" INTEGER,
+    "channel" "ContactReplyChannel" NOT NULL,
+    "body" TEXT NOT NULL,
+    "sentAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ContactReply_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Contact_status_createdAt_idx" ON "Contact"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Contact_ipAddress_createdAt_idx" ON "Contact"("ipAddress", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "Contact_assigneeId_idx" ON "Contact"("assigneeId");
+
+-- CreateIndex
+CREATE INDEX "ContactNote_contactId_idx" ON "ContactNote"("contactId");
+
+-- CreateIndex
+CREATE INDEX "ContactReply_contactId_idx" ON "ContactReply"("contactId");
+
+-- AddForeignKey
+ALTER TABLE "Contact" ADD CONSTRAINT "Contact_assigneeId_fkey" FOREIGN KEY ("assigneeId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContactNote" ADD CONSTRAINT "ContactNote_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContactNote" ADD CONSTRAINT "ContactNote_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContactReply" ADD CONSTRAINT "ContactReply_contactId_fkey" FOREIGN KEY ("contactId") REFERENCES "Contact"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ContactReply" ADD CONSTRAINT "ContactReply_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,42 @@
+-- CreateEnum
+CREATE TYPE "BookingStatus" AS ENUM ('PENDING', 'ACCEPTED', 'DECLINED', 'DONE');
+
+-- CreateTable
+CREATE TABLE "Booking" (
+    "id" SERIAL NOT NULL,
+    "extracurricularId" INTEGER NOT NULL,
+    "eventName" TEXT NOT NULL,
+    "eventDate" DATE NOT NULL,
+    "startTime" TEXT,
+    "endTime" TEXT,
+    "location" TEXT NOT NULL,
+    "organizer" TEXT NOT NULL,
+    "contactName" TEXT NOT NULL,
+    "contactEmail" TEXT NOT NULL,
+    "contactPhone" TEXT NOT NULL,
+    "message" TEXT,
+    "status" "BookingStatus" NOT NULL DEFAULT 'PENDING',
+    "adminNote" TEXT,
+    "decidedAt" TIMESTAMP(3),
+    "decidedById" INTEGER,
+    "ipAddress" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Booking_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Booking_extracurricularId_eventDate_status_idx" ON "Booking"("extracurricularId", "eventDate", "status");
+
+-- CreateIndex
+CREATE INDEX "Booking_status_eventDate_idx" ON "Booking"("status", "eventDate");
+
+-- CreateIndex
+CREATE INDEX "Booking_ipAddress_createdAt_idx" ON "Booking"("ipAddress", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_extracurricularId_fkey" FOREIGN KEY ("extracurricularId") REFERENCES "Extracurricular"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Booking" ADD CONSTRAINT "Booking_decidedById_fkey" FOREIGN KEY ("decidedById") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,86 @@
+-- CreateEnum
+CREATE TYPE "RecruitmentStatus" AS ENUM ('DRAFT', 'OPEN', 'CLOSED');
+
+-- CreateEnum
+CREATE TYPE "ApplicantStatus" AS ENUM ('SUBMITTED', 'SHORTLISTED', 'AUDITION_SCHEDULED', 'ACCEPTED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "RecruitmentPeriod" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "status" "RecruitmentStatus" NOT NULL DEFAULT 'DRAFT',
+    "opensAt" TIMESTAMP(3),
+    "closesAt" TIMESTAMP(3),
+    "openedAt" TIMESTAMP(3),
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RecruitmentPeriod_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Applicant" (
+    "id" SERIAL NOT NULL,
+    "periodId" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "nim" TEXT NOT NULL,
+    "faculty" TEXT NOT NULL,
+    "major" TEXT,
+    "batchYear" INTEGER NOT NULL,
+    "email" TEXT NOT NULL,
+    "phone" TEXT NOT NULL,
+    "firstChoiceId" INTEGER NOT NULL,
+    "secondChoiceId" INTEGER,
+    "motivation" TEXT,
+    "auditionFile" TEXT,
+    "status" "ApplicantStatus" NOT NULL DEFAULT 'SUBMITTED',
+    "auditionAt" TIMESTAMP(3),
+    "auditionLocation" TEXT,
+    "acceptedDivisionId" INTEGER,
+    "adminNote" TEXT,
+    "decidedAt" TIMESTAMP(3),
+    "decidedById" INTEGER,
+    "ipAddress" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Applicant_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "RecruitmentPeriod_status_idx" ON "RecruitmentPeriod"("status");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Applicant_periodId_nim_key" ON "Applicant"("periodId", "nim");
+
+-- CreateIndex
+CREATE INDEX "Applicant_periodId_status_idx" ON "Applicant"("periodId", "status");
+
+-- CreateIndex
+CREATE INDEX "Applicant_firstChoiceId_idx" ON "Applicant"("firstChoiceId");
+
+-- CreateIndex
+CREATE INDEX "Applicant_secondChoiceId_idx" ON "Applicant"("secondChoiceId");
+
+-- CreateIndex
+CREATE INDEX "Applicant_acceptedDivisionId_idx" ON "Applicant"("acceptedDivisionId");
+
+-- CreateIndex
+CREATE INDEX "Applicant_ipAddress_createdAt_idx" ON "Applicant"("ipAddress", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Applicant" ADD CONSTRAINT "Applicant_periodId_fkey" FOREIGN KEY ("periodId") REFERENCES "RecruitmentPeriod"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Applicant" ADD CONSTRAINT "Applicant_firstChoiceId_fkey" FOREIGN KEY ("firstChoiceId") REFERENCES "Extracurricular"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Applicant" ADD CONSTRAINT "Applicant_secondChoiceId_fkey" FOREIGN KEY ("secondChoiceId") REFERENCES "Extracurricular"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Applicant" ADD CONSTRAINT "Applicant_acceptedDivisionId_fkey" FOREIGN KEY ("acceptedDivisionId") REFERENCES "Extracurricular"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Applicant" ADD CONSTRAINT "Applicant_decidedById_fkey" FOREIGN KEY ("decidedById") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,73 @@
+-- CreateTable
+CREATE TABLE "ManagementPeriod" (
+    "id" SERIAL NOT NULL,
+    "slug" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "startYear" INTEGER NOT NULL,
+    "endYear" INTEGER NOT NULL,
+    "description" TEXT,
+    "status" "PublishStatus" NOT NULL DEFAULT 'DRAFT',
+    "publishedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ManagementPeriod_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "Member" (
+    "id" SERIAL NOT NULL,
+    "name" TEXT NOT NULL,
+    "batchYear" INTEGER,
+    "extracurricularId" INTEGER,
+    "bio" TEXT,
+    "image" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Member_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BoardPosition" (
+    "id" SERIAL NOT NULL,
+    "periodId" INTEGER NOT NULL,
+    "title" TEXT NOT NULL,
+    "extracurricularId" INTEGER,
+    "memberId" INTEGER,
+    "rank" INTEGER NOT NULL DEFAULT 0,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BoardPosition_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ManagementPeriod_slug_key" ON "ManagementPeriod"("slug");
+
+-- CreateIndex
+CREATE INDEX "ManagementPeriod_startYear_idx" ON "ManagementPeriod"("startYear");
+
+-- CreateIndex
+CREATE INDEX "ManagementPeriod_status_publishedAt_idx" ON "ManagementPeriod"("status", "publishedAt");
+
+-- CreateIndex
+CREATE INDEX "Member_extracurricularId_idx" ON "Member"("extracurricularId");
+
+-- CreateIndex
+CREATE INDEX "BoardPosition_periodId_extracurricularId_rank_idx" ON "BoardPosition"("periodId", "extracurricularId", "rank");
+
+-- CreateIndex
+CREATE INDEX "BoardPosition_memberId_idx" ON "BoardPosition"("memberId");
+
+-- AddForeignKey
+ALTER TABLE "Member" ADD CONSTRAINT "Member_extracurricularId_fkey" FOREIGN KEY ("extracurricularId") REFERENCES "Extracurricular"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BoardPosition" ADD CONSTRAINT "BoardPosition_periodId_fkey" FOREIGN KEY ("periodId") REFERENCES "ManagementPeriod"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BoardPosition" ADD CONSTRAINT "BoardPosition_extracurricularId_fkey" FOREIGN KEY ("extracurricularId") REFERENCES "Extracurricular"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BoardPosition" ADD CONSTRAINT "BoardPosition_memberId_fkey" FOREIGN KEY ("memberId") REFERENCES "Member"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "Kalender" ADD COLUMN "academicYear" TEXT,
+ALTER COLUMN "file" DROP NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Kalender_academicYear_key" ON "Kalender"("academicYear");
+
+-- CreateTable
+CREATE TABLE "Event" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "description" TEXT,
+    "location" TEXT,
+    "startsAt" TIMESTAMP(3) NOT NULL,
+    "endsAt" TIMESTAMP(3),
+    "allDay" BOOLEAN NOT NULL DEFAULT false,
+    "recurrence" TEXT,
+    "seriesEndsAt" TIMESTAMP(3),
+    "extracurricularId" INTEGER,
+    "isPublic" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Event_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Event_startsAt_seriesEndsAt_idx" ON "Event"("startsAt", "seriesEndsAt");
+
+-- CreateIndex
+CREATE INDEX "Event_extracurricularId_idx" ON "Event"("extracurricularId");
+
+-- AddForeignKey
+ALTER TABLE "Event" ADD CONSTRAINT "Event_extracurricularId_fkey" FOREIGN KEY ("extracurricularId") REFERENCES "Extracurricular"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,63 @@
+-- CreateEnum
+CREATE TYPE "AchievementLevel" AS ENUM ('CAMPUS', 'REGIONAL', 'NATIONAL', 'INTERNATIONAL');
+
+-- CreateTable
+CREATE TABLE "Achievement" (
+    "id" SERIAL NOT NULL,
+    "title" TEXT NOT NULL,
+    "competition" TEXT NOT NULL,
+    "level" "AchievementLevel" NOT NULL,
+    "rank" TEXT NOT NULL,
+    "date" DATE NOT NULL,
+    "year" INTEGER NOT NULL,
+    "description" TEXT,
+    "certificateFile" TEXT,
+    "extracurricularId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Achievement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "_AchievementToMember" (
+    "A" INTEGER NOT NULL,
+    "B" INTEGER NOT NULL,
+
+    CONSTRAINT "_AchievementToMember_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateTable
+CREATE TABLE "_AchievementToAlumni" (
+    "A" INTEGER NOT NULL,
+    "B" INTEGER NOT NULL,
+
+    CONSTRAINT "_AchievementToAlumni_AB_pkey" PRIMARY KEY ("A","B")
+);
+
+-- CreateIndex
+CREATE INDEX "Achievement_year_level_idx" ON "Achievement"("year", "level");
+
+-- CreateIndex
+CREATE INDEX "Achievement_extracurricularId_idx" ON "Achievement"("extracurricularId");
+
+-- CreateIndex
+CREATE INDEX "_AchievementToMember_B_index" ON "_AchievementToMember"("B");
+
+-- CreateIndex
+CREATE INDEX "_AchievementToAlumni_B_index" ON "_AchievementToAlumni"("B");
+
+-- AddForeignKey
+ALTER TABLE "Achievement" ADD CONSTRAINT "Achievement_extracurricularId_fkey" FOREIGN KEY ("extracurricularId") REFERENCES "Extracurricular"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_AchievementToMember" ADD CONSTRAINT "_AchievementToMember_A_fkey" FOREIGN KEY ("A") REFERENCES "Achievement"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_AchievementToMember" ADD CONSTRAINT "_AchievementToMember_B_fkey" FOREIGN KEY ("B") REFERENCES "Member"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_AchievementToAlumni" ADD CONSTRAINT "_AchievementToAlumni_A_fkey" FOREIGN KEY ("A") REFERENCES "Achievement"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "_AchievementToAlumni" ADD CONSTRAINT "_AchievementToAlumni_B_fkey" FOREIGN KEY ("B") REFERENCES "Alumni"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,95 @@
+-- CreateEnum
+CREATE TYPE "AlumniSubmissionStatus" AS ENUM ('PENDING', 'APPROVED', 'REJECTED');
+
+-- AlterTable
+ALTER TABLE "Alumni" RENAME COLUMN "title" TO "name";
+
+ALTER TABLE "Alumni" ADD COLUMN "batchYear" INTEGER,
+ADD COLUMN "graduationYear" INTEGER,
+ADD COLUMN "extracurricularId" INTEGER,
+ADD COLUMN "occupation" TEXT,
+ADD COLUMN "institution" TEXT,
+ADD COLUMN "socialLinks" TEXT[] DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN "publicConsent" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+-- Existing alumni were already shown on the site
+UPDATE "Alumni" SET "publicConsent" = true;
+
+-- CreateTable
+CREATE TABLE "AlumniInvite" (
+    "id" SERIAL NOT NULL,
+    "tokenHash" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "alumniId" INTEGER,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AlumniInvite_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AlumniSubmission" (
+    "id" SERIAL NOT NULL,
+    "inviteId" INTEGER NOT NULL,
+    "alumniId" INTEGER,
+    "name" TEXT NOT NULL,
+    "batchYear" INTEGER,
+    "graduationYear" INTEGER,
+    "extracurricularId" INTEGER,
+    "occupation" TEXT,
+    "institution" TEXT,
+    "socialLinks" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "publicConsent" BOOLEAN NOT NULL DEFAULT false,
+    "image" TEXT,
+    "status" "AlumniSubmissionStatus" NOT NULL DEFAULT 'PENDING',
+    "reviewNote" TEXT,
+    "reviewedAt" TIMESTAMP(3),
+    "reviewedById" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AlumniSubmission_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Alumni_batchYear_idx" ON "Alumni"("batchYear");
+
+-- CreateIndex
+CREATE INDEX "Alumni_extracurricularId_idx" ON "Alumni"("extracurricularId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AlumniInvite_tokenHash_key" ON "AlumniInvite"("tokenHash");
+
+-- CreateIndex
+CREATE INDEX "AlumniInvite_alumniId_idx" ON "AlumniInvite"("alumniId");
+
+-- CreateIndex
+CREATE INDEX "AlumniSubmission_status_createdAt_idx" ON "AlumniSubmission"("status", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AlumniSubmission_inviteId_idx" ON "AlumniSubmission"("inviteId");
+
+-- CreateIndex
+CREATE INDEX "AlumniSubmission_alumniId_idx" ON "AlumniSubmission"("alumniId");
+
+-- AddForeignKey
+ALTER TABLE "Alumni" ADD CONSTRAINT "Alumni_extracurricularId_fkey" FOREIGN KEY ("extracurricularId") REFERENCES "Extracurricular"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AlumniInvite" ADD CONSTRAINT "AlumniInvite_alumniId_fkey" FOREIGN KEY ("alumniId") REFERENCES "Alumni"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AlumniInvite" ADD CONSTRAINT "AlumniInvite_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AlumniSubmission" ADD CONSTRAINT "AlumniSubmission_inviteId_fkey" FOREIGN KEY ("inviteId") REFERENCES "AlumniInvite"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AlumniSubmission" ADD CONSTRAINT "AlumniSubmission_alumniId_fkey" FOREIGN KEY ("alumniId") REFERENCES "Alumni"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "AlumniSubmission" ADD CONSTRAINT "AlumniSubmission_reviewedById_fkey" FOREIGN KEY ("reviewedById") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
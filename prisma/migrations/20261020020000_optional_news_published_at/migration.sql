@@ -0,0 +1,2 @@
+-- AlterTable: drafts don't have a publishing date yet
+ALTER TABLE "News" ALTER COLUMN "publishedAt" DROP NOT NULL;
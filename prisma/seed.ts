@@ -8,6 +8,8 @@ async function main() {
     data: {
       username: "admin",
       password: await bcrypt.hash("admin123", 10), 
+      role: "SUPERADMIN",
+      mustChangePassword: true,
     },
   });
 
@@ -25,6 +27,7 @@ async function main() {
     data: [
       {
         title: "2025",
+        academicYear: "2025/2026",
         file: "/files/kalender-2025.pdf",
       }
     ],
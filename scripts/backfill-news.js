@@ -0,0 +1,43 @@
+// Sanitize the rich-text body of every news item and recompute its excerpt.
+// Needed once for rows written before bodies were sanitized on save.
+//
+//   npm run news:backfill
+
+import { PrismaClient } from "@prisma/client";
+import dotenv from "dotenv";
+import { sanitizeRichText, toExcerpt } from "../lib/richtext.js";
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const news = await prisma.news.findMany({
+    select: { id: true, description: true, excerpt: true },
+  });
+
+  let updated = 0;
+  for (const newsItem of news) {
+    const description = sanitizeRichText(newsItem.description);
+    const excerpt = toExcerpt(description);
+
+    if (description !== newsItem.description || excerpt !== newsItem.excerpt) {
+      await prisma.news.update({
+        where: { id: newsItem.id },
+        data: { description, excerpt },
+      });
+      updated++;
+    }
+  }
+
+  console.log(`Sanitized ${updated} of ${news.length} news items`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
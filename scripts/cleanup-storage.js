@@ -0,0 +1,41 @@
+// Retry stored-file deletions that failed earlier (the PendingDeletion
+// queue). Run it from a cron job or by hand after a storage outage.
+//
+//   npm run storage:cleanup
+
+import { PrismaClient } from "@prisma/client";
+import dotenv from "dotenv";
+import { createStorage } from "../lib/storage.js";
+import { createFileCleanup } from "../lib/cleanup.js";
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const { processPendingDeletions } = createFileCleanup({ prisma, storage: createStorage() });
+
+  let deleted = 0;
+  let failed = 0;
+
+  // Batches until nothing is due; failed items are rescheduled into the
+  // future, so this always ends
+  for (;;) {
+    const result = await processPendingDeletions();
+    deleted += result.deleted;
+    failed += result.failed;
+
+    if (result.deleted + result.failed === 0) break;
+  }
+
+  console.log(`Deleted ${deleted} file(s), ${failed} deletion(s) failed and were rescheduled`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
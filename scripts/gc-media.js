@@ -0,0 +1,69 @@
+// Report (and with --delete, remove) stored files that no row references,
+// and register referenced files that are missing from the media library.
+//
+//   npm run media:gc                        report only
+//   npm run media:gc -- --delete            delete the orphans
+//   npm run media:gc -- --min-age-hours=48  only files older than 48 hours
+
+import { PrismaClient } from "@prisma/client";
+import dotenv from "dotenv";
+import { createStorage } from "../lib/storage.js";
+import { createFileCleanup } from "../lib/cleanup.js";
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+const USAGE = "Usage: npm run media:gc -- [--delete] [--min-age-hours=<hours>]";
+
+const option = (name) =>
+  process.argv.find((arg) => arg === `--${name}` || arg.startsWith(`--${name}=`));
+
+// Value of `--name=value` or `--name value`; null when the option is absent
+// and undefined when it has no value
+const optionValue = (name) => {
+  const index = process.argv.findIndex((arg) => arg === `--${name}` || arg.startsWith(`--${name}=`));
+  if (index === -1) return null;
+
+  const arg = process.argv[index];
+  return arg.includes("=") ? arg.slice(arg.indexOf("=") + 1) : process.argv[index + 1];
+};
+
+async function main() {
+  // A wrong value must not fall back to "no age limit": that would delete
+  // files of uploads that are still in flight
+  const minAge = optionValue("min-age-hours");
+  if (minAge !== null && !/^\d+(\.\d+)?$/.test(minAge ?? "")) {
+    console.error(`--min-age-hours needs a number of hours (0 or more)\n${USAGE}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { collectGarbage } = createFileCleanup({ prisma, storage: createStorage() });
+
+  const report = await collectGarbage({
+    dryRun: !option("delete"),
+    minAgeHours: minAge === null ? undefined : Number(minAge),
+  });
+
+  for (const file of report.orphans) {
+    console.log(`orphan  ${file.key}  ${file.size ?? "?"} bytes  ${file.lastModified?.toISOString() ?? ""}`);
+  }
+
+  console.log(
+    `Scanned ${report.scanned} file(s): ${report.referenced} referenced, ` +
+      `${report.orphaned} orphaned (${report.orphanedSize} bytes), ` +
+      (report.dryRun
+        ? "nothing deleted (dry run, pass --delete)"
+        : `${report.deleted} deleted, ${report.unregistered} registered in the media library`)
+  );
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
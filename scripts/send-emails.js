@@ -0,0 +1,40 @@
+// Send the queued emails that are due (the OutboundEmail outbox) and retry
+// earlier failures. Run it from a cron job or by hand after an SMTP outage.
+//
+//   npm run mail:send
+
+import { PrismaClient } from "@prisma/client";
+import dotenv from "dotenv";
+import { createMailer, createOutbox } from "../lib/mailer.js";
+
+dotenv.config();
+
+const prisma = new PrismaClient();
+
+async function main() {
+  const { processOutbox } = createOutbox({ prisma, mailer: createMailer() });
+
+  let sent = 0;
+  let failed = 0;
+
+  // Batches until nothing is due; failed emails are rescheduled into the
+  // future, so this always ends
+  for (;;) {
+    const result = await processOutbox();
+    sent += result.sent;
+    failed += result.failed;
+
+    if (result.sent + result.failed === 0) break;
+  }
+
+  console.log(`Sent ${sent} email(s), ${failed} failed and were rescheduled`);
+}
+
+main()
+  .catch((e) => {
+    console.error(e);
+    process.exitCode = 1;
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app, stubPrisma, inlineTransaction, loginAs } from "./helpers.js";
+
+// Achievement list of the stubbed database; returns the list queries
+const stubList = (t) => {
+  const queries = [];
+  stubPrisma(t, {
+    $transaction: inlineTransaction,
+    achievement: {
+      count: async () => 0,
+      findMany: async (args) => {
+        queries.push(args);
+        return [];
+      },
+    },
+  });
+  return queries;
+};
+
+test("public lists only include alumni who consented, the dashboard all of them", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const queries = stubList(t);
+
+  await request(app).get("/api/achievements");
+  await request(app).get("/api/admin/achievements").set("Authorization", auth);
+
+  const [publicList, adminList] = queries;
+  assert.deepEqual(publicList.include.alumni.where, { publicConsent: true });
+  assert.equal(adminList.include.alumni.where, undefined);
+  assert.deepEqual(publicList.include.members, adminList.include.members);
+});
+
+const achievement = {
+  title: "Juara 1 Festival Hadrah",
+  competition: "Festival Seni Islami",
+  level: "NATIONAL",
+  rank: "Juara 1",
+  date: "2026-05-17",
+};
+
+// Members 1-3 and alumni 1-2 exist
+const stubLinks = (t) => {
+  const written = [];
+  stubPrisma(t, {
+    extracurricular: { findUnique: async ({ where }) => (where.id === 2 ? { id: 2, name: "Hadrah" } : null) },
+    member: { count: async ({ where }) => where.id.in.filter((id) => id <= 3).length },
+    alumni: { count: async ({ where }) => where.id.in.filter((id) => id <= 2).length },
+    achievement: {
+      findFirst: async () => ({ id: 6, ...achievement, date: new Date("2026-05-17") }),
+      create: async ({ data }) => {
+        written.push(data);
+        return { id: 6, ...data };
+      },
+      update: async ({ data }) => {
+        written.push(data);
+        return { id: 6, ...data };
+      },
+    },
+  });
+  return written;
+};
+
+test("creating links the winners and derives the year", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const written = stubLinks(t);
+
+  const response = await request(app)
+    .post("/api/achievements")
+    .set("Authorization", auth)
+    .send({ ...achievement, extracurricularId: 2, memberIds: [1, 3, 3], alumniIds: [2] });
+
+  assert.equal(response.status, 201);
+  assert.equal(written[0].year, 2026);
+  assert.deepEqual(written[0].members, { connect: [{ id: 1 }, { id: 3 }] });
+  assert.deepEqual(written[0].alumni, { connect: [{ id: 2 }] });
+  assert.equal(written[0].memberIds, undefined);
+});
+
+test("updates replace the linked winners", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const written = stubLinks(t);
+
+  const response = await request(app).put("/api/achievements/6").set("Authorization", auth).send({ alumniIds: [] });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(written[0].alumni, { set: [] });
+  assert.equal(written[0].members, undefined);
+});
+
+test("unknown winners and divisions are refused", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const written = stubLinks(t);
+
+  for (const [body, field] of [
+    [{ memberIds: [1, 9] }, "memberIds"],
+    [{ alumniIds: [5] }, "alumniIds"],
+    [{ extracurricularId: 7 }, "extracurricularId"],
+  ]) {
+    const response = await request(app).post("/api/achievements").set("Authorization", auth).send({ ...achievement, ...body });
+    assert.equal(response.status, 400, field);
+    assert.equal(response.body.errors[0].field, field);
+  }
+  assert.equal(written.length, 0);
+});
+
+test("the summary counts achievements per division and level", async (t) => {
+  const wheres = [];
+  stubPrisma(t, {
+    achievement: {
+      groupBy: async ({ where }) => {
+        wheres.push(where);
+        return [
+          { extracurricularId: 2, level: "NATIONAL", _count: { _all: 3 } },
+          { extracurricularId: 2, level: "CAMPUS", _count: { _all: 1 } },
+          { extracurricularId: null, level: "REGIONAL", _count: { _all: 2 } },
+        ];
+      },
+    },
+    extracurricular: { findMany: async () => [{ id: 2, name: "Hadrah" }, { id: 4, name: "Paduan Suara" }] },
+  });
+
+  const response = await request(app).get("/api/achievements/summary").query({ year: 2026 });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(wheres, [{ year: 2026 }]);
+  assert.equal(response.body.total, 6);
+  assert.deepEqual(response.body.byLevel, { CAMPUS: 1, REGIONAL: 2, NATIONAL: 3, INTERNATIONAL: 0 });
+  assert.deepEqual(
+    response.body.divisions.map((division) => [division.name, division.total]),
+    [["Hadrah", 4], ["Paduan Suara", 0], [null, 2]]
+  );
+});
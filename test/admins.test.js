@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+import { app, stubPrisma, inlineTransaction, loginAs } from "./helpers.js";
+
+const superadmin = (t) => loginAs(t, "SUPERADMIN", { id: 1, username: "kepala" });
+
+test("new admins default to EDITOR and must change their password", async (t) => {
+  const auth = superadmin(t);
+  const created = [];
+  stubPrisma(t, {
+    admin: {
+      findUnique: async ({ where }) => (where.username ? null : { id: 1, role: "SUPERADMIN", isActive: true, tokenVersion: 0 }),
+      create: async ({ data, select }) => {
+        created.push(data);
+        return Object.fromEntries(Object.keys(select).map((field) => [field, { id: 2, ...data }[field]]));
+      },
+    },
+  });
+
+  const response = await request(app)
+    .post("/api/admins")
+    .set("Authorization", auth)
+    .send({ username: "humas", password: "Sementara2026" });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.role, "EDITOR");
+  assert.equal(response.body.mustChangePassword, true);
+  assert.equal(response.body.password, undefined);
+  assert.ok(await bcrypt.compare("Sementara2026", created[0].password));
+});
+
+test("usernames are unique and passwords follow the policy", async (t) => {
+  const auth = superadmin(t);
+  stubPrisma(t, {
+    admin: { findUnique: async () => ({ id: 1, username: "kepala", role: "SUPERADMIN", isActive: true, tokenVersion: 0 }) },
+  });
+
+  const taken = await request(app)
+    .post("/api/admins")
+    .set("Authorization", auth)
+    .send({ username: "kepala", password: "Sementara2026" });
+  assert.equal(taken.status, 409);
+
+  for (const [password, message] of [
+    ["pendek1", "Password must be at least 10 characters long"],
+    ["hanyahurufsaja", "Password must contain both letters and numbers"],
+    ["humas2026humas", "Password must not contain the username"],
+    ["password2026", "Password is too common"],
+  ]) {
+    const response = await request(app).post("/api/admins").set("Authorization", auth).send({ username: "humas", password });
+    assert.equal(response.status, 400, password);
+    assert.deepEqual(response.body.errors, [{ location: "body", field: "password", message }]);
+  }
+});
+
+test("superadmins can't demote or disable themselves", async (t) => {
+  const auth = superadmin(t);
+
+  for (const body of [{ role: "EDITOR" }, { isActive: false }]) {
+    const response = await request(app).put("/api/admins/1").set("Authorization", auth).send(body);
+    assert.equal(response.status, 409);
+    assert.equal(response.body.error, "You cannot demote or disable your own account");
+  }
+});
+
+test("disabling an admin signs out their sessions", async (t) => {
+  const auth = superadmin(t);
+  const revoked = [];
+  stubPrisma(t, {
+    $transaction: inlineTransaction,
+    admin: { update: async ({ where, data }) => ({ id: where.id, ...data }) },
+    refreshToken: {
+      updateMany: async ({ where }) => {
+        revoked.push(where.adminId);
+        return { count: 2 };
+      },
+    },
+  });
+
+  const response = await request(app).put("/api/admins/2").set("Authorization", auth).send({ isActive: false });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(revoked, [2]);
+});
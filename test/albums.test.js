@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { MEDIA_REFERENCES } from "../lib/cleanup.js";
+import { app, stubPrisma, inlineTransaction, loginAs } from "./helpers.js";
+
+const byPosition = (a, b) => a.position - b.position || a.id - b.id;
+
+// Albums 1 and 2 of the stubbed database with the given photos; deleting
+// a cover photo clears the cover like the foreign key does
+const stubAlbums = (t, photos = []) => {
+  const albums = [
+    { id: 1, title: "Pentas", coverPhotoId: null },
+    { id: 2, title: "Latihan", coverPhotoId: null },
+  ];
+  const db = { albums, photos: photos.map((photo) => ({ ...photo })) };
+  const inAlbum = (albumId) => db.photos.filter((photo) => photo.albumId === albumId).sort(byPosition);
+
+  stubPrisma(t, {
+    $transaction: inlineTransaction,
+    asset: { findUnique: async ({ where }) => ({ id: where.id, key: `library/${where.id}.webp`, mime: "image/webp" }) },
+    album: {
+      findUnique: async ({ where, select }) => {
+        const album = albums.find((candidate) => candidate.id === where.id);
+        if (!album || !select) return album ?? null;
+        return { coverPhotoId: album.coverPhotoId, photos: inAlbum(album.id).slice(0, select.photos.take) };
+      },
+      update: async ({ where, data }) => Object.assign(albums.find((album) => album.id === where.id), data),
+    },
+    albumPhoto: {
+      findMany: async ({ where }) =>
+        inAlbum(where.albumId).filter((photo) => !where.id || where.id.in.includes(photo.id)),
+      findFirst: async ({ where }) =>
+        db.photos.find((photo) => photo.id === where.id && photo.albumId === where.albumId) ?? null,
+      aggregate: async ({ where }) => ({
+        _max: { position: inAlbum(where.albumId).at(-1)?.position ?? null },
+      }),
+      create: async ({ data }) => {
+        const photo = { id: 10 + db.photos.length, ...data };
+        db.photos.push(photo);
+        return photo;
+      },
+      update: async ({ where, data }) => Object.assign(db.photos.find((photo) => photo.id === where.id), data),
+      delete: async ({ where }) => {
+        db.photos = db.photos.filter((photo) => photo.id !== where.id);
+        albums.filter((album) => album.coverPhotoId === where.id).forEach((album) => (album.coverPhotoId = null));
+      },
+    },
+  });
+  return db;
+};
+
+const photo = (id, albumId, position) => ({ id, albumId, position, image: `albums/${id}.webp`, caption: null });
+
+test("added photos are appended and the first becomes the cover", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const db = stubAlbums(t);
+
+  const first = await request(app).post("/api/galeri/1/photos").set("Authorization", auth).send({ assetIds: [5, 6] });
+  assert.equal(first.status, 201);
+  assert.deepEqual(first.body.map((added) => added.position), [0, 1]);
+  assert.equal(db.albums[0].coverPhotoId, first.body[0].id);
+
+  const more = await request(app).post("/api/galeri/1/photos").set("Authorization", auth).send({ assetIds: [7] });
+  assert.equal(more.body[0].position, 2);
+  assert.equal(db.albums[0].coverPhotoId, first.body[0].id);
+});
+
+test("reordering must list every photo exactly once", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  stubAlbums(t, [photo(1, 1, 0), photo(2, 1, 1), photo(3, 1, 2)]);
+
+  for (const photoIds of [[3, 1], [3, 1, 1], [3, 1, 9]]) {
+    const response = await request(app).put("/api/galeri/1/photos/order").set("Authorization", auth).send({ photoIds });
+    assert.equal(response.status, 400, JSON.stringify(photoIds));
+    assert.equal(response.body.errors[0].message, "photoIds must list every photo of the album exactly once");
+  }
+
+  const response = await request(app).put("/api/galeri/1/photos/order").set("Authorization", auth).send({ photoIds: [3, 1, 2] });
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.map((sorted) => sorted.id), [3, 1, 2]);
+});
+
+test("moving the cover photo hands both albums a new cover", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const db = stubAlbums(t, [photo(1, 1, 0), photo(2, 1, 1), photo(3, 2, 0)]);
+  db.albums[0].coverPhotoId = 1;
+
+  const response = await request(app)
+    .post("/api/galeri/1/photos/move")
+    .set("Authorization", auth)
+    .send({ photoIds: [1], albumId: 2 });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body.map((moved) => [moved.id, moved.position]), [[3, 0], [1, 1]]);
+  assert.equal(db.albums[0].coverPhotoId, 2);
+  assert.equal(db.albums[1].coverPhotoId, 3);
+});
+
+test("photos can only be moved out of their own album", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  stubAlbums(t, [photo(1, 1, 0), photo(3, 2, 0)]);
+
+  const foreign = await request(app).post("/api/galeri/1/photos/move").set("Authorization", auth).send({ photoIds: [3], albumId: 2 });
+  assert.equal(foreign.status, 400);
+  assert.equal(foreign.body.errors[0].field, "photoIds");
+
+  const same = await request(app).post("/api/galeri/1/photos/move").set("Authorization", auth).send({ photoIds: [1], albumId: 1 });
+  assert.equal(same.status, 400);
+  assert.equal(same.body.errors[0].field, "albumId");
+});
+
+test("deleting the cover falls back to the first remaining photo", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const removed = [];
+  // Nothing else uses the deleted photo's file
+  stubPrisma(t, Object.fromEntries(MEDIA_REFERENCES.map(({ model }) => [model, { findMany: async () => [] }])));
+  const db = stubAlbums(t, [photo(1, 1, 1), photo(2, 1, 0), photo(3, 1, 2)]);
+  db.albums[0].coverPhotoId = 2;
+  stubPrisma(t, { asset: { deleteMany: async ({ where }) => removed.push(where.key) } });
+
+  const response = await request(app).delete("/api/galeri/1/photos/2").set("Authorization", auth);
+
+  assert.equal(response.status, 204);
+  assert.deepEqual(db.photos.map((remaining) => remaining.id), [1, 3]);
+  assert.equal(db.albums[0].coverPhotoId, 1);
+  assert.deepEqual(removed, ["albums/2.webp"]);
+});
@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { MEDIA_REFERENCES } from "../lib/cleanup.js";
+import { app, stubPrisma, loginAs } from "./helpers.js";
+
+const linkedAlumni = [
+  { id: 1, name: "Ahmad", image: null, publicConsent: true },
+  { id: 2, name: "Dewi", image: null, publicConsent: false },
+];
+
+// Applies the include's alumni filter like Prisma would
+const stubAchievement = (t) => {
+  stubPrisma(t, {
+    achievement: {
+      findFirst: async ({ include }) => ({
+        id: 3,
+        title: "Juara 1 Festival Hadrah",
+        certificateFile: null,
+        members: [],
+        alumni: linkedAlumni
+          .filter((alumni) => !include.alumni.where || alumni.publicConsent === include.alumni.where.publicConsent)
+          .map(({ id, name, image }) => ({ id, name, image })),
+      }),
+    },
+  });
+};
+
+test("public achievements leave out alumni who didn't consent", async (t) => {
+  stubAchievement(t);
+  const response = await request(app).get("/api/achievements/3");
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.body.alumni.map((alumni) => alumni.name),
+    ["Ahmad"]
+  );
+});
+
+test("editors see every linked alumni", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  stubAchievement(t);
+
+  const response = await request(app).get("/api/admin/achievements/3").set("Authorization", auth);
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(
+    response.body.alumni.map((alumni) => alumni.name),
+    ["Ahmad", "Dewi"]
+  );
+});
+
+test("deleting alumni removes the photos of their submissions", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const removed = [];
+  let submissionQuery;
+
+  // Nothing references the files anymore once the row is gone
+  stubPrisma(
+    t,
+    Object.fromEntries(MEDIA_REFERENCES.map(({ model }) => [model, { findMany: async () => [] }]))
+  );
+  stubPrisma(t, {
+    alumni: {
+      findFirst: async () => ({ id: 5, name: "Dewi", image: "profile/original.jpg" }),
+      delete: async () => ({ id: 5 }),
+    },
+    alumniSubmission: {
+      findMany: async (args) => {
+        if (!args.where.OR) return [];
+        submissionQuery = args.where;
+        return [{ image: "pending/original.jpg" }, { image: "profile/original.jpg" }];
+      },
+    },
+    asset: {
+      deleteMany: async ({ where }) => {
+        removed.push(where.key);
+        return { count: 1 };
+      },
+    },
+  });
+
+  const response = await request(app).delete("/api/alumni/5").set("Authorization", auth);
+
+  assert.equal(response.status, 204);
+  assert.deepEqual(submissionQuery, {
+    OR: [{ alumniId: 5 }, { invite: { alumniId: 5 } }],
+    image: { not: null },
+  });
+  assert.deepEqual(removed.sort(), ["pending/original.jpg", "profile/original.jpg"]);
+});
@@ -0,0 +1,238 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import request from "supertest";
+import bcrypt from "bcryptjs";
+import jwt from "jsonwebtoken";
+import { app, stubPrisma, inlineTransaction, loginAs } from "./helpers.js";
+
+// Login bookkeeping of the stubbed database; returns the recorded attempts
+// and admin updates
+const stubLogin = (t, account, { failedLogins = 0 } = {}) => {
+  const attempts = [];
+  const updates = [];
+  stubPrisma(t, {
+    $transaction: inlineTransaction,
+    loginAttempt: {
+      count: async () => failedLogins,
+      create: async ({ data }) => attempts.push(data),
+    },
+    admin: {
+      findUnique: async () => account,
+      update: async ({ data }) => {
+        updates.push(data);
+        return { ...account, ...data };
+      },
+    },
+  });
+  return Object.assign(attempts, { updates });
+};
+
+const PASSWORD = "Rahasia2026";
+const account = {
+  id: 5,
+  username: "sekretaris",
+  password: bcrypt.hashSync(PASSWORD, 4),
+  role: "INBOX_READER",
+  isActive: true,
+  tokenVersion: 0,
+  mustChangePassword: false,
+  failedLoginCount: 0,
+  lockedUntil: null,
+};
+
+const login = (password) => request(app).post("/admin/login").send({ username: account.username, password });
+
+test("unknown usernames still run a password comparison", async (t) => {
+  const attempts = stubLogin(t, null);
+  const compare = t.mock.method(bcrypt, "compare");
+
+  const response = await request(app).post("/admin/login").send({ username: "nobody", password: "guess" });
+
+  assert.equal(response.status, 401);
+  assert.equal(response.body.error, "Invalid username or password");
+  assert.equal(compare.mock.callCount(), 1);
+  assert.match(compare.mock.calls[0].arguments[1], /^\$2a\$10\$/);
+  assert.equal(await compare.mock.calls[0].result, false);
+  assert.equal(attempts.length, 1);
+  assert.equal(attempts[0].success, false);
+});
+
+test("the fifth wrong password locks the account", async (t) => {
+  const attempts = stubLogin(t, { ...account, failedLoginCount: 3 });
+  const fourth = await login("wrong");
+  assert.equal(fourth.status, 401);
+  assert.deepEqual(attempts.updates[0], { failedLoginCount: 4, lockedUntil: null });
+
+  const locking = stubLogin(t, { ...account, failedLoginCount: 4 });
+  const before = Date.now();
+  await login("wrong");
+  assert.equal(locking.updates[0].failedLoginCount, 5);
+  assert.ok(locking.updates[0].lockedUntil.getTime() >= before + 15 * 60 * 1000);
+});
+
+test("a locked account answers 423 even with the right password", async (t) => {
+  const attempts = stubLogin(t, { ...account, failedLoginCount: 5, lockedUntil: new Date(Date.now() + 60 * 1000) });
+
+  const response = await login(PASSWORD);
+
+  assert.equal(response.status, 423);
+  assert.equal(response.body.code, "ACCOUNT_LOCKED");
+  assert.ok(Number(response.headers["retry-after"]) <= 60);
+  assert.equal(attempts[0].success, false);
+  assert.equal(attempts.updates.length, 0);
+});
+
+test("a successful login clears the failure count", async (t) => {
+  const attempts = stubLogin(t, { ...account, failedLoginCount: 2, lockedUntil: new Date(Date.now() - 1000) });
+  stubPrisma(t, { refreshToken: { create: async ({ data }) => ({ id: 1, ...data }) } });
+
+  const response = await login(PASSWORD);
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.role, "INBOX_READER");
+  assert.equal(attempts[0].success, true);
+  assert.deepEqual(attempts.updates[0], { failedLoginCount: 0, lockedUntil: null });
+});
+
+test("too many failures from one IP are rate limited", async (t) => {
+  const attempts = stubLogin(t, account, { failedLogins: 20 });
+
+  const response = await login(PASSWORD);
+
+  assert.equal(response.status, 429);
+  assert.equal(attempts.length, 0);
+});
+
+test("clearing a lockout resets the account and its failed attempts", async (t) => {
+  const auth = loginAs(t, "SUPERADMIN");
+  const cleared = [];
+  const updates = [];
+  stubPrisma(t, {
+    $transaction: inlineTransaction,
+    admin: {
+      findUnique: async ({ where }) => (where.id === account.id ? account : { ...account, id: 1, role: "SUPERADMIN" }),
+      update: async ({ data }) => updates.push(data),
+    },
+    loginAttempt: {
+      updateMany: async ({ where }) => {
+        cleared.push(where);
+        return { count: 5 };
+      },
+    },
+  });
+
+  const response = await request(app).delete(`/api/admins/${account.id}/lockout`).set("Authorization", auth);
+
+  assert.equal(response.status, 204);
+  assert.deepEqual(updates, [{ failedLoginCount: 0, lockedUntil: null }]);
+  assert.deepEqual(cleared, [{ username: "sekretaris", success: false, clearedAt: null }]);
+});
+
+test("admins who must change their password can only reach the password routes", async (t) => {
+  const auth = loginAs(t, "EDITOR", { id: account.id });
+  stubPrisma(t, { admin: { findUnique: async () => ({ ...account, mustChangePassword: true }) } });
+
+  const blocked = await request(app).post("/api/news").set("Authorization", auth).send({});
+  assert.equal(blocked.status, 403);
+  assert.equal(blocked.body.code, "PASSWORD_CHANGE_REQUIRED");
+
+  const me = await request(app).get("/api/admin/me").set("Authorization", auth);
+  assert.equal(me.status, 200);
+  assert.equal(me.body.mustChangePassword, true);
+
+  const change = await request(app)
+    .put("/api/admin/password")
+    .set("Authorization", auth)
+    .send({ currentPassword: "wrong", newPassword: "Baru12345678" });
+  assert.equal(change.status, 401);
+  assert.equal(change.body.error, "Current password is incorrect");
+});
+
+const admin = { id: 3, username: "editor", role: "EDITOR", isActive: true, tokenVersion: 0 };
+const sha256 = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Refresh tokens of the stubbed database; `revocations` records every
+// revokeAllSessions of an admin
+const stubSessions = (t, tokens) => {
+  const state = { tokens, created: [], revocations: [] };
+
+  stubPrisma(t, {
+    $transaction: inlineTransaction,
+    refreshToken: {
+      findUnique: async ({ where }) => {
+        const stored = state.tokens.find((token) => token.tokenHash === where.tokenHash);
+        return stored && { ...stored, admin };
+      },
+      create: async ({ data }) => {
+        const stored = { id: 100 + state.created.length, revokedAt: null, ...data };
+        state.created.push(stored);
+        return stored;
+      },
+      update: async ({ where, data }) => Object.assign(state.tokens.find((token) => token.id === where.id), data),
+      updateMany: async ({ where }) => {
+        state.revocations.push(where.adminId);
+        return { count: 1 };
+      },
+    },
+    admin: { update: async ({ data }) => ({ ...admin, ...data }) },
+  });
+  return state;
+};
+
+const refreshToken = (id, fields = {}) => ({
+  id,
+  adminId: admin.id,
+  tokenHash: sha256(`refresh-${id}`),
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  revokedAt: null,
+  ...fields,
+});
+
+test("refreshing rotates the refresh token", async (t) => {
+  const state = stubSessions(t, [refreshToken(1)]);
+
+  const response = await request(app).post("/admin/refresh").send({ refreshToken: "refresh-1" });
+
+  assert.equal(response.status, 200);
+  assert.equal(jwt.verify(response.body.token, process.env.SECRET_KEY).id, admin.id);
+  assert.notEqual(response.body.refreshToken, "refresh-1");
+  assert.equal(state.created[0].tokenHash, sha256(response.body.refreshToken));
+  assert.ok(state.tokens[0].revokedAt instanceof Date);
+  assert.equal(state.tokens[0].replacedById, state.created[0].id);
+  assert.deepEqual(state.revocations, []);
+});
+
+test("reusing a rotated refresh token revokes every session", async (t) => {
+  const state = stubSessions(t, [refreshToken(1, { revokedAt: new Date(Date.now() - 1000), replacedById: 2 })]);
+
+  const response = await request(app).post("/admin/refresh").send({ refreshToken: "refresh-1" });
+
+  assert.equal(response.status, 401);
+  assert.equal(response.body.code, "SESSION_REVOKED");
+  assert.deepEqual(state.revocations, [admin.id]);
+  assert.equal(state.created.length, 0);
+});
+
+test("expired and unknown refresh tokens are refused", async (t) => {
+  const state = stubSessions(t, [refreshToken(1, { expiresAt: new Date(Date.now() - 1000) })]);
+
+  const expired = await request(app).post("/admin/refresh").send({ refreshToken: "refresh-1" });
+  assert.equal(expired.status, 401);
+  assert.equal(expired.body.error, "Refresh token expired, please log in again");
+
+  const unknown = await request(app).post("/admin/refresh").send({ refreshToken: "refresh-9" });
+  assert.equal(unknown.status, 401);
+  assert.equal(unknown.body.error, "Invalid refresh token");
+  assert.equal(state.created.length, 0);
+});
+
+test("access tokens of an older token version are revoked", async (t) => {
+  stubPrisma(t, { admin: { findUnique: async () => ({ ...admin, tokenVersion: 1, mustChangePassword: false }) } });
+  const stale = jwt.sign({ ...admin, tokenVersion: 0 }, process.env.SECRET_KEY, { expiresIn: "5m" });
+
+  const response = await request(app).get("/api/admin/me").set("Authorization", `Bearer ${stale}`);
+
+  assert.equal(response.status, 401);
+  assert.equal(response.body.code, "SESSION_REVOKED");
+});
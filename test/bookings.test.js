@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { TEST_CAPTCHA_TOKEN } from "../lib/captcha.js";
+import { app, stubPrisma, inlineTransaction, loginAs } from "./helpers.js";
+
+const pending = {
+  id: 7,
+  extracurricularId: 2,
+  eventName: "Pengajian Akbar",
+  eventDate: new Date("2099-03-14T00:00:00.000Z"),
+  startTime: "19:00",
+  endTime: "21:00",
+  status: "PENDING",
+};
+
+// Bookings of the stubbed database; `accepted` is returned as the
+// conflicting booking of assertDateAvailable
+const stubBookings = (t, { booking = pending, accepted = null } = {}) => {
+  const updates = [];
+  stubPrisma(t, {
+    $transaction: inlineTransaction,
+    extracurricular: { findUnique: async ({ where }) => ({ id: where.id, name: "Hadrah" }) },
+    booking: {
+      count: async () => 0,
+      findUnique: async () => booking,
+      findFirst: async () => accepted && { ...accepted, extracurricular: { name: "Hadrah" } },
+      create: async ({ data }) => ({ id: 8, ...data }),
+      update: async ({ data }) => {
+        updates.push(data);
+        return { ...booking, ...data };
+      },
+    },
+  });
+  return updates;
+};
+
+test("accepting a booking records who decided", async (t) => {
+  const auth = loginAs(t, "INBOX_READER", { id: 3 });
+  const updates = stubBookings(t);
+
+  const response = await request(app).put("/api/bookings/7").set("Authorization", auth).send({ status: "ACCEPTED" });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, "ACCEPTED");
+  assert.equal(updates[0].decidedById, 3);
+  assert.ok(updates[0].decidedAt instanceof Date);
+});
+
+test("a division can't be accepted twice on the same date", async (t) => {
+  const auth = loginAs(t, "INBOX_READER");
+  const updates = stubBookings(t, { accepted: { ...pending, id: 5, status: "ACCEPTED" } });
+
+  const response = await request(app).put("/api/bookings/7").set("Authorization", auth).send({ status: "ACCEPTED" });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.code, "BOOKING_CONFLICT");
+  assert.equal(response.body.error, "Hadrah is already booked on 2099-03-14");
+  assert.equal(updates.length, 0);
+});
+
+test("declining doesn't check the date", async (t) => {
+  const auth = loginAs(t, "INBOX_READER");
+  stubBookings(t, { accepted: { ...pending, id: 5, status: "ACCEPTED" } });
+
+  const response = await request(app).put("/api/bookings/7").set("Authorization", auth).send({ status: "DECLINED" });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, "DECLINED");
+});
+
+test("the end time must be after the start time, also against stored values", async (t) => {
+  const auth = loginAs(t, "INBOX_READER");
+  stubBookings(t);
+
+  const response = await request(app).put("/api/bookings/7").set("Authorization", auth).send({ endTime: "18:00" });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.errors[0].field, "endTime");
+});
+
+const requestBody = {
+  extracurricularId: 2,
+  eventName: "Wisuda",
+  eventDate: "2099-03-14",
+  location: "Auditorium UNS",
+  organizer: "BEM",
+  contactName: "Budi",
+  contactEmail: "budi@example.com",
+  contactPhone: "081234567890",
+  captchaToken: TEST_CAPTCHA_TOKEN,
+};
+
+test("public requests for a taken date are refused", async (t) => {
+  stubBookings(t, { accepted: { ...pending, status: "ACCEPTED" } });
+
+  const response = await request(app).post("/api/bookings").send(requestBody);
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.code, "BOOKING_CONFLICT");
+});
+
+test("public requests can't be in the past", async (t) => {
+  stubBookings(t);
+
+  const response = await request(app).post("/api/bookings").send({ ...requestBody, eventDate: "2020-01-01" });
+
+  assert.equal(response.status, 400);
+  assert.equal(response.body.errors[0].field, "eventDate");
+});
+
+test("public requests for a free date are received", async (t) => {
+  stubBookings(t);
+
+  const response = await request(app).post("/api/bookings").send(requestBody);
+
+  assert.equal(response.status, 201);
+  assert.deepEqual(response.body, { received: true });
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createCaptchaVerifier, TEST_CAPTCHA_TOKEN } from "../lib/captcha.js";
+import { HttpError } from "../lib/errors.js";
+
+test("without a provider every request passes", async () => {
+  const verifier = createCaptchaVerifier({});
+
+  assert.equal(verifier.enabled, false);
+  assert.equal(await verifier.verify(undefined), true);
+});
+
+test("the test provider accepts only the test token", async () => {
+  const verifier = createCaptchaVerifier({ CAPTCHA_PROVIDER: "test" });
+
+  assert.equal(verifier.enabled, true);
+  assert.equal(await verifier.verify(TEST_CAPTCHA_TOKEN), true);
+  assert.equal(await verifier.verify("forged"), false);
+  assert.equal(await verifier.verify(undefined), false);
+});
+
+test("misconfiguration fails at startup", () => {
+  assert.throws(() => createCaptchaVerifier({ CAPTCHA_PROVIDER: "captchaville" }), /Unknown CAPTCHA_PROVIDER/);
+  assert.throws(() => createCaptchaVerifier({ CAPTCHA_PROVIDER: "turnstile" }), /CAPTCHA_SECRET is required/);
+});
+
+test("site verifiers post the token and read success", async (t) => {
+  const requests = [];
+  t.mock.method(globalThis, "fetch", async (url, options) => {
+    requests.push({ url, body: Object.fromEntries(options.body) });
+    return { json: async () => ({ success: options.body.get("response") === "good" }) };
+  });
+
+  const verifier = createCaptchaVerifier({ CAPTCHA_PROVIDER: "turnstile", CAPTCHA_SECRET: "s3cret" });
+
+  assert.equal(await verifier.verify("good", "203.0.113.7"), true);
+  assert.equal(await verifier.verify("bad"), false);
+  assert.equal(await verifier.verify(""), false);
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].url, "https://challenges.cloudflare.com/turnstile/v0/siteverify");
+  assert.deepEqual(requests[0].body, { secret: "s3cret", response: "good", remoteip: "203.0.113.7" });
+});
+
+test("reCAPTCHA v3 tokens need a high enough score and the form's action", async (t) => {
+  const answers = {
+    human: { success: true, score: 0.9, action: "contact" },
+    bot: { success: true, score: 0.1, action: "contact" },
+    borderline: { success: true, score: 0.6, action: "contact" },
+    elsewhere: { success: true, score: 0.9, action: "login" },
+    v2: { success: true },
+  };
+  t.mock.method(globalThis, "fetch", async (url, options) => ({
+    json: async () => answers[options.body.get("response")],
+  }));
+
+  const verifier = createCaptchaVerifier({ CAPTCHA_PROVIDER: "recaptcha", CAPTCHA_SECRET: "s3cret" });
+
+  assert.equal(await verifier.verify("human", undefined, "contact"), true);
+  assert.equal(await verifier.verify("bot", undefined, "contact"), false);
+  assert.equal(await verifier.verify("elsewhere", undefined, "contact"), false);
+  assert.equal(await verifier.verify("v2", undefined, "contact"), true);
+
+  const strict = createCaptchaVerifier({
+    CAPTCHA_PROVIDER: "recaptcha",
+    CAPTCHA_SECRET: "s3cret",
+    CAPTCHA_MIN_SCORE: "0.7",
+  });
+  assert.equal(await strict.verify("borderline", undefined, "contact"), false);
+
+  assert.throws(
+    () => createCaptchaVerifier({ CAPTCHA_PROVIDER: "recaptcha", CAPTCHA_SECRET: "s3cret", CAPTCHA_MIN_SCORE: "high" }),
+    /CAPTCHA_MIN_SCORE must be a number between 0 and 1/
+  );
+});
+
+test("an unreachable provider is reported as 503", async (t) => {
+  t.mock.method(globalThis, "fetch", async () => {
+    throw new TypeError("fetch failed");
+  });
+
+  const verifier = createCaptchaVerifier({ CAPTCHA_PROVIDER: "hcaptcha", CAPTCHA_SECRET: "s3cret" });
+  await assert.rejects(verifier.verify("token"), (error) => {
+    assert.ok(error instanceof HttpError);
+    assert.equal(error.status, 503);
+    assert.equal(error.code, "CAPTCHA_UNAVAILABLE");
+    return true;
+  });
+});
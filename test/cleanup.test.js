@@ -0,0 +1,121 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFileCleanup, MEDIA_REFERENCES } from "../lib/cleanup.js";
+
+const HOUR = 60 * 60 * 1000;
+
+// Rows referencing files (`references` is a mutable map of model -> keys)
+// plus the Asset and PendingDeletion tables
+const fakePrisma = (references = {}) => {
+  const prisma = {
+    references,
+    assets: [],
+    pending: [],
+    asset: {
+      findMany: async () => prisma.assets.map((key) => ({ key })),
+      createMany: async ({ data }) => prisma.assets.push(...data.map((asset) => asset.key)),
+      deleteMany: async () => ({ count: 1 }),
+    },
+    pendingDeletion: {
+      findMany: async () => prisma.pending,
+      upsert: async ({ create }) => prisma.pending.push({ id: prisma.pending.length + 1, attempts: 0, ...create }),
+      delete: async ({ where }) => (prisma.pending = prisma.pending.filter((row) => row.id !== where.id)),
+      deleteMany: async () => ({ count: 0 }),
+      update: async ({ where, data }) => Object.assign(prisma.pending.find((row) => row.id === where.id), data),
+    },
+  };
+
+  for (const { model, field } of MEDIA_REFERENCES) {
+    prisma[model] = {
+      findMany: async ({ where } = {}) =>
+        (prisma.references[model] || [])
+          .filter((key) => !where || where[field].in.includes(key))
+          .map((key, index) => ({ id: index + 1, [field]: key })),
+    };
+  }
+
+  return prisma;
+};
+
+const fakeStorage = (files) => ({
+  files,
+  deleted: [],
+  async *list() {
+    yield* this.files;
+  },
+  async delete(keys) {
+    this.deleted.push(...keys);
+  },
+});
+
+const file = (key, ageHours) => ({ key, size: 100, lastModified: new Date(Date.now() - ageHours * HOUR) });
+
+test("the GC reports old unreferenced files and keeps variants of referenced images", async () => {
+  const prisma = fakePrisma({ news: ["foto/original.jpg"] });
+  const storage = fakeStorage([
+    file("foto/original.jpg", 100),
+    file("foto/w320.webp", 100),
+    file("yatim.pdf", 100),
+    file("baru-diunggah.pdf", 1),
+  ]);
+  const { collectGarbage } = createFileCleanup({ prisma, storage });
+
+  const report = await collectGarbage({ minAgeHours: 24 });
+
+  assert.equal(report.dryRun, true);
+  assert.equal(report.scanned, 4);
+  assert.equal(report.referenced, 1);
+  assert.deepEqual(report.orphans.map((orphan) => orphan.key), ["yatim.pdf"]);
+  assert.equal(report.orphanedSize, 100);
+  assert.deepEqual(storage.deleted, []);
+});
+
+test("files that got referenced while the GC was listing are not deleted", async () => {
+  const prisma = fakePrisma({ news: ["foto/original.jpg"] });
+  const storage = fakeStorage([file("foto/original.jpg", 100), file("yatim.pdf", 100), file("dipakai-lagi.pdf", 100)]);
+  const { list } = storage;
+  storage.list = async function* () {
+    yield* list.call(this);
+    // A request saved a row pointing to the file in the meantime
+    prisma.references.kalender = ["dipakai-lagi.pdf"];
+  };
+  const { collectGarbage } = createFileCleanup({ prisma, storage });
+
+  const report = await collectGarbage({ dryRun: false, minAgeHours: 24 });
+
+  assert.equal(report.orphaned, 2);
+  assert.equal(report.deleted, 1);
+  assert.deepEqual(storage.deleted, ["yatim.pdf"]);
+  // Referenced files missing from the media library are registered
+  assert.deepEqual(prisma.assets, ["foto/original.jpg"]);
+});
+
+test("removeFiles skips files that are still in use and queues failed deletions", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const prisma = fakePrisma({ alumni: ["dipakai.jpg"] });
+  const storage = fakeStorage([]);
+  storage.delete = async (keys) => {
+    if (keys.includes("rusak.pdf")) throw new Error("bucket unavailable");
+    storage.deleted.push(...keys);
+  };
+  const { removeFiles } = createFileCleanup({ prisma, storage });
+
+  await removeFiles(["dipakai.jpg", "bebas.pdf", "rusak.pdf", "https://example.com/luar.jpg"]);
+
+  assert.deepEqual(storage.deleted, ["bebas.pdf"]);
+  assert.deepEqual(prisma.pending.map((row) => [row.key, row.lastError]), [["rusak.pdf", "bucket unavailable"]]);
+});
+
+test("queued deletions check the references again before deleting", async () => {
+  const prisma = fakePrisma({ sejarah: ["dipakai-lagi.pdf"] });
+  prisma.pending = [
+    { id: 1, key: "dipakai-lagi.pdf", attempts: 1 },
+    { id: 2, key: "yatim.pdf", attempts: 2 },
+  ];
+  const storage = fakeStorage([]);
+  const { processPendingDeletions } = createFileCleanup({ prisma, storage });
+
+  assert.deepEqual(await processPendingDeletions(), { deleted: 2, failed: 0 });
+  assert.deepEqual(storage.deleted, ["yatim.pdf"]);
+  assert.deepEqual(prisma.pending, []);
+});
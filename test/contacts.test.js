@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { TEST_CAPTCHA_TOKEN } from "../lib/captcha.js";
+import { app, stubPrisma } from "./helpers.js";
+
+const message = {
+  name: "Siti Aminah",
+  email: "siti@example.com",
+  phone: "0812-3456-7890",
+  message: "Apakah tim hadrah bisa tampil di acara kampus?",
+  captchaToken: TEST_CAPTCHA_TOKEN,
+};
+
+// Stub the rate limit count and record the created contact
+const stubContacts = (t, { recent = 0 } = {}) => {
+  const created = [];
+  stubPrisma(t, {
+    contact: {
+      count: async () => recent,
+      create: async ({ data }) => {
+        created.push(data);
+        return { id: created.length, ...data };
+      },
+    },
+  });
+  return created;
+};
+
+test("a message is stored as UNREAD with its normalized phone", async (t) => {
+  const created = stubContacts(t);
+  const response = await request(app).post("/api/contacts").send(message);
+
+  assert.equal(response.status, 201);
+  assert.deepEqual(response.body, { received: true });
+  assert.equal(created[0].status, "UNREAD");
+  assert.equal(created[0].phone, "+6281234567890");
+  assert.equal(created[0].spamScore, 0);
+});
+
+test("spam is stored with status SPAM and its reasons", async (t) => {
+  const created = stubContacts(t);
+  const response = await request(app)
+    .post("/api/contacts")
+    .send({ ...message, message: "Slot gacor dan judi online di https://a.test https://b.test https://c.test" });
+
+  assert.equal(response.status, 201);
+  assert.equal(created[0].status, "SPAM");
+  assert.ok(created[0].spamReasons.includes("3 links"));
+});
+
+test("a failed CAPTCHA is a validation error and nothing is stored", async (t) => {
+  const created = stubContacts(t);
+  const response = await request(app).post("/api/contacts").send({ ...message, captchaToken: "forged" });
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.errors, [
+    { location: "body", field: "captchaToken", message: "CAPTCHA verification failed" },
+  ]);
+  assert.equal(created.length, 0);
+});
+
+test("the honeypot silently drops bots", async (t) => {
+  const created = stubContacts(t);
+  const response = await request(app).post("/api/contacts").send({ ...message, website: "http://spam.test" });
+
+  assert.equal(response.status, 201);
+  assert.equal(created.length, 0);
+});
+
+test("too many messages from one IP are rate limited", async (t) => {
+  const created = stubContacts(t, { recent: 5 });
+  const response = await request(app).post("/api/contacts").send(message);
+
+  assert.equal(response.status, 429);
+  assert.equal(response.headers["retry-after"], "3600");
+  assert.equal(created.length, 0);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import request from "supertest";
+import { sniffFileType, checkUpload, uploadKeyName } from "../lib/files.js";
+import { app, loginAs } from "./helpers.js";
+
+const padded = (bytes) => Buffer.concat([Buffer.from(bytes), Buffer.alloc(16)]);
+const ftyp = (...brands) => {
+  const box = Buffer.alloc(8 + brands.length * 4 + 4);
+  box.writeUInt32BE(box.length, 0);
+  box.write("ftyp", 4, "latin1");
+  brands.forEach((brand, index) => box.write(brand, index === 0 ? 8 : 12 + index * 4, "latin1"));
+  return Buffer.concat([box, Buffer.alloc(8)]);
+};
+
+test("file types are sniffed from the magic bytes", () => {
+  const cases = [
+    [padded([0xff, 0xd8, 0xff, 0xe0]), "image/jpeg"],
+    [padded([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), "image/png"],
+    [padded(Buffer.from("GIF89a")), "image/gif"],
+    [padded(Buffer.concat([Buffer.from("RIFF"), Buffer.alloc(4), Buffer.from("WEBP")])), "image/webp"],
+    [ftyp("avif", "mif1"), "image/avif"],
+    [padded(Buffer.from("%PDF-1.7")), "application/pdf"],
+    [padded(Buffer.from("ID3")), "audio/mpeg"],
+    [padded(Buffer.from("OggS")), "audio/ogg"],
+    [ftyp("M4A ", "isom"), "audio/mp4"],
+    [ftyp("isom", "mp41"), "video/mp4"],
+  ];
+
+  for (const [buffer, mime] of cases) {
+    assert.equal(sniffFileType(buffer)?.mime, mime, mime);
+  }
+
+  assert.equal(sniffFileType(Buffer.from("<?php system($_GET['c']); ?>")), null);
+  assert.equal(sniffFileType(Buffer.from("short")), null);
+});
+
+test("checkUpload trusts the content, not the name or the mimetype", () => {
+  const script = { fieldname: "image", originalname: "foto.jpg", mimetype: "image/jpeg", size: 30, buffer: Buffer.from("<script>alert(1)</script>....") };
+  assert.throws(() => checkUpload(script), { status: 415, message: "image must be a JPEG, PNG, WebP, AVIF or GIF image" });
+
+  const pdf = { fieldname: "file", originalname: "brosur.png", mimetype: "image/png", size: 20, buffer: padded(Buffer.from("%PDF-1.4")) };
+  assert.throws(() => checkUpload(pdf), { status: 415 });
+  assert.deepEqual(checkUpload(pdf, { kind: "pdf" }), { mime: "application/pdf", extension: "pdf" });
+});
+
+test("checkUpload enforces the field's size limit", () => {
+  const jpeg = { fieldname: "image", size: 3 * 1024 * 1024, buffer: padded([0xff, 0xd8, 0xff]) };
+
+  assert.throws(() => checkUpload(jpeg, { maxSize: 2 * 1024 * 1024 }), { status: 413, message: "image must be at most 2 MB" });
+  assert.equal(checkUpload(jpeg).mime, "image/jpeg");
+});
+
+test("stored file names are unique slugs of the original name", () => {
+  const name = uploadKeyName("../../Hadrah_putra Maskot (final).PNG");
+
+  assert.match(name, /^\d+-[0-9a-f]{8}-hadrah-putra-maskot-final$/);
+  assert.notEqual(uploadKeyName("a.png"), uploadKeyName("a.png"));
+  assert.match(uploadKeyName(".htaccess"), /-file$/);
+});
+
+test("a renamed file is refused with 415 before anything is stored", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+
+  const response = await request(app)
+    .post("/api/extracurriculars")
+    .set("Authorization", auth)
+    .field("name", "Hadrah")
+    .field("description", "Rebana")
+    .attach("image", Buffer.from("MZ this is really an executable"), { filename: "logo.png", contentType: "image/png" });
+
+  assert.equal(response.status, 415);
+  assert.equal(response.body.code, "UNSUPPORTED_MEDIA_TYPE");
+  assert.deepEqual(fs.readdirSync(process.env.LOCAL_STORAGE_DIR), []);
+});
@@ -0,0 +1,79 @@
+// Shared setup for the route tests: loads the app in test mode (no server,
+// in-memory mailer, test CAPTCHA provider, files in a temporary folder) and
+// signs tokens for fake admins.
+//
+// Nothing here talks to a database. Tests replace the Prisma delegate
+// methods a route uses with stubPrisma(); an unstubbed query fails with
+// "DATABASE_URL not found", which keeps a test from silently depending on
+// real data.
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import jwt from "jsonwebtoken";
+
+process.env.NODE_ENV = "test";
+// Never touch the repository's uploads/ folder
+process.env.STORAGE_DRIVER = "local";
+const storageDirectory = fs.mkdtempSync(path.join(os.tmpdir(), "senireligius-test-"));
+process.env.LOCAL_STORAGE_DIR = storageDirectory;
+process.on("exit", () => fs.rmSync(storageDirectory, { recursive: true, force: true }));
+process.env.SECRET_KEY = "test-secret";
+process.env.CAPTCHA_PROVIDER = "test";
+delete process.env.DATABASE_URL;
+
+const { default: app, prisma, authenticateToken } = await import("../index.js");
+
+export { app, prisma, authenticateToken };
+
+// Replace Prisma methods for the duration of one test, e.g.
+// stubPrisma(t, { booking: { findFirst: async () => null } }). `$transaction`
+// callbacks receive the stubbed client itself.
+export const stubPrisma = (t, stubs) => {
+  const originals = [];
+
+  for (const [model, methods] of Object.entries(stubs)) {
+    if (typeof methods === "function") {
+      originals.push([prisma, model, prisma[model]]);
+      prisma[model] = methods;
+      continue;
+    }
+
+    for (const [method, stub] of Object.entries(methods)) {
+      originals.push([prisma[model], method, prisma[model][method]]);
+      prisma[model][method] = stub;
+    }
+  }
+
+  t.after(() => {
+    for (const [target, key, original] of originals.reverse()) {
+      target[key] = original;
+    }
+  });
+};
+
+// Interactive transactions run their callback against the (stubbed) client;
+// batch transactions just wait for their queries
+export const inlineTransaction = async (work) => (Array.isArray(work) ? Promise.all(work) : work(prisma));
+
+// Authorization header of an active admin with the given role; the admin
+// lookup of authenticateToken is stubbed for the current test
+export const loginAs = (t, role, { id = 1, username = role.toLowerCase() } = {}) => {
+  stubPrisma(t, {
+    admin: {
+      findUnique: async () => ({
+        id,
+        username,
+        role,
+        isActive: true,
+        tokenVersion: 0,
+        mustChangePassword: false,
+      }),
+    },
+  });
+
+  const token = jwt.sign({ id, username, role, tokenVersion: 0 }, process.env.SECRET_KEY, {
+    expiresIn: "5m",
+  });
+  return `Bearer ${token}`;
+};
@@ -0,0 +1,107 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { buildCalendar } from "../lib/ical.js";
+import { app, stubPrisma } from "./helpers.js";
+
+const event = {
+  id: 12,
+  title: "Latihan rutin",
+  startsAt: new Date("2026-10-02T12:30:00Z"),
+  endsAt: new Date("2026-10-02T14:00:00Z"),
+  allDay: false,
+  recurrence: null,
+  updatedAt: new Date("2026-09-30T08:00:00Z"),
+};
+
+// Unfolded content lines
+const lines = (calendar) => calendar.replace(/\r\n /g, "").split("\r\n");
+
+test("the calendar uses CRLF, the WIB time zone and local times", () => {
+  const calendar = buildCalendar([event], { name: "Seni Religius", domain: "senireligius.test" });
+
+  assert.ok(calendar.endsWith("END:VCALENDAR\r\n"));
+  assert.ok(!/[^\r]\n/.test(calendar));
+
+  const content = lines(calendar);
+  assert.ok(content.includes("TZID:Asia/Jakarta"));
+  assert.ok(content.includes("UID:event-12@senireligius.test"));
+  assert.ok(content.includes("DTSTAMP:20260930T080000Z"));
+  assert.ok(content.includes("DTSTART;TZID=Asia/Jakarta:20261002T193000"));
+  assert.ok(content.includes("DTEND;TZID=Asia/Jakarta:20261002T210000"));
+});
+
+test("text values are escaped", () => {
+  const content = lines(
+    buildCalendar([
+      { ...event, title: "Hadrah, Vokal; Rebana\\Tari", description: "Baris 1\nBaris 2", location: "Aula, UNS" },
+    ])
+  );
+
+  assert.ok(content.includes("SUMMARY:Hadrah\\, Vokal\\; Rebana\\\\Tari"));
+  assert.ok(content.includes("DESCRIPTION:Baris 1\\nBaris 2"));
+  assert.ok(content.includes("LOCATION:Aula\\, UNS"));
+});
+
+test("long lines are folded at 75 octets without splitting characters", () => {
+  const calendar = buildCalendar([{ ...event, description: "é".repeat(100) }]);
+  const physical = calendar.split("\r\n");
+
+  for (const line of physical) {
+    assert.ok(Buffer.byteLength(line) <= 75, line);
+    assert.ok(!line.includes("�"));
+  }
+  assert.ok(lines(calendar).includes(`DESCRIPTION:${"é".repeat(100)}`));
+});
+
+test("all-day events use DATE values with an exclusive end", () => {
+  const content = lines(
+    buildCalendar([
+      {
+        ...event,
+        allDay: true,
+        startsAt: new Date("2026-10-09T17:00:00Z"), // 10 October WIB
+        endsAt: new Date("2026-10-10T17:00:00Z"), // 11 October WIB
+        recurrence: "FREQ=WEEKLY;UNTIL=20261231T165959Z",
+      },
+    ])
+  );
+
+  assert.ok(content.includes("DTSTART;VALUE=DATE:20261010"));
+  assert.ok(content.includes("DTEND;VALUE=DATE:20261012"));
+  assert.ok(content.includes("RRULE:FREQ=WEEKLY;UNTIL=20261231"));
+});
+
+test("timed events keep a UTC UNTIL", () => {
+  const content = lines(buildCalendar([{ ...event, recurrence: "FREQ=WEEKLY;UNTIL=20261231T165959Z;BYDAY=FR" }]));
+
+  assert.ok(content.includes("RRULE:FREQ=WEEKLY;UNTIL=20261231T165959Z;BYDAY=FR"));
+});
+
+test("only the public feed may be cached by shared caches", async (t) => {
+  const queries = [];
+  stubPrisma(t, {
+    event: {
+      findMany: async ({ where }) => {
+        queries.push(where);
+        return [event];
+      },
+    },
+  });
+  process.env.CALENDAR_FEED_TOKEN = "feed-secret";
+  t.after(() => delete process.env.CALENDAR_FEED_TOKEN);
+
+  const open = await request(app).get("/api/events.ics");
+  assert.equal(open.status, 200);
+  assert.equal(open.headers["cache-control"], "public, max-age=900");
+  assert.equal(queries[0].isPublic, true);
+
+  const wrong = await request(app).get("/api/events.ics?token=guess");
+  assert.equal(wrong.headers["cache-control"], "public, max-age=900");
+  assert.equal(queries[1].isPublic, true);
+
+  const full = await request(app).get("/api/events.ics?token=feed-secret");
+  assert.equal(full.status, 200);
+  assert.equal(full.headers["cache-control"], "private, no-store");
+  assert.equal(queries[2].isPublic, undefined);
+});
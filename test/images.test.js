@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import request from "supertest";
+import { processImage, imageVariantPaths, imageSources, InvalidImageError } from "../lib/images.js";
+import { app, loginAs } from "./helpers.js";
+
+const photo = (width, height) =>
+  sharp({ create: { width, height, channels: 3, background: { r: 200, g: 120, b: 40 } } })
+    .jpeg()
+    .toBuffer();
+
+test("processImage stores the original and every variant, without upscaling", async () => {
+  const files = await processImage(await photo(1000, 500));
+
+  assert.deepEqual(
+    files.map((file) => file.name),
+    ["original.jpg", "w320.avif", "w320.webp", "w768.avif", "w768.webp", "w1600.avif", "w1600.webp"]
+  );
+
+  const large = files.find((file) => file.name === "w1600.webp");
+  assert.equal(large.contentType, "image/webp");
+  assert.equal((await sharp(large.buffer).metadata()).width, 1000);
+});
+
+test("processImage rejects files that aren't images", async () => {
+  await assert.rejects(processImage(Buffer.from("not an image")), InvalidImageError);
+});
+
+test("variant keys and sources are derived from the original's key", () => {
+  assert.deepEqual(imageVariantPaths("abc/original.jpg").slice(0, 2), ["abc/w320.avif", "abc/w320.webp"]);
+  assert.deepEqual(imageVariantPaths("1741438961356-IMG_6673.JPG"), []);
+
+  const sources = imageSources("abc/original.jpg", (key) => `https://cdn.test/${key}`);
+  assert.equal(sources.src, "https://cdn.test/abc/w768.webp");
+  assert.equal(sources.sources[0].type, "image/avif");
+});
+
+test("image fields don't buffer files above the image size limit", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const response = await request(app)
+    .post("/api/galeri/1/photos")
+    .set("Authorization", auth)
+    .attach("photos", Buffer.alloc(11 * 1024 * 1024), "huge.jpg");
+
+  assert.equal(response.status, 413);
+  assert.equal(response.body.code, "PAYLOAD_TOO_LARGE");
+});
+
+test("bulk uploads are limited to 10 photos", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const upload = request(app).post("/api/galeri/1/photos").set("Authorization", auth);
+  for (let index = 0; index < 11; index++) {
+    upload.attach("photos", Buffer.from("x"), `photo-${index}.jpg`);
+  }
+
+  const response = await upload;
+  assert.equal(response.status, 400);
+  assert.equal(response.body.code, "VALIDATION_FAILED");
+});
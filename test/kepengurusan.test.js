@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app, stubPrisma, inlineTransaction, loginAs } from "./helpers.js";
+
+const periods = [
+  { id: 1, slug: "2024-2025", name: "Kabinet Harmoni", startYear: 2024, endYear: 2025 },
+  { id: 2, slug: "2025-2026", name: "Kabinet Cahaya", startYear: 2025, endYear: 2026 },
+  { id: 3, slug: "2026-2027", name: "Kabinet Baru", startYear: 2026, endYear: 2027 },
+];
+
+// Management periods and board positions of the stubbed database
+const stubBoard = (t, positions) => {
+  const db = { positions: positions.map((position) => ({ ...position })) };
+
+  stubPrisma(t, {
+    $transaction: inlineTransaction,
+    managementPeriod: {
+      findUnique: async ({ where }) => periods.find((period) => period.id === where.id) ?? null,
+      findFirst: async ({ where }) =>
+        periods.filter((period) => period.startYear < where.startYear.lt).sort((a, b) => b.startYear - a.startYear)[0] ??
+        null,
+    },
+    boardPosition: {
+      findMany: async ({ where }) =>
+        db.positions
+          .filter((position) => position.periodId === where.periodId)
+          .sort((a, b) => a.rank - b.rank || a.id - b.id)
+          .map((position) => ({ ...position, member: position.memberId ? { id: position.memberId, name: "Anggota" } : null })),
+      count: async ({ where }) => db.positions.filter((position) => position.periodId === where.periodId).length,
+      createMany: async ({ data }) => {
+        data.forEach((position) => db.positions.push({ id: 100 + db.positions.length, ...position }));
+        return { count: data.length };
+      },
+    },
+    extracurricular: {
+      findMany: async ({ where }) => where.id.in.map((id) => ({ id, name: `Divisi ${id}`, image: null })),
+    },
+  });
+  return db;
+};
+
+const board = [
+  { id: 1, periodId: 2, title: "Ketua", rank: 0, extracurricularId: null, memberId: 7 },
+  { id: 2, periodId: 2, title: "Koordinator", rank: 1, extracurricularId: 4, memberId: 8 },
+  { id: 3, periodId: 1, title: "Ketua Lama", rank: 0, extracurricularId: null, memberId: 5 },
+];
+
+test("the structure is copied from the latest earlier period, with vacant seats", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const db = stubBoard(t, board);
+
+  const response = await request(app).post("/api/kepengurusan/3/copy-structure").set("Authorization", auth).send({});
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.copiedFrom, "2025-2026");
+  const copied = db.positions.filter((position) => position.periodId === 3);
+  assert.deepEqual(
+    copied.map(({ title, rank, extracurricularId, memberId }) => [title, rank, extracurricularId, memberId]),
+    [
+      ["Ketua", 0, null, null],
+      ["Koordinator", 1, 4, null],
+    ]
+  );
+  assert.deepEqual(response.body.leadership.map((position) => position.title), ["Ketua"]);
+  assert.deepEqual(response.body.divisions[0].positions.map((position) => position.title), ["Koordinator"]);
+});
+
+test("members can be kept and the source period chosen", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const db = stubBoard(t, board);
+
+  const response = await request(app)
+    .post("/api/kepengurusan/3/copy-structure")
+    .set("Authorization", auth)
+    .send({ fromPeriodId: 1, includeMembers: true });
+
+  assert.equal(response.status, 201);
+  assert.equal(response.body.copiedFrom, "2024-2025");
+  assert.deepEqual(
+    db.positions.filter((position) => position.periodId === 3).map(({ title, memberId }) => [title, memberId]),
+    [["Ketua Lama", 5]]
+  );
+});
+
+test("periods that already have positions are not overwritten", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const db = stubBoard(t, board);
+
+  const response = await request(app).post("/api/kepengurusan/2/copy-structure").set("Authorization", auth).send({});
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, "Period already has board positions");
+  assert.equal(db.positions.length, board.length);
+});
+
+test("there must be an earlier period to copy from", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  stubBoard(t, board);
+
+  for (const [path, body] of [
+    ["/api/kepengurusan/1/copy-structure", {}],
+    ["/api/kepengurusan/3/copy-structure", { fromPeriodId: 3 }],
+    ["/api/kepengurusan/3/copy-structure", { fromPeriodId: 9 }],
+  ]) {
+    const response = await request(app).post(path).set("Authorization", auth).send(body);
+    assert.equal(response.status, 400, `${path} ${JSON.stringify(body)}`);
+    assert.equal(response.body.errors[0].message, "No earlier period to copy from");
+  }
+
+  const missing = await request(app).post("/api/kepengurusan/9/copy-structure").set("Authorization", auth).send({});
+  assert.equal(missing.status, 404);
+});
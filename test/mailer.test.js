@@ -0,0 +1,150 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createMailer,
+  createOutbox,
+  memoryMailer,
+  unconfiguredMailer,
+  parseRecipients,
+  MAX_EMAIL_ATTEMPTS,
+} from "../lib/mailer.js";
+
+// Just enough of the OutboundEmail delegate for the outbox
+const fakePrisma = () => {
+  const rows = [];
+
+  return {
+    rows,
+    outboundEmail: {
+      create: async ({ data }) => {
+        const row = { id: rows.length + 1, status: "PENDING", attempts: 0, nextAttemptAt: new Date(), ...data };
+        rows.push(row);
+        return row;
+      },
+      findMany: async ({ where, take }) =>
+        rows
+          .filter(
+            (row) =>
+              row.status === where.status &&
+              row.nextAttemptAt <= where.nextAttemptAt.lte &&
+              (!where.id || where.id.in.includes(row.id))
+          )
+          .slice(0, take),
+      update: async ({ where, data }) => Object.assign(rows.find((row) => row.id === where.id), data),
+      updateMany: async ({ where, data }) => {
+        const matching = rows.filter(
+          (row) => row.id === where.id && row.status === where.status && row.nextAttemptAt <= where.nextAttemptAt.lte
+        );
+        matching.forEach((row) => Object.assign(row, data));
+        return { count: matching.length };
+      },
+    },
+  };
+};
+
+const email = { to: "sekretariat@example.com", subject: "Halo", text: "Pesan baru", template: "test" };
+
+test("createMailer picks the transport from the environment", (t) => {
+  const warn = t.mock.method(console, "warn", () => {});
+
+  assert.equal(createMailer({ SMTP_HOST: "smtp.example.com" }).name, "smtp");
+  assert.equal(createMailer({ MAIL_TRANSPORT: "memory", SMTP_HOST: "smtp.example.com" }).name, "memory");
+  assert.equal(createMailer({ NODE_ENV: "test" }).name, "memory");
+  assert.equal(warn.mock.callCount(), 0);
+
+  assert.equal(createMailer({}).name, "none");
+  assert.equal(createMailer({ NODE_ENV: "production" }).name, "none");
+  assert.equal(warn.mock.callCount(), 2);
+
+  assert.throws(() => createMailer({ MAIL_TRANSPORT: "pigeon" }), /Unknown MAIL_TRANSPORT/);
+});
+
+test("the memory mailer keeps what it sends", async () => {
+  const mailer = memoryMailer({ from: "Seni Religius <noreply@example.com>" });
+  await mailer.send({ to: ["a@example.com"], subject: "Hi", text: "Hi" });
+
+  assert.deepEqual(mailer.sent, [
+    { from: "Seni Religius <noreply@example.com>", to: ["a@example.com"], subject: "Hi", text: "Hi" },
+  ]);
+});
+
+test("delivered emails are marked SENT", async () => {
+  const prisma = fakePrisma();
+  const mailer = memoryMailer();
+  const outbox = createOutbox({ prisma, mailer });
+
+  const queued = await outbox.enqueue(email);
+  assert.deepEqual(queued.to, ["sekretariat@example.com"]);
+
+  assert.deepEqual(await outbox.processOutbox({ ids: [queued.id] }), { sent: 1, failed: 0 });
+  assert.equal(prisma.rows[0].status, "SENT");
+  assert.equal(prisma.rows[0].attempts, 1);
+  assert.ok(prisma.rows[0].sentAt instanceof Date);
+  assert.equal(mailer.sent[0].subject, "Halo");
+});
+
+test("failures are rescheduled with backoff, then marked FAILED", async () => {
+  const prisma = fakePrisma();
+  const outbox = createOutbox({
+    prisma,
+    mailer: { send: async () => Promise.reject(new Error("Connection refused")) },
+  });
+
+  await outbox.enqueue(email);
+  const before = Date.now();
+  assert.deepEqual(await outbox.processOutbox(), { sent: 0, failed: 1 });
+
+  const [row] = prisma.rows;
+  assert.equal(row.status, "PENDING");
+  assert.equal(row.attempts, 1);
+  assert.equal(row.lastError, "Connection refused");
+  assert.ok(row.nextAttemptAt.getTime() >= before + 5 * 60 * 1000);
+
+  // Not due yet
+  assert.deepEqual(await outbox.processOutbox(), { sent: 0, failed: 0 });
+
+  row.attempts = MAX_EMAIL_ATTEMPTS - 1;
+  row.nextAttemptAt = new Date();
+  await outbox.processOutbox();
+  assert.equal(row.status, "FAILED");
+
+  await outbox.retry(row.id);
+  assert.equal(row.status, "PENDING");
+  assert.equal(row.attempts, 0);
+});
+
+test("concurrent runs send each email once", async () => {
+  const prisma = fakePrisma();
+  const sent = [];
+  const mailer = {
+    send: async (message) => {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+      sent.push(message);
+    },
+  };
+  const outbox = createOutbox({ prisma, mailer });
+
+  const queued = await outbox.enqueue(email);
+  const results = await Promise.all([outbox.processOutbox(), outbox.processOutbox({ ids: [queued.id] })]);
+
+  assert.equal(sent.length, 1);
+  assert.equal(results[0].sent + results[1].sent, 1);
+  assert.equal(results[0].failed + results[1].failed, 0);
+  assert.equal(prisma.rows[0].status, "SENT");
+  assert.equal(prisma.rows[0].attempts, 1);
+});
+
+test("without a configured transport nothing is marked SENT", async () => {
+  const prisma = fakePrisma();
+  const outbox = createOutbox({ prisma, mailer: unconfiguredMailer() });
+
+  await outbox.enqueue(email);
+  assert.deepEqual(await outbox.processOutbox(), { sent: 0, failed: 1 });
+  assert.equal(prisma.rows[0].status, "PENDING");
+  assert.match(prisma.rows[0].lastError, /not configured/);
+});
+
+test("parseRecipients splits comma separated addresses", () => {
+  assert.deepEqual(parseRecipients(" a@example.com, ,b@example.com "), ["a@example.com", "b@example.com"]);
+  assert.deepEqual(parseRecipients(undefined), []);
+});
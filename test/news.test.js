@@ -0,0 +1,189 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app, stubPrisma, inlineTransaction, loginAs } from "./helpers.js";
+
+// News rows of the stubbed database, without any taken slugs
+const stubNews = (t) => {
+  const created = [];
+  stubPrisma(t, {
+    news: {
+      findUnique: async () => null,
+      create: async ({ data }) => {
+        created.push(data);
+        return { id: 1, ...data };
+      },
+    },
+    newsSlugRedirect: { findUnique: async () => null },
+  });
+  return created;
+};
+
+test("drafts can be saved without a publishing date", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const created = stubNews(t);
+
+  const response = await request(app)
+    .post("/api/news")
+    .set("Authorization", auth)
+    .send({ title: "Festival Hadrah", description: "<p>Segera</p>", status: "DRAFT" });
+
+  assert.equal(response.status, 201);
+  assert.equal(created[0].status, "DRAFT");
+  assert.equal(created[0].publishedAt, undefined);
+  assert.equal(created[0].slug, "festival-hadrah");
+});
+
+test("published news without a date is published now", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const created = stubNews(t);
+  const before = Date.now();
+
+  const response = await request(app)
+    .post("/api/news")
+    .set("Authorization", auth)
+    .send({ title: "Festival Hadrah", description: "<p>Hari ini</p>", status: "PUBLISHED" });
+
+  assert.equal(response.status, 201);
+  assert.ok(created[0].publishedAt.getTime() >= before);
+});
+
+test("a future publishing date schedules the item", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const created = stubNews(t);
+
+  const response = await request(app)
+    .post("/api/news")
+    .set("Authorization", auth)
+    .send({ title: "Pentas Seni", description: "<p>Nanti</p>", publishedAt: "2099-01-01T00:00:00Z" });
+
+  assert.equal(response.status, 201);
+  assert.equal(created[0].status, "SCHEDULED");
+});
+
+test("scheduling needs a publishing date in the future", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  stubNews(t);
+  stubPrisma(t, {
+    news: { findFirst: async () => ({ id: 1, title: "Lama", slug: "lama", status: "DRAFT", publishedAt: null }) },
+  });
+
+  const past = await request(app)
+    .post("/api/news")
+    .set("Authorization", auth)
+    .send({ title: "Pentas", description: "<p>Kemarin</p>", status: "SCHEDULED", publishedAt: "2020-01-01T00:00:00Z" });
+  assert.equal(past.status, 400);
+  assert.deepEqual(past.body.errors, [
+    { location: "body", field: "publishedAt", message: "publishedAt must be in the future for scheduled items" },
+  ]);
+
+  const undated = await request(app).put("/api/news/1").set("Authorization", auth).send({ status: "SCHEDULED" });
+  assert.equal(undated.status, 400);
+  assert.equal(undated.body.errors[0].field, "publishedAt");
+});
+
+test("public reads only see published items that are due, editors see all", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const wheres = [];
+  stubPrisma(t, {
+    $transaction: inlineTransaction,
+    news: {
+      count: async () => 0,
+      findMany: async ({ where }) => {
+        wheres.push(where);
+        return [];
+      },
+      findFirst: async ({ where }) => {
+        wheres.push(where);
+        return null;
+      },
+    },
+  });
+
+  await request(app).get("/api/news");
+  const hidden = await request(app).get("/api/news/1");
+  await request(app).get("/api/admin/news").set("Authorization", auth);
+
+  const [list, get, admin] = wheres;
+  const visible = list.AND[0].AND[0];
+  assert.deepEqual(visible.status, { in: ["SCHEDULED", "PUBLISHED"] });
+  assert.equal(visible.OR[0].publishedAt, null);
+  assert.ok(visible.OR[1].publishedAt.lte instanceof Date);
+  assert.deepEqual(get.AND[0].status, visible.status);
+  assert.equal(get.id, 1);
+  assert.equal(hidden.status, 404);
+  assert.deepEqual(admin, {});
+});
+
+test("old slugs redirect to the current one", async (t) => {
+  const current = { id: 4, title: "Juara Hadrah", slug: "juara-hadrah-nasional", status: "PUBLISHED" };
+  stubPrisma(t, {
+    news: { findFirst: async ({ where }) => (where.slug === current.slug || where.id === current.id ? current : null) },
+    newsSlugRedirect: { findUnique: async ({ where }) => (where.slug === "juara-hadrah" ? { slug: where.slug, newsId: 4 } : null) },
+  });
+
+  const found = await request(app).get("/api/news/slug/juara-hadrah-nasional");
+  assert.equal(found.status, 200);
+  assert.equal(found.body.id, 4);
+
+  const moved = await request(app).get("/api/news/slug/juara-hadrah").redirects(0);
+  assert.equal(moved.status, 301);
+  assert.equal(moved.headers.location, "/api/news/slug/juara-hadrah-nasional");
+
+  const missing = await request(app).get("/api/news/slug/tidak-ada");
+  assert.equal(missing.status, 404);
+});
+
+test("old slugs of unpublished news are not redirected", async (t) => {
+  stubPrisma(t, {
+    news: { findFirst: async () => null },
+    newsSlugRedirect: { findUnique: async () => ({ slug: "draf-lama", newsId: 4 }) },
+  });
+
+  const response = await request(app).get("/api/news/slug/draf-lama").redirects(0);
+
+  assert.equal(response.status, 404);
+});
+
+test("renaming keeps the old slug as a redirect", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const updates = [];
+  stubNews(t);
+  stubPrisma(t, {
+    news: {
+      findFirst: async () => ({ id: 4, title: "Juara Hadrah", slug: "juara-hadrah", status: "PUBLISHED", publishedAt: new Date() }),
+      update: async ({ data }) => {
+        updates.push(data);
+        return { id: 4, ...data };
+      },
+    },
+  });
+
+  const response = await request(app)
+    .put("/api/news/4")
+    .set("Authorization", auth)
+    .send({ title: "Juara Hadrah Nasional", description: '<p onclick="x()">Selamat <script>alert(1)</script>tim</p>' });
+
+  assert.equal(response.status, 200);
+  assert.equal(updates[0].slug, "juara-hadrah-nasional");
+  assert.deepEqual(updates[0].slugRedirects, {
+    deleteMany: { slug: "juara-hadrah-nasional" },
+    create: { slug: "juara-hadrah" },
+  });
+  assert.equal(updates[0].description, "<p>Selamat tim</p>");
+  assert.equal(updates[0].excerpt, "Selamat tim");
+});
+
+test("slugs already used by other news are refused", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  stubNews(t);
+  stubPrisma(t, { newsSlugRedirect: { findUnique: async () => ({ slug: "pentas", newsId: 9 }) } });
+
+  const response = await request(app)
+    .post("/api/news")
+    .set("Authorization", auth)
+    .send({ title: "Pentas", slug: "pentas", description: "<p>Isi</p>" });
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, "slug is already used by another news item");
+});
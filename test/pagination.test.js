@@ -0,0 +1,93 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app, stubPrisma, inlineTransaction } from "./helpers.js";
+
+// Extracurricular list of the stubbed database with `total` rows; returns
+// the findMany arguments
+const stubList = (t, total) => {
+  const queries = [];
+  stubPrisma(t, {
+    $transaction: inlineTransaction,
+    extracurricular: {
+      count: async () => total,
+      findMany: async (args) => {
+        queries.push(args);
+        const rows = Array.from({ length: total }, (_, index) => ({ id: index + 1, name: `Divisi ${index + 1}` }));
+        return rows.slice(args.skip, args.skip + args.take);
+      },
+    },
+  });
+  return queries;
+};
+
+test("lists default to the first page of 20, sorted with an id tie-breaker", async (t) => {
+  const queries = stubList(t, 3);
+
+  const response = await request(app).get("/api/extracurriculars");
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.length, 3);
+  assert.equal(queries[0].skip, 0);
+  assert.equal(queries[0].take, 20);
+  assert.deepEqual(queries[0].orderBy, [{ name: "asc" }, { id: "asc" }]);
+  assert.equal(response.headers["x-total-count"], "3");
+});
+
+test("page and limit select the slice and the Link header points around it", async (t) => {
+  const queries = stubList(t, 45);
+
+  const response = await request(app).get("/api/extracurriculars").query({ page: 2, limit: 10, sort: "-id" });
+
+  assert.equal(queries[0].skip, 10);
+  assert.equal(queries[0].take, 10);
+  assert.deepEqual(queries[0].orderBy, [{ id: "desc" }]);
+  assert.equal(response.headers["x-total-count"], "45");
+
+  const links = Object.fromEntries(
+    response.headers.link.split(", ").map((link) => {
+      const [, url, rel] = link.match(/<([^>]+)>; rel="(\w+)"/);
+      return [rel, new URL(url).searchParams.get("page")];
+    })
+  );
+  assert.deepEqual(links, { first: "1", prev: "1", next: "3", last: "5" });
+});
+
+test("a page past the end is empty but keeps the total", async (t) => {
+  stubList(t, 45);
+
+  const response = await request(app).get("/api/extracurriculars").query({ page: 9, limit: 10 });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, []);
+  assert.equal(response.headers["x-total-count"], "45");
+  assert.match(response.headers.link, /page=5&limit=10>; rel="last"/);
+  assert.doesNotMatch(response.headers.link, /rel="next"/);
+});
+
+test("out of bounds paging and unknown sort fields answer 400", async () => {
+  for (const [query, field, message] of [
+    [{ page: 0 }, "page", "page must be a positive integer"],
+    [{ page: "1.5" }, "page", "page must be a positive integer"],
+    [{ limit: 0 }, "limit", "limit must be an integer between 1 and 100"],
+    [{ limit: 101 }, "limit", "limit must be an integer between 1 and 100"],
+    [{ sort: "description" }, "sort", "sort must be one of name, id"],
+  ]) {
+    const response = await request(app).get("/api/extracurriculars").query(query);
+
+    assert.equal(response.status, 400, JSON.stringify(query));
+    assert.deepEqual(response.body.errors, [{ location: "query", field, message }]);
+  }
+});
+
+test("filters are validated and passed to the query", async (t) => {
+  const queries = stubList(t, 0);
+
+  const filtered = await request(app).get("/api/extracurriculars").query({ name: "hadrah" });
+  assert.equal(filtered.status, 200);
+  assert.deepEqual(queries[0].where, { name: { contains: "hadrah", mode: "insensitive" } });
+
+  const range = await request(app).get("/api/news").query({ "publishedAt[gte]": "someday" });
+  assert.equal(range.status, 400);
+  assert.equal(range.body.errors[0].message, "publishedAt[gte] must be a valid date");
+});
@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app, stubPrisma, loginAs } from "./helpers.js";
+
+const applicant = {
+  id: 4,
+  name: "Rina",
+  status: "SUBMITTED",
+  firstChoiceId: 2,
+  secondChoiceId: 3,
+  auditionFile: null,
+};
+
+// Applicant rows of the stubbed database; updateMany applies the status
+// guard like PostgreSQL would
+const stubApplicants = (t, stored = applicant) => {
+  const row = { ...stored };
+  const updates = [];
+
+  stubPrisma(t, {
+    applicant: {
+      findUnique: async () => row,
+      updateMany: async ({ where, data }) => {
+        updates.push({ where, data });
+        if (!where.status.in.includes(row.status)) return { count: 0 };
+        Object.assign(row, data);
+        return { count: 1 };
+      },
+    },
+  });
+  return updates;
+};
+
+const post = (t, path, body = {}) =>
+  request(app).post(path).set("Authorization", loginAs(t, "EDITOR", { id: 9 })).send(body);
+
+test("shortlisting guards the update on the starting status", async (t) => {
+  const updates = stubApplicants(t);
+  const response = await post(t, "/api/applicants/4/shortlist");
+
+  assert.equal(response.status, 200);
+  assert.equal(response.body.status, "SHORTLISTED");
+  assert.deepEqual(updates[0].where, { id: 4, status: { in: ["SUBMITTED"] } });
+});
+
+test("actions that don't fit the status answer 409", async (t) => {
+  stubApplicants(t, { ...applicant, status: "REJECTED" });
+
+  for (const action of ["shortlist", "audition", "accept", "reject"]) {
+    const body = action === "audition" ? { auditionAt: "2099-01-10T09:00:00+07:00" } : {};
+    const response = await post(t, `/api/applicants/4/${action}`, body);
+
+    assert.equal(response.status, 409, action);
+    assert.equal(response.body.code, "INVALID_STATUS");
+    assert.equal(response.body.error, `Cannot ${action} an applicant that is REJECTED`);
+  }
+});
+
+test("submitted applicants must be shortlisted before they are accepted", async (t) => {
+  stubApplicants(t);
+  const response = await post(t, "/api/applicants/4/accept");
+
+  assert.equal(response.status, 409);
+});
+
+test("accepting defaults to the first choice and records the decision", async (t) => {
+  const updates = stubApplicants(t, { ...applicant, status: "AUDITION_SCHEDULED" });
+  const response = await post(t, "/api/applicants/4/accept", { adminNote: "Suara bagus" });
+
+  assert.equal(response.status, 200);
+  assert.equal(updates[0].data.status, "ACCEPTED");
+  assert.equal(updates[0].data.acceptedDivisionId, 2);
+  assert.equal(updates[0].data.decidedById, 9);
+});
+
+test("applicants can only be accepted into a division they chose", async (t) => {
+  const updates = stubApplicants(t, { ...applicant, status: "SHORTLISTED" });
+
+  const other = await post(t, "/api/applicants/4/accept", { extracurricularId: 5 });
+  assert.equal(other.status, 400);
+  assert.equal(other.body.errors[0].field, "extracurricularId");
+  assert.equal(updates.length, 0);
+
+  const second = await post(t, "/api/applicants/4/accept", { extracurricularId: 3 });
+  assert.equal(second.status, 200);
+  assert.equal(updates[0].data.acceptedDivisionId, 3);
+});
+
+test("a concurrent change makes the losing action fail", async (t) => {
+  stubApplicants(t, { ...applicant, status: "SHORTLISTED" });
+  stubPrisma(t, { applicant: { updateMany: async () => ({ count: 0 }) } });
+
+  const response = await post(t, "/api/applicants/4/reject");
+
+  assert.equal(response.status, 409);
+  assert.equal(response.body.error, "Applicant was changed at the same time, please try again");
+});
+
+test("the batch year limit follows the current year", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: new Date("2031-01-02T00:00:00Z") });
+
+  const next = await request(app).post("/api/recruitment/applications").send({ batchYear: 2032 });
+  assert.equal(next.status, 400);
+  assert.ok(!next.body.errors.some((error) => error.field === "batchYear"));
+
+  const later = await request(app).post("/api/recruitment/applications").send({ batchYear: 2033 });
+  assert.ok(later.body.errors.some((error) => error.message === "batchYear must be at most 2032"));
+});
@@ -0,0 +1,119 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseRecurrence,
+  formatRecurrence,
+  occurrencesBetween,
+  seriesEnd,
+  RecurrenceError,
+} from "../lib/recurrence.js";
+
+const starts = (occurrences) => occurrences.map(({ startsAt }) => startsAt.toISOString());
+
+test("rules are parsed and written back in canonical form", () => {
+  const rule = parseRecurrence("rrule:freq=weekly;byday=fr,mo,fr;interval=2");
+
+  assert.deepEqual(rule, { freq: "WEEKLY", interval: 2, count: null, until: null, byDay: ["MO", "FR"] });
+  assert.equal(formatRecurrence(rule), "FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,FR");
+});
+
+test("UNTIL dates end the day in WIB, times without Z are WIB", () => {
+  assert.equal(parseRecurrence("FREQ=DAILY;UNTIL=20261231").until.toISOString(), "2026-12-31T16:59:59.000Z");
+  assert.equal(parseRecurrence("FREQ=DAILY;UNTIL=20261231T170000").until.toISOString(), "2026-12-31T10:00:00.000Z");
+  assert.equal(parseRecurrence("FREQ=DAILY;UNTIL=20261231T170000Z").until.toISOString(), "2026-12-31T17:00:00.000Z");
+});
+
+test("all-day rules write UNTIL as the WIB date", () => {
+  const rule = parseRecurrence("FREQ=WEEKLY;UNTIL=20261231");
+
+  assert.equal(formatRecurrence(rule), "FREQ=WEEKLY;UNTIL=20261231T165959Z");
+  assert.equal(formatRecurrence(rule, { dateOnly: true }), "FREQ=WEEKLY;UNTIL=20261231");
+});
+
+test("invalid rules are reported with a RecurrenceError", () => {
+  for (const [rule, message] of [
+    ["INTERVAL=2", "FREQ is required"],
+    ["FREQ=HOURLY", "FREQ must be one of DAILY, WEEKLY, MONTHLY, YEARLY"],
+    ["FREQ=DAILY;COUNT=0", "COUNT must be between 1 and 1000"],
+    ["FREQ=DAILY;COUNT=2;UNTIL=20261231", "Use either COUNT or UNTIL, not both"],
+    ["FREQ=MONTHLY;BYDAY=MO", "BYDAY is only supported with FREQ=WEEKLY"],
+    ["FREQ=WEEKLY;BYDAY=XX", "BYDAY must list weekdays (MO,TU,WE,TH,FR,SA,SU)"],
+    ["FREQ=DAILY;UNTIL=tomorrow", "UNTIL must be a date like 20261231 or 20261231T170000Z"],
+    ["FREQ=DAILY;BYMONTH=1", "BYMONTH is not supported"],
+  ]) {
+    assert.throws(() => parseRecurrence(rule), (error) => error instanceof RecurrenceError && error.message === message, rule);
+  }
+});
+
+test("weekly BYDAY is expanded on WIB weekdays", () => {
+  // Friday 19:30 WIB = 12:30Z; late evening events stay on the WIB day
+  const event = {
+    startsAt: new Date("2026-10-02T12:30:00Z"),
+    endsAt: new Date("2026-10-02T14:00:00Z"),
+    recurrence: "FREQ=WEEKLY;BYDAY=MO,FR",
+  };
+
+  const occurrences = occurrencesBetween(event, new Date("2026-10-01T00:00:00Z"), new Date("2026-10-13T00:00:00Z"));
+  assert.deepEqual(starts(occurrences), [
+    "2026-10-02T12:30:00.000Z",
+    "2026-10-05T12:30:00.000Z",
+    "2026-10-09T12:30:00.000Z",
+    "2026-10-12T12:30:00.000Z",
+  ]);
+  assert.equal(occurrences[1].endsAt.toISOString(), "2026-10-05T14:00:00.000Z");
+});
+
+test("the start is the first occurrence even on a day BYDAY doesn't list", () => {
+  // Wednesday start, rule on Mondays and Fridays
+  const event = { startsAt: new Date("2026-10-07T01:00:00Z"), recurrence: "FREQ=WEEKLY;BYDAY=MO,FR;COUNT=3" };
+
+  assert.deepEqual(starts(occurrencesBetween(event, new Date("2026-10-01T00:00:00Z"), new Date("2026-11-01T00:00:00Z"))), [
+    "2026-10-07T01:00:00.000Z",
+    "2026-10-09T01:00:00.000Z",
+    "2026-10-12T01:00:00.000Z",
+  ]);
+});
+
+test("COUNT counts the start, INTERVAL skips periods", () => {
+  const event = { startsAt: new Date("2026-01-01T02:00:00Z"), recurrence: "FREQ=DAILY;INTERVAL=3;COUNT=3" };
+
+  assert.deepEqual(starts(occurrencesBetween(event, new Date("2026-01-01T00:00:00Z"), new Date("2027-01-01T00:00:00Z"))), [
+    "2026-01-01T02:00:00.000Z",
+    "2026-01-04T02:00:00.000Z",
+    "2026-01-07T02:00:00.000Z",
+  ]);
+});
+
+test("monthly rules skip months without the start's day", () => {
+  const event = { startsAt: new Date("2026-01-31T03:00:00Z"), recurrence: "FREQ=MONTHLY;COUNT=4" };
+
+  assert.deepEqual(starts(occurrencesBetween(event, new Date("2026-01-01T00:00:00Z"), new Date("2027-01-01T00:00:00Z"))), [
+    "2026-01-31T03:00:00.000Z",
+    "2026-03-31T03:00:00.000Z",
+    "2026-05-31T03:00:00.000Z",
+    "2026-07-31T03:00:00.000Z",
+  ]);
+});
+
+test("occurrences overlapping the start of the range are included", () => {
+  const event = {
+    startsAt: new Date("2026-10-01T00:00:00Z"),
+    endsAt: new Date("2026-10-03T00:00:00Z"),
+    recurrence: null,
+  };
+
+  assert.equal(occurrencesBetween(event, new Date("2026-10-02T00:00:00Z"), new Date("2026-10-05T00:00:00Z")).length, 1);
+  assert.equal(occurrencesBetween(event, new Date("2026-10-03T00:00:00Z"), new Date("2026-10-05T00:00:00Z")).length, 0);
+});
+
+test("seriesEnd is the end of the last occurrence, null when endless", () => {
+  const startsAt = new Date("2026-10-05T12:00:00Z");
+  const endsAt = new Date("2026-10-05T13:00:00Z");
+
+  assert.equal(seriesEnd({ startsAt, endsAt, recurrence: null }), endsAt);
+  assert.equal(seriesEnd({ startsAt, endsAt, recurrence: "FREQ=WEEKLY" }), null);
+  assert.equal(
+    seriesEnd({ startsAt, endsAt, recurrence: "FREQ=WEEKLY;UNTIL=20261026" }).toISOString(),
+    "2026-10-26T13:00:00.000Z"
+  );
+});
@@ -0,0 +1,134 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app, authenticateToken, loginAs } from "./helpers.js";
+
+const PUBLIC = null;
+const ANY_ADMIN = [];
+const SUPERADMIN = ["SUPERADMIN"];
+const EDITOR = ["SUPERADMIN", "EDITOR"];
+const INBOX_READER = ["SUPERADMIN", "INBOX_READER"];
+
+// Expected policy of every write route, first match wins. A new write
+// route must be added here, so its role is a deliberate choice.
+const WRITE_POLICIES = [
+  ["POST /admin/login", PUBLIC],
+  ["POST /admin/refresh", PUBLIC],
+  ["POST /admin/logout", PUBLIC],
+  ["POST /api/contacts", PUBLIC],
+  ["POST /api/bookings", PUBLIC],
+  ["POST /api/recruitment/applications", PUBLIC],
+  ["PUT /api/alumni-profile/:token", PUBLIC],
+  ["POST /api/admin/logout-all", ANY_ADMIN],
+  ["PUT /api/admin/password", ANY_ADMIN],
+  [/^\w+ \/api\/admins?(\/|$)/, SUPERADMIN],
+  [/^\w+ \/api\/(contacts|bookings)(\/|$)/, INBOX_READER],
+  [
+    /^\w+ \/api\/(news|hero|extracurriculars|kalender|alumni|galeri|sarana|headmaster-message|sejarah|visi-misi|media|kepengurusan|members|board-positions|events|achievements|alumni-invites|alumni-submissions|recruitment-periods|applicants)(\/|$)/,
+    EDITOR,
+  ],
+];
+
+const PRIVATE_READ = /^\/api\/(admins?|contacts|media|bookings|recruitment-periods|applicants|alumni-invites|alumni-submissions|board-positions)(\/|$)/;
+
+const routeTable = () =>
+  app._router.stack
+    .filter((layer) => layer.route)
+    .flatMap(({ route }) =>
+      Object.keys(route.methods).map((method) => ({
+        key: `${method.toUpperCase()} ${route.path}`,
+        method,
+        path: route.path,
+        authenticated: route.stack.some((layer) => layer.handle === authenticateToken),
+        roles: route.stack.find((layer) => layer.handle.roles)?.handle.roles ?? [],
+      }))
+    );
+
+const expectedPolicy = (key) => {
+  const match = WRITE_POLICIES.find(([pattern]) =>
+    typeof pattern === "string" ? pattern === key : pattern.test(key)
+  );
+  return match ? match[1] : undefined;
+};
+
+test("every write route has the expected authentication and role", () => {
+  const writes = routeTable().filter(({ method }) => !["get", "head"].includes(method));
+  assert.ok(writes.length > 50);
+
+  for (const route of writes) {
+    const expected = expectedPolicy(route.key);
+    assert.notEqual(expected, undefined, `${route.key} has no expected policy in WRITE_POLICIES`);
+
+    if (expected === PUBLIC) {
+      assert.equal(route.authenticated, false, `${route.key} should be public`);
+      continue;
+    }
+
+    assert.equal(route.authenticated, true, `${route.key} must require a token`);
+    assert.deepEqual([...route.roles].sort(), [...expected].sort(), `${route.key} has the wrong roles`);
+  }
+});
+
+test("private read routes require a token", () => {
+  const reads = routeTable().filter(({ method, path }) => method === "get" && PRIVATE_READ.test(path));
+  assert.ok(reads.length > 0);
+
+  for (const route of reads) {
+    assert.equal(route.authenticated, true, `${route.key} must require a token`);
+  }
+});
+
+test("write routes answer 401 without a token", async () => {
+  for (const [method, path] of [
+    ["post", "/api/news"],
+    ["put", "/api/extracurriculars/1"],
+    ["delete", "/api/galeri/1"],
+    ["post", "/api/admins"],
+    ["put", "/api/contacts/1"],
+  ]) {
+    const response = await request(app)[method](path);
+    assert.equal(response.status, 401, `${method.toUpperCase()} ${path}`);
+    assert.equal(response.body.code, "UNAUTHORIZED");
+  }
+});
+
+test("an invalid token is rejected with 403", async () => {
+  const response = await request(app).post("/api/news").set("Authorization", "Bearer not-a-token");
+
+  assert.equal(response.status, 403);
+  assert.equal(response.body.code, "INVALID_TOKEN");
+});
+
+test("admins without the required role get 403", async (t) => {
+  const editor = loginAs(t, "EDITOR");
+
+  for (const [method, path] of [
+    ["post", "/api/admins"],
+    ["delete", "/api/admins/2/lockout"],
+    ["put", "/api/contacts/1"],
+  ]) {
+    const response = await request(app)[method](path).set("Authorization", editor);
+    assert.equal(response.status, 403, `${method.toUpperCase()} ${path}`);
+    assert.equal(response.body.code, "FORBIDDEN");
+  }
+});
+
+test("inbox readers can't edit content or make recruitment decisions", async (t) => {
+  const inboxReader = loginAs(t, "INBOX_READER");
+
+  for (const [method, path] of [
+    ["delete", "/api/news/1"],
+    ["post", "/api/recruitment-periods/1/open"],
+    ["post", "/api/applicants/1/accept"],
+  ]) {
+    const response = await request(app)[method](path).set("Authorization", inboxReader);
+    assert.equal(response.status, 403, `${method.toUpperCase()} ${path}`);
+  }
+});
+
+test("private reads answer 401 without a token", async () => {
+  for (const path of ["/api/contacts", "/api/bookings", "/api/applicants", "/api/alumni-submissions"]) {
+    const response = await request(app).get(path);
+    assert.equal(response.status, 401, path);
+  }
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { app, stubPrisma } from "./helpers.js";
+import { highlightSnippet, HIGHLIGHT_START, HIGHLIGHT_STOP } from "../lib/richtext.js";
+
+const marked = (text) => `${HIGHLIGHT_START}${text}${HIGHLIGHT_STOP}`;
+
+test("highlightSnippet escapes the text and marks the matches", () => {
+  assert.equal(
+    highlightSnippet(`<img src=x onerror=alert(1)> latihan ${marked("hadrah")} & "vokal"`),
+    `&lt;img src=x onerror=alert(1)&gt; latihan <mark>hadrah</mark> &amp; &quot;vokal&quot;`
+  );
+});
+
+test("highlightSnippet decodes entities of rich text before escaping", () => {
+  assert.equal(
+    highlightSnippet(`Juara 1 &amp; 2 ${marked("hadrah")} &lt;3`, { html: true }),
+    "Juara 1 &amp; 2 <mark>hadrah</mark> &lt;3"
+  );
+  assert.equal(highlightSnippet(null), "");
+});
+
+test("search results carry escaped snippets", async (t) => {
+  stubPrisma(t, {
+    $queryRaw: async () => [
+      {
+        type: "extracurricular",
+        id: 1,
+        title: "Hadrah",
+        image: null,
+        snippet: `<script>alert(1)</script> ${marked("Hadrah")} putra`,
+        rank: 0.5,
+        total: 2n,
+      },
+      {
+        type: "news",
+        id: 2,
+        title: "Juara",
+        image: null,
+        snippet: `Tim ${marked("hadrah")} &amp; vokal`,
+        rank: 0.25,
+        total: 2n,
+      },
+    ],
+  });
+
+  const response = await request(app).get("/api/search").query({ q: "hadrah" });
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers["x-total-count"], "2");
+  assert.equal(
+    response.body[0].snippet,
+    "&lt;script&gt;alert(1)&lt;/script&gt; <mark>Hadrah</mark> putra"
+  );
+  assert.equal(response.body[1].snippet, "Tim <mark>hadrah</mark> &amp; vokal");
+});
+
+test("a page past the end still reports the real total", async (t) => {
+  const queries = [];
+  stubPrisma(t, {
+    $queryRaw: async (strings) => {
+      queries.push(strings.join("?"));
+      return queries.length === 1 ? [] : [{ total: 23n }];
+    },
+  });
+
+  const response = await request(app).get("/api/search").query({ q: "hadrah", page: 5, limit: 10 });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(response.body, []);
+  assert.equal(response.headers["x-total-count"], "23");
+  assert.match(response.headers.link, /page=3&limit=10>; rel="last"/);
+  assert.match(queries[1], /SELECT count\(\*\)/);
+});
@@ -0,0 +1,46 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { scoreContactMessage, SPAM_THRESHOLD } from "../lib/spam.js";
+
+test("ordinary messages score nothing", () => {
+  assert.deepEqual(
+    scoreContactMessage({
+      name: "Siti Aminah",
+      message: "Assalamualaikum, apakah tim hadrah bisa tampil di acara pengajian kampus bulan depan?",
+    }),
+    { score: 0, reasons: [] }
+  );
+});
+
+test("links add a point each, three or more add four", () => {
+  assert.deepEqual(scoreContactMessage({ message: "Jadwal di https://uns.ac.id" }), {
+    score: 1,
+    reasons: ["1 link(s)"],
+  });
+  assert.deepEqual(
+    scoreContactMessage({ message: "http://a.test www.b.test [url=c]c[/url] <a href=d>" }),
+    { score: 4, reasons: ["4 links"] }
+  );
+});
+
+test("a link in the name alone reaches the threshold", () => {
+  const { score, reasons } = scoreContactMessage({ name: "www.cheap.test", message: "Halo" });
+
+  assert.ok(score >= SPAM_THRESHOLD);
+  assert.ok(reasons.includes("link in name"));
+});
+
+test("spam phrases, shouting and foreign scripts add up", () => {
+  const { score, reasons } = scoreContactMessage({
+    name: "Promo",
+    message: "SLOT GACOR DAN JUDI ONLINE TERPERCAYA HARI INI 限时",
+  });
+
+  assert.deepEqual(reasons, ['keyword "slot gacor"', 'keyword "judi online"', "mostly uppercase", "foreign script"]);
+  assert.equal(score, 3 + 3 + 1 + 2);
+  assert.ok(score >= SPAM_THRESHOLD);
+});
+
+test("short uppercase messages are not penalized", () => {
+  assert.equal(scoreContactMessage({ message: "TERIMA KASIH" }).score, 0);
+});
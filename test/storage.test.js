@@ -0,0 +1,102 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { S3Client, DeleteObjectsCommand, ListObjectsV2Command } from "@aws-sdk/client-s3";
+import { createStorage, localDriver, s3Driver, resolveStorageUrl } from "../lib/storage.js";
+import { StorageError } from "../lib/errors.js";
+
+const temporaryDirectory = (t) => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "senireligius-storage-"));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return directory;
+};
+
+const listAll = async (storage) => {
+  const files = [];
+  for await (const file of storage.list()) files.push(file);
+  return files.sort((a, b) => a.key.localeCompare(b.key));
+};
+
+test("the local driver stores, lists and deletes files", async (t) => {
+  const storage = localDriver({ directory: temporaryDirectory(t), baseUrl: "/uploads/" });
+
+  await storage.put("1760870000000-a1b2c3d4/original.jpg", Buffer.from("jpeg"));
+  await storage.put("brosur.pdf", Buffer.from("pdf!"));
+
+  assert.equal(await storage.exists("brosur.pdf"), true);
+  assert.deepEqual(
+    (await listAll(storage)).map(({ key, size }) => [key, size]),
+    [["1760870000000-a1b2c3d4/original.jpg", 4], ["brosur.pdf", 4]]
+  );
+  assert.ok((await listAll(storage))[0].lastModified instanceof Date);
+
+  // Missing keys are ignored
+  await storage.delete(["brosur.pdf", "tidak-ada.pdf"]);
+  assert.equal(await storage.exists("brosur.pdf"), false);
+});
+
+test("local keys can't escape the storage directory", async (t) => {
+  const storage = localDriver({ directory: temporaryDirectory(t) });
+
+  await assert.rejects(storage.put("../rahasia.txt", Buffer.from("x")), StorageError);
+  await assert.rejects(storage.delete(["a/../../rahasia.txt"]), StorageError);
+  assert.equal(await storage.exists("../package.json"), false);
+});
+
+test("an empty local directory lists nothing", async (t) => {
+  const storage = localDriver({ directory: path.join(temporaryDirectory(t), "belum-ada") });
+
+  assert.deepEqual(await listAll(storage), []);
+});
+
+test("public URLs encode the key segments and keep absolute URLs", () => {
+  const local = localDriver({ directory: "uploads", baseUrl: "https://api.example.com/uploads/" });
+  assert.equal(local.publicUrl("2026/foto lomba#1.jpg"), "https://api.example.com/uploads/2026/foto%20lomba%231.jpg");
+
+  const s3 = s3Driver({ bucket: "media", endpoint: "https://r2.example.com/" });
+  assert.equal(s3.publicUrl("a b.jpg"), "https://r2.example.com/media/a%20b.jpg");
+  assert.equal(s3Driver({ bucket: "media", region: "ap-southeast-1" }).publicUrl("x.jpg"), "https://media.s3.ap-southeast-1.amazonaws.com/x.jpg");
+  assert.equal(s3Driver({ bucket: "media", publicUrl: "https://cdn.example.com/" }).publicUrl("x.jpg"), "https://cdn.example.com/x.jpg");
+
+  assert.equal(resolveStorageUrl(local, "https://example.com/lama.jpg"), "https://example.com/lama.jpg");
+  assert.equal(resolveStorageUrl(local, null), null);
+});
+
+test("the S3 driver pages through listings and deletes in one request", async (t) => {
+  const commands = [];
+  t.mock.method(S3Client.prototype, "send", async (command) => {
+    commands.push(command);
+    if (command instanceof ListObjectsV2Command) {
+      return command.input.ContinuationToken
+        ? { Contents: [{ Key: "b.jpg", Size: 2, LastModified: new Date() }] }
+        : { Contents: [{ Key: "a.jpg", Size: 1, LastModified: new Date() }], NextContinuationToken: "next" };
+    }
+    return {};
+  });
+  const storage = s3Driver({ bucket: "media", accessKeyId: "id", secretAccessKey: "secret" });
+
+  assert.deepEqual((await listAll(storage)).map((file) => file.key), ["a.jpg", "b.jpg"]);
+
+  await storage.delete(["a.jpg", "a.webp"]);
+  const deletion = commands.find((command) => command instanceof DeleteObjectsCommand);
+  assert.deepEqual(deletion.input.Delete.Objects, [{ Key: "a.jpg" }, { Key: "a.webp" }]);
+});
+
+test("S3 errors become StorageErrors, missing objects don't exist", async (t) => {
+  t.mock.method(S3Client.prototype, "send", async () => {
+    throw Object.assign(new Error("Not Found"), { $metadata: { httpStatusCode: 404 } });
+  });
+  const storage = s3Driver({ bucket: "media", accessKeyId: "id", secretAccessKey: "secret" });
+
+  assert.equal(await storage.exists("a.jpg"), false);
+  await assert.rejects(storage.put("a.jpg", Buffer.from("x"), "image/jpeg"), StorageError);
+});
+
+test("createStorage picks the driver from the environment", () => {
+  assert.equal(createStorage({}).name, "local");
+  assert.equal(createStorage({ SUPABASE_URL: "https://x.supabase.co", SUPABASE_KEY: "key" }).name, "supabase");
+  assert.equal(createStorage({ STORAGE_DRIVER: "s3", S3_BUCKET: "media" }).name, "s3");
+  assert.throws(() => createStorage({ STORAGE_DRIVER: "ftp" }), /Unknown STORAGE_DRIVER/);
+});
@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import request from "supertest";
+import { Prisma } from "@prisma/client";
+import { MEDIA_REFERENCES } from "../lib/cleanup.js";
+import { app, stubPrisma, loginAs } from "./helpers.js";
+
+const pdf = (text) => Buffer.from(`%PDF-1.4\n${text}\n%%EOF`);
+const storedFiles = () => fs.readdirSync(process.env.LOCAL_STORAGE_DIR);
+
+// Kalender rows and the media library of the stubbed database. `asset` is
+// the library entry with the same content hash; `referenced` lists keys
+// other rows still use. Returns what was written and which library
+// entries were deleted.
+const stubUploads = (t, { asset = null, referenced = [], existing, kalender = {} } = {}) => {
+  const db = { written: [], deletedAssets: [] };
+
+  stubPrisma(
+    t,
+    Object.fromEntries(
+      MEDIA_REFERENCES.map(({ model, field }) => [
+        model,
+        {
+          findMany: async ({ where }) =>
+            model === "kalender"
+              ? where[field].in.filter((key) => referenced.includes(key)).map((key) => ({ id: 99, [field]: key }))
+              : [],
+        },
+      ])
+    )
+  );
+  stubPrisma(t, {
+    asset: {
+      findUnique: async () => asset,
+      create: async ({ data }) => ({ id: 1, ...data }),
+      deleteMany: async ({ where }) => {
+        db.deletedAssets.push(where.key);
+        return { count: 1 };
+      },
+    },
+    kalender: {
+      findFirst: async () => existing,
+      create: async ({ data }) => {
+        db.written.push(data);
+        return { id: 1, ...data };
+      },
+      update: async ({ data }) => {
+        db.written.push(data);
+        return { ...existing, ...data };
+      },
+      ...kalender,
+    },
+  });
+  return db;
+};
+
+const upload = (auth, method, path, content) =>
+  request(app)[method](path)
+    .set("Authorization", auth)
+    .field("title", "Kalender Akademik")
+    .attach("file", content, { filename: "Kalender 2026.pdf", contentType: "application/pdf" });
+
+test("a failed create removes the file it stored", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  t.mock.method(console, "error", () => {});
+  const db = stubUploads(t, {
+    kalender: {
+      create: async () => {
+        throw new Error("connection lost");
+      },
+    },
+  });
+
+  const response = await upload(auth, "post", "/api/kalender", pdf("gagal"));
+
+  assert.equal(response.status, 500);
+  assert.deepEqual(storedFiles(), []);
+  assert.equal(db.deletedAssets.length, 1);
+  assert.match(db.deletedAssets[0], /-kalender-2026\.pdf$/);
+});
+
+test("uploading a file that is already in the library reuses it", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const db = stubUploads(t, { asset: { id: 4, key: "kalender-lama.pdf" } });
+
+  const response = await upload(auth, "post", "/api/kalender", pdf("sama"));
+
+  assert.equal(response.status, 201);
+  assert.equal(db.written[0].file, "kalender-lama.pdf");
+  assert.deepEqual(storedFiles(), []);
+});
+
+test("the same file uploaded concurrently ends up stored once", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const db = stubUploads(t);
+  stubPrisma(t, {
+    asset: {
+      create: async () => {
+        throw new Prisma.PrismaClientKnownRequestError("Unique constraint failed", { code: "P2002", clientVersion: "6" });
+      },
+      findUniqueOrThrow: async () => ({ id: 5, key: "serentak.pdf" }),
+    },
+  });
+
+  const response = await upload(auth, "post", "/api/kalender", pdf("serentak"));
+
+  assert.equal(response.status, 201);
+  assert.equal(db.written[0].file, "serentak.pdf");
+  assert.deepEqual(storedFiles(), []);
+});
+
+test("replacing a file removes the old one once the row points to the new one", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const db = stubUploads(t, { existing: { id: 1, title: "Kalender", file: "lama.pdf" } });
+
+  const response = await upload(auth, "put", "/api/kalender/1", pdf("baru"));
+
+  assert.equal(response.status, 200);
+  assert.match(db.written[0].file, /-kalender-2026\.pdf$/);
+  assert.deepEqual(db.deletedAssets, ["lama.pdf"]);
+  assert.deepEqual(storedFiles(), [db.written[0].file]);
+  fs.rmSync(`${process.env.LOCAL_STORAGE_DIR}/${db.written[0].file}`);
+});
+
+test("a replaced file that another row still uses is kept", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  const db = stubUploads(t, {
+    existing: { id: 1, title: "Kalender", file: "lama.pdf" },
+    asset: { id: 2, key: "bersama.pdf" },
+    referenced: ["lama.pdf"],
+  });
+
+  const response = await upload(auth, "put", "/api/kalender/1", pdf("bersama"));
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(db.deletedAssets, []);
+});
+
+test("a failed update keeps the old file and removes the new one", async (t) => {
+  const auth = loginAs(t, "EDITOR");
+  t.mock.method(console, "error", () => {});
+  const db = stubUploads(t, {
+    existing: { id: 1, title: "Kalender", file: "lama.pdf" },
+    kalender: {
+      update: async () => {
+        throw new Error("connection lost");
+      },
+    },
+  });
+
+  const response = await upload(auth, "put", "/api/kalender/1", pdf("gagal lagi"));
+
+  assert.equal(response.status, 500);
+  assert.equal(db.deletedAssets.length, 1);
+  assert.notEqual(db.deletedAssets[0], "lama.pdf");
+  assert.deepEqual(storedFiles(), []);
+});
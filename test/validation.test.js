@@ -0,0 +1,177 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { v, validateSchema } from "../lib/validation.js";
+import { app, loginAs } from "./helpers.js";
+
+const check = (validator, raw) => validator.check(raw);
+
+test("v.string trims and checks length and pattern", () => {
+  assert.deepEqual(check(v.string(), "  hadrah "), { value: "hadrah" });
+  assert.deepEqual(check(v.string({ max: 3 }), "hadrah"), { error: "must be at most 3 characters long" });
+  assert.deepEqual(check(v.string({ min: 10 }), "hadrah"), { error: "must be at least 10 characters long" });
+  assert.deepEqual(check(v.string({ pattern: /^\d+$/, patternMessage: "must be digits" }), "12a"), {
+    error: "must be digits",
+  });
+  assert.equal(check(v.string(), {}).error, "must be a string");
+});
+
+test("v.email normalizes and rejects malformed addresses", () => {
+  assert.deepEqual(check(v.email(), " Admin@Example.COM "), { value: "admin@example.com" });
+
+  for (const invalid of ["admin", "admin@", "admin@example", "a b@example.com", "a..b@example.com", `${"a".repeat(250)}@x.id`]) {
+    assert.equal(check(v.email(), invalid).error, "must be a valid email address", invalid);
+  }
+});
+
+test("v.phone accepts Indonesian numbers and normalizes them to +62", () => {
+  assert.deepEqual(check(v.phone(), "0812-3456-7890"), { value: "+6281234567890" });
+  assert.deepEqual(check(v.phone(), "62 812 3456 7890"), { value: "+6281234567890" });
+  assert.deepEqual(check(v.phone(), "+62 (271) 646994"), { value: "+62271646994" });
+
+  for (const invalid of ["12345", "+1 555 123 4567", "0800000", "081234567890123456", "phone"]) {
+    assert.equal(check(v.phone(), invalid).error, "must be a valid Indonesian phone number", invalid);
+  }
+});
+
+test("v.int coerces strings and checks bounds", () => {
+  assert.deepEqual(check(v.int(), "12"), { value: 12 });
+  assert.equal(check(v.int(), "1.5").error, "must be an integer");
+  assert.equal(check(v.int(), "abc").error, "must be an integer");
+  assert.equal(check(v.int({ min: 1 }), 0).error, "must be at least 1");
+  assert.equal(check(v.int({ max: 10 }), "11").error, "must be at most 10");
+});
+
+test("v.boolean, v.date, v.day and v.time", () => {
+  assert.deepEqual(check(v.boolean(), "true"), { value: true });
+  assert.equal(check(v.boolean(), "yes").error, "must be true or false");
+
+  assert.equal(check(v.date(), "2026-10-19T07:30:00Z").value.toISOString(), "2026-10-19T07:30:00.000Z");
+  assert.equal(check(v.date(), "not a date").error, "must be a valid date");
+  assert.equal(check(v.date(), true).error, "must be a valid date");
+
+  assert.equal(check(v.day(), "2026-02-28").value.toISOString(), "2026-02-28T00:00:00.000Z");
+  for (const invalid of ["2026-02-30", "2026-2-1", "28/02/2026"]) {
+    assert.equal(check(v.day(), invalid).error, "must be a date in the format YYYY-MM-DD", invalid);
+  }
+
+  assert.deepEqual(check(v.time(), "19:30"), { value: "19:30" });
+  for (const invalid of ["24:00", "7:30", "19:60"]) {
+    assert.equal(check(v.time(), invalid).error, "must be a time in the format HH:MM", invalid);
+  }
+});
+
+test("v.enum only accepts the listed values", () => {
+  assert.deepEqual(check(v.enum(["DRAFT", "PUBLISHED"]), "DRAFT"), { value: "DRAFT" });
+  assert.equal(check(v.enum(["DRAFT", "PUBLISHED"]), "draft").error, "must be one of DRAFT, PUBLISHED");
+});
+
+test("v.array parses lists and checks their length and items", () => {
+  const ids = v.array(v.int({ min: 1 }), { min: 1, max: 3 });
+
+  assert.deepEqual(check(ids, [1, "2"]), { value: [1, 2] });
+  assert.deepEqual(check(ids, "[3]"), { value: [3] });
+  assert.deepEqual(check(ids, "4"), { value: [4] });
+  assert.deepEqual(check(v.array(v.string(), { separator: "," }), "news, galeri"), { value: ["news", "galeri"] });
+  assert.equal(check(ids, []).error, "must contain at least 1 item(s)");
+  assert.equal(check(ids, [1, 2, 3, 4]).error, "must contain at most 3 item(s)");
+  assert.equal(check(ids, [1, 0]).error, "item 2 must be at least 1");
+  assert.equal(check(ids, [1, ""]).error, "item 2 is required");
+  assert.equal(check(ids, "[1,").error, "must be a valid JSON array");
+});
+
+test("validateSchema reports required fields, drops unknown ones and nulls blank nullables", () => {
+  const schema = { name: v.string({ required: true }), note: v.string({ nullable: true }), age: v.int() };
+
+  assert.deepEqual(validateSchema(schema, { note: "", extra: "x" }, { location: "body" }), {
+    value: { note: null },
+    errors: [{ location: "body", field: "name", message: "name is required" }],
+  });
+  assert.deepEqual(validateSchema(schema, { age: "3" }, { partial: true }).errors, []);
+});
+
+// POST with an empty body: the required fields each get an error
+const CREATE_CASES = [
+  ["/api/admins", ["username", "password"]],
+  ["/api/news", ["title", "description"]],
+  ["/api/extracurriculars", ["name", "description"]],
+  ["/api/kalender", ["title"]],
+  ["/api/alumni", ["name"]],
+  ["/api/galeri", ["title"]],
+  ["/api/sarana", ["name", "description"]],
+  ["/api/sejarah", ["period", "text"]],
+  ["/api/contacts", ["name", "email", "phone", "message"]],
+  ["/api/bookings", ["extracurricularId", "eventName", "eventDate", "contactEmail", "contactPhone"]],
+  ["/api/recruitment/applications", ["name", "nim", "batchYear", "firstChoiceId"]],
+  ["/api/recruitment-periods", ["title"]],
+  ["/api/kepengurusan", ["startYear", "endYear"]],
+  ["/api/members", ["name"]],
+  ["/api/board-positions", ["periodId", "title"]],
+  ["/api/events", ["title", "startsAt"]],
+  ["/api/achievements", ["title", "competition", "level", "rank", "date"]],
+  ["/api/alumni-invites", ["email"]],
+];
+
+// PUT with one invalid value per resource
+const UPDATE_CASES = [
+  ["/api/admins/1/password", { password: 12 }, "password"],
+  ["/api/news/1", { status: "LIVE" }, "status"],
+  ["/api/hero/1", { description: {} }, "description"],
+  ["/api/extracurriculars/1", { name: "x".repeat(300) }, "name"],
+  ["/api/kalender/1", { academicYear: "2026" }, "academicYear"],
+  ["/api/alumni/1", { socialLinks: ["javascript:alert(1)"] }, "socialLinks"],
+  ["/api/galeri/1", { publishedAt: "yesterday" }, "publishedAt"],
+  ["/api/sarana/1", { name: {} }, "name"],
+  ["/api/headmaster-message/1", { description: {} }, "description"],
+  ["/api/sejarah/1", { status: "LIVE" }, "status"],
+  ["/api/contacts/1", { status: "DONE" }, "status"],
+  ["/api/bookings/1", { eventDate: "2026-13-01" }, "eventDate"],
+  ["/api/recruitment-periods/1", { opensAt: "soon" }, "opensAt"],
+  ["/api/applicants/1", { email: "not-an-email" }, "email"],
+  ["/api/kepengurusan/1", { status: "LIVE" }, "status"],
+  ["/api/members/1", { name: {} }, "name"],
+  ["/api/board-positions/1", { title: {} }, "title"],
+  ["/api/events/1", { startsAt: "tomorrow" }, "startsAt"],
+  ["/api/achievements/1", { level: "GALACTIC" }, "level"],
+];
+
+const assertValidationFailed = (response, fields, route) => {
+  assert.equal(response.status, 400, route);
+  assert.equal(response.body.code, "VALIDATION_FAILED", route);
+
+  for (const error of response.body.errors) {
+    assert.equal(typeof error.message, "string", route);
+    assert.ok(["params", "query", "body"].includes(error.location), route);
+  }
+
+  const reported = response.body.errors.map((error) => error.field);
+  for (const field of fields) {
+    assert.ok(reported.includes(field), `${route} should report ${field}, got ${reported}`);
+  }
+};
+
+test("create routes answer 400 with an error per missing field", async (t) => {
+  const auth = loginAs(t, "SUPERADMIN");
+
+  for (const [path, fields] of CREATE_CASES) {
+    const response = await request(app).post(path).set("Authorization", auth).send({});
+    assertValidationFailed(response, fields, `POST ${path}`);
+  }
+});
+
+test("update routes answer 400 for invalid values", async (t) => {
+  const auth = loginAs(t, "SUPERADMIN");
+
+  for (const [path, body, field] of UPDATE_CASES) {
+    const response = await request(app).put(path).set("Authorization", auth).send(body);
+    assertValidationFailed(response, [field], `PUT ${path}`);
+  }
+});
+
+test("invalid ids are reported as params errors", async (t) => {
+  const auth = loginAs(t, "SUPERADMIN");
+  const response = await request(app).put("/api/news/abc").set("Authorization", auth).send({});
+
+  assert.equal(response.status, 400);
+  assert.deepEqual(response.body.errors, [{ location: "params", field: "id", message: "id must be an integer" }]);
+});